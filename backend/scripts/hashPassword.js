@@ -0,0 +1,9 @@
+// 產生 AUTH_USERS_FILE 使用的密碼雜湊：node scripts/hashPassword.js <password>
+const { hashPassword } = require('../services/auth');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: node scripts/hashPassword.js <password>');
+  process.exit(1);
+}
+console.log(hashPassword(password));
@@ -1,14 +1,75 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { createClient } = require('@supabase/supabase-js');
 const Automerge = require('@automerge/automerge');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
+const { createDocumentStore, createDocumentPersistence } = require('./services/documentStore');
+const { AuthError, createAuth } = require('./services/auth');
+const { QueryError, parseEmployeeQuery, filterEmployees, toPageResponse } = require('./services/employeeQuery');
+const { isUuid, createEmployeeRepository } = require('./services/employeeRepository');
+const { createDepartmentRepository } = require('./services/departmentRepository');
+const { changeOptions, parseChangeMessage, touchedFields, getEmployeeHistory } = require('./services/history');
+const { createAuditLog } = require('./services/auditLog');
+const { createOutboxStore, createWriteOutbox } = require('./services/writeOutbox');
+const { logger, requestContext } = require('./services/logger');
+const { createMetricsRegistry } = require('./services/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Prometheus 指標（GET /api/metrics）；文檔大小與 outbox 深度等 gauge 在下方建立對應物件後註冊
+const metrics = createMetricsRegistry();
+const httpRequestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status']
+});
+const crdtMerges = metrics.counter({
+  name: 'crdt_merges_total',
+  help: 'CRDT merges received from clients by endpoint and result',
+  labelNames: ['endpoint', 'result']
+});
+const databaseErrors = metrics.counter({
+  name: 'database_errors_total',
+  help: 'Failed database operations by repository method',
+  labelNames: ['operation']
+});
+
+// 客戶端帶來的 X-Request-Id 只接受這些字元，避免寫進日誌與回應標頭的內容被注入
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// 定期呼叫的路由只在 LOG_LEVEL=debug 時記錄 access log
+const QUIET_ROUTES = new Set(['/api/health', '/api/metrics']);
+
+// 請求追蹤：沿用客戶端的 X-Request-Id（SyncService 每次請求都會帶），沒有時產生新的，並在回應中帶回
+// 處理期間的日誌自動帶上 requestId；回應送出時記錄 access log 並計入延遲（route 為路由樣板，避免每個 ID 一組標籤）
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : QUIET_ROUTES.has(route) ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      route,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      userId: req.user?.id ?? null,
+      clientId: req.get('X-Client-Id') || undefined
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+
 // 中間件
 app.use(cors({
   origin: [
@@ -18,45 +79,315 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'X-Schema-Version', 'X-Request-Id'],
+  exposedHeaders: ['X-Total-Count', 'X-Committed-Changes', 'X-Pending-Changes', 'X-Request-Id']
 }));
-app.use(bodyParser.json());
-app.use(bodyParser.raw({ type: 'application/octet-stream', limit: '10mb' }));
+// 批次匯入可接受 CSV、XLSX 與 JSON，大小限制與同步的二進位訊息相同
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.raw({ type: ['application/octet-stream', XLSX_TYPE], limit: '10mb' }));
+app.use(bodyParser.text({ type: 'text/csv', limit: '10mb' }));
 
 // 根路由（避免 Render 顯示 Cannot GET /）
 app.get('/', (req, res) => {
   res.type('text/plain').send('Employee API is running. Use /api/health');
 });
 
-// Supabase 設定 (從.env檔案讀取)
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const EMP_TABLE = process.env.EMP_TABLE || 'employee';
+// 員工資料庫（EMPLOYEE_STORE=supabase|sqlite|memory，見 services/employeeRepository.js）
+let employeeStore = null;
 
-/** @type {import('@supabase/supabase-js').SupabaseClient | null} */
-let supabase = null;
+// 部門主檔（DEPT_TABLE，與員工共用資料庫；資料表無法使用時部門只保存在 CRDT 文檔）
+let departmentStore = null;
 
-// 全域變數存儲 CRDT 文檔（在生產環境中應該使用持久化存儲）
+// repository 的每個方法失敗時計入 database_errors_total（operation 為 employee.upsertMany 之類），錯誤照常丟出
+function instrumentStore(store, kind) {
+  return new Proxy(store, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function') return value;
+      return async (...args) => {
+        try {
+          return await value.apply(target, args);
+        } catch (err) {
+          databaseErrors.inc({ operation: `${kind}.${String(property)}` });
+          throw err;
+        }
+      };
+    }
+  });
+}
+
+// 資料庫尚未連線時丟出錯誤（GET /api/employees 會改回傳 CRDT 快照）
+function getEmployeeStore() {
+  if (!employeeStore) throw new Error('Employee store is not connected');
+  return employeeStore;
+}
+
+// JWT 驗證與角色權限（viewer/editor/admin）
+const auth = createAuth();
+
+// 全域變數存儲 CRDT 文檔（啟動時由 documentPersistence 還原）
 let currentDocument = Automerge.init();
 
-// 輸入驗證函數
-function validateEmployee(employee) {
-  const errors = [];
-  
-  if (!employee.FirstName || employee.FirstName.trim().length === 0) {
-    errors.push('FirstName is required');
+// CRDT 文檔持久化（DOC_STORE=fs|supabase）
+const documentPersistence = createDocumentPersistence(createDocumentStore(), {
+  compactIntervalMs: Number(process.env.DOC_COMPACT_INTERVAL_MS ?? 10 * 60 * 1000)
+});
+
+// 稽核紀錄（AUDIT_TABLE，預設 employee_audit；memory 模式存成 DOC_STORE_DIR 下的 audit.jsonl）
+const auditLog = createAuditLog({
+  getStore: () => employeeStore,
+  table: process.env.AUDIT_TABLE || 'employee_audit',
+  onDatabaseError: operation => databaseErrors.inc({ operation })
+});
+
+// 合併後寫入資料庫失敗的員工，由背景重試（OUTBOX_RETRY_INTERVAL_MS，與文檔存在同一處）
+const writeOutbox = createWriteOutbox(createOutboxStore(), {
+  write: keys => writeEmployees(keys),
+  intervalMs: Number(process.env.OUTBOX_RETRY_INTERVAL_MS ?? 30 * 1000)
+});
+
+metrics.gauge({
+  name: 'crdt_document_bytes',
+  help: 'Size of the persisted CRDT document (last snapshot plus incremental changes) in bytes',
+  collect: () => documentPersistence.storedBytes()
+});
+metrics.gauge({
+  name: 'write_outbox_depth',
+  help: 'Employees merged into the CRDT document but not yet written to the database',
+  collect: () => writeOutbox.status().pending
+});
+
+// 是否由持久化存儲還原（還原成功時 DB 只補齊文檔中缺少的員工）
+let restoredFromStore = false;
+
+// 更新全域文檔、寫入增量並通知即時訂閱者
+// audit 為 { user, source } 時，將這次新增的變更寫入稽核紀錄（使用者發起的寫入才需要）
+function commitDocument(nextDocument, audit = null) {
+  const previousDocument = currentDocument;
+  currentDocument = nextDocument;
+  void documentPersistence.persist(currentDocument);
+  scheduleDocumentBroadcast();
+  if (audit) void auditLog.recordChanges(previousDocument, nextDocument, audit);
+}
+
+// 即時推播：SSE 訂閱者（GET /api/sync/events）
+const eventSubscribers = new Set();
+let broadcastTimer = null;
+
+function writeDocumentEvent(res) {
+  const payload = JSON.stringify({ heads: Automerge.getHeads(currentDocument), timestamp: Date.now() });
+  res.write(`event: document-changed\ndata: ${payload}\n\n`);
+}
+
+// 同一輪事件中的多次 change/merge 合併成一次推播
+function scheduleDocumentBroadcast() {
+  if (broadcastTimer || eventSubscribers.size === 0) return;
+  broadcastTimer = setTimeout(() => {
+    broadcastTimer = null;
+    for (const res of eventSubscribers) {
+      writeDocumentEvent(res);
+    }
+  }, 100);
+}
+
+// 定期送出註解行，避免代理伺服器關閉閒置連線
+setInterval(() => {
+  for (const res of eventSubscribers) {
+    res.write(': ping\n\n');
   }
-  if (!employee.LastName || employee.LastName.trim().length === 0) {
-    errors.push('LastName is required');
+}, 25000).unref();
+
+// 共用的員工 schema 與 CRDT 文檔版本（shared/ 為 ESM，與前端同一份），啟動時載入
+let employeeSchema = null;
+let documentSchema = null;
+let employeeImport = null;
+let spreadsheet = null;
+let employeeDuplicates = null;
+async function loadSharedSchemas() {
+  [employeeSchema, documentSchema, employeeImport, spreadsheet, employeeDuplicates] = await Promise.all([
+    import('../shared/employeeSchema.js'),
+    import('../shared/documentSchema.js'),
+    import('../shared/employeeImport.js'),
+    import('../shared/spreadsheet.js'),
+    import('../shared/employeeDuplicates.js')
+  ]);
+}
+
+// 接受同步寫入的最低客戶端版本；MIN_CLIENT_SCHEMA_VERSION 可強制舊客戶端更新
+const minClientSchemaVersion = () =>
+  Number(process.env.MIN_CLIENT_SCHEMA_VERSION) || documentSchema.MIN_CLIENT_SCHEMA_VERSION;
+
+// 客戶端的文檔版本（X-Schema-Version，之前的客戶端沒有帶，視為 1）
+// 太舊的客戶端回 426 請使用者更新；比伺服器新的客戶端（前端先部署）回 409，等伺服器更新後再同步
+function requireClientSchema(req, res, next) {
+  const version = Number(req.get('X-Schema-Version')) || 1;
+  const current = documentSchema.DOCUMENT_SCHEMA_VERSION;
+  if (version < minClientSchemaVersion()) {
+    return res.status(426).json({
+      error: 'Client schema is too old, please update the app',
+      schemaVersion: current,
+      minClientSchemaVersion: minClientSchemaVersion()
+    });
   }
-  if (employee.Email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(employee.Email)) {
-    errors.push('Invalid email format');
+  if (version > current) {
+    return res.status(409).json({ error: 'Client schema is newer than server', schemaVersion: current });
   }
-  if (employee.PhoneNumber && !/^[\d\-\+\(\)\s]+$/.test(employee.PhoneNumber)) {
-    errors.push('Invalid phone number format');
+  next();
+}
+
+// 文檔版本比伺服器舊時依序執行升級步驟（啟動時與每次合併後）
+function upgradeDocument() {
+  if (!documentSchema.needsMigration(currentDocument)) return;
+  const from = documentSchema.documentSchemaVersion(currentDocument);
+  commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+    documentSchema.migrateDocument(doc);
+  }));
+  logger.info('CRDT document schema upgraded', { from, to: documentSchema.DOCUMENT_SCHEMA_VERSION });
+}
+
+// 文檔中所有部門的代碼（員工的 Department 欄位參照部門代碼）
+const departmentCodesOf = (doc) => new Set(Object.values(doc.departments || {}).map(department => String(department?.Code ?? '').trim()));
+
+// 驗證員工時參照的文檔內容：部門代碼與每位員工（含回收桶）的直屬主管
+function employeeContextOf(doc) {
+  const employees = {};
+  for (const [key, employee] of Object.entries(doc.employees || {})) {
+    employees[key] = { ManagerID: String(employee?.ManagerID ?? '') };
   }
-  
-  return errors;
+  return { departmentCodes: departmentCodesOf(doc), employees };
+}
+
+// 依 schema 驗證員工（部門與主管必須存在於文檔、不能形成匯報循環），回傳 { 欄位: { code, message } }，沒有錯誤時回傳 null
+// 一次驗證多位員工時由呼叫端先建立 context
+function validateEmployee(employee, context = employeeContextOf(currentDocument)) {
+  const errors = employeeSchema.validateEmployee(employee, context);
+  return employeeSchema.hasFieldErrors(errors) ? errors : null;
+}
+
+// 依 schema 驗證部門：代碼不重複、上層部門存在且不循環、主管是 doc 中未刪除的員工
+function validateDepartment(department, doc = currentDocument) {
+  const departments = { ...toPlainDepartments(doc), [department.DepartmentUUID]: department };
+  const employeeUUIDs = new Set(Object.keys(doc.employees || {})
+    .filter(key => !employeeSchema.isDeletedEmployee(doc.employees[key])));
+  const errors = employeeSchema.validateDepartment(department, { departments, employeeUUIDs });
+  return employeeSchema.hasFieldErrors(errors) ? errors : null;
+}
+
+// 仍有員工（回收桶除外）或下層部門參照時，部門不能刪除；可以刪除時回傳 null
+// code 省略時取 doc 中該部門的代碼（檢查合併結果時部門已不在 doc 中，改由呼叫端傳入）
+function findDepartmentUsage(doc, key, code = doc.departments?.[key]?.Code) {
+  code = String(code ?? '').trim();
+  const employees = Object.values(doc.employees || {})
+    .filter(employee => !employeeSchema.isDeletedEmployee(employee) && String(employee?.Department ?? '').trim() === code).length;
+  const children = Object.entries(doc.departments || {})
+    .filter(([childKey, department]) => childKey !== key && department?.ParentDepartmentUUID === key).length;
+  return employees > 0 || children > 0 ? { employees, children } : null;
+}
+
+const SYSTEM_FIELDS = new Set(['EmployeeID', 'DeletedAt', 'DeletedBy']);
+
+const changedFields = (previous, next, ignored = new Set()) => Object.keys({ ...previous, ...next })
+  .filter(field => !ignored.has(field) && previous[field] !== next[field]);
+
+// 合併帶入的員工與部門也要符合 schema：只檢查這次新增或修改的項目（回收桶中的員工除外）
+// 回傳 { employees?: { 員工鍵: 欄位錯誤 }, departments?: { 部門鍵: 欄位錯誤 } }，全部通過時回傳 null
+function validateDocumentChange(before, after) {
+  const employees = {};
+  const previousEmployees = before.employees || {};
+  // 以合併後的文檔檢查，兩個離線客戶端各自合法的主管調整合併後形成的循環也會被擋下
+  const context = employeeContextOf(after);
+  for (const [key, employee] of Object.entries(after.employees || {})) {
+    const next = toPlainEmployee(employee);
+    const previous = previousEmployees[key] ? toPlainEmployee(previousEmployees[key]) : null;
+    if (employeeSchema.isDeletedEmployee(next)) {
+      const errors = validateMergedInto(key, next, previous, after);
+      if (errors) employees[key] = errors;
+      continue;
+    }
+    // 合併到其他員工的 tombstone 不能還原，否則同一人又會出現兩筆
+    if (previous?.MergedInto && employeeSchema.isDeletedEmployee(previous)) {
+      employees[key] = { MergedInto: { code: 'immutable', message: '已合併到其他員工，不能還原' } };
+      continue;
+    }
+    // 只動到系統欄位（回填 EmployeeID、從回收桶還原）不重新檢查
+    if (previous && changedFields(previous, next, SYSTEM_FIELDS).length === 0) continue;
+    const errors = validateEmployee({ ...next, EmployeeUUID: key }, context);
+    if (errors) employees[key] = errors;
+  }
+
+  const departments = {};
+  const previousDepartments = before.departments || {};
+  const nextDepartments = after.departments || {};
+  for (const [key, department] of Object.entries(nextDepartments)) {
+    const next = { ...toPlainEmployee(department), DepartmentUUID: key };
+    const previous = previousDepartments[key] ? { ...toPlainEmployee(previousDepartments[key]), DepartmentUUID: key } : null;
+    if (previous && changedFields(previous, next).length === 0) continue;
+    const errors = validateDepartment(next, after) || {};
+    // 員工以代碼參照部門，代碼建立後不可修改
+    if (previous && previous.Code !== next.Code) {
+      errors.Code = { code: 'immutable', message: '部門代碼建立後不能修改' };
+    }
+    if (employeeSchema.hasFieldErrors(errors)) departments[key] = errors;
+  }
+  for (const [key, department] of Object.entries(previousDepartments)) {
+    if (nextDepartments[key] || !findDepartmentUsage(after, key, department?.Code)) continue;
+    departments[key] = { Code: { code: 'reference', message: '部門仍有員工或下層部門，不能刪除' } };
+  }
+
+  const invalid = {};
+  if (Object.keys(employees).length > 0) invalid.employees = employees;
+  if (Object.keys(departments).length > 0) invalid.departments = departments;
+  return Object.keys(invalid).length > 0 ? invalid : null;
+}
+
+// 合併重複員工：被合併的一方以 MergedInto 指向保留的員工，保留的員工必須存在、不是自己且不在回收桶中
+// 只檢查這次新增或修改的合併紀錄，回傳欄位錯誤或 null
+function validateMergedInto(key, next, previous, doc) {
+  const target = String(next.MergedInto ?? '');
+  if (!target || target === String(previous?.MergedInto ?? '')) return null;
+  const winner = doc.employees?.[target];
+  if (target === key || !winner || employeeSchema.isDeletedEmployee(winner)) {
+    return { MergedInto: { code: 'reference', message: '合併的目標員工不存在或已刪除' } };
+  }
+  return null;
+}
+
+// 422 回覆的內容：{ error, employees, departments, changes }
+const describeInvalid = (invalid) => [
+  ...Object.keys(invalid.employees || {}),
+  ...Object.keys(invalid.departments || {})
+];
+
+// 逐一找出造成錯誤的變更：動到錯誤欄位的變更，找不到時（例如錯誤標在另一個欄位）改為動到該筆資料的所有變更
+// 回傳 [{ hash, localChange, employees, departments }]；localChange 為客戶端寫在 change message 的本地變更編號
+function describeRejectedChanges(before, after, invalid) {
+  const changes = Automerge.getChanges(before, after).map((bytes) => {
+    const change = Automerge.decodeChange(bytes);
+    return {
+      hash: change.hash,
+      localChange: parseChangeMessage(change.message).localChange ?? null,
+      touched: touchedFields(after, change),
+      errors: { employees: {}, departments: {} }
+    };
+  });
+
+  for (const kind of ['employees', 'departments']) {
+    for (const [key, errors] of Object.entries(invalid[kind] || {})) {
+      const touching = changes.filter(change => change.touched[kind][key] !== undefined);
+      const exact = touching.filter(change => {
+        const fields = change.touched[kind][key];
+        return fields === null || fields.some(field => errors[field]);
+      });
+      for (const change of exact.length > 0 ? exact : touching) {
+        change.errors[kind][key] = errors;
+      }
+    }
+  }
+
+  return changes
+    .filter(change => Object.keys(change.errors.employees).length + Object.keys(change.errors.departments).length > 0)
+    .map(({ hash, localChange, errors }) => ({ hash, localChange, ...errors }));
 }
 
 // 清理輸入數據
@@ -77,6 +408,7 @@ function sanitizeEmployee(employee) {
 
   return {
     EmployeeID: employee.EmployeeID,
+    EmployeeUUID: toSafeString(employee.EmployeeUUID),
     FirstName: toSafeString(employee.FirstName),
     LastName: toSafeString(employee.LastName),
     Department: toSafeString(employee.Department),
@@ -87,136 +419,496 @@ function sanitizeEmployee(employee) {
     Email: toSafeString(employee.Email),
     PhoneNumber: toSafeString(employee.PhoneNumber),
     Address: toSafeString(employee.Address),
-    Status: toSafeString(employee.Status) || 'Active'
+    Status: toSafeString(employee.Status) || 'Active',
+    ManagerID: toSafeString(employee.ManagerID)
+  };
+}
+
+// 文檔中的值可能是 Automerge 物件（例如 Text），搬移鍵之前先轉成純值
+function toPlainEmployee(employee) {
+  return Object.fromEntries(Object.entries(employee || {}).map(([field, value]) => [
+    field,
+    value !== null && typeof value === 'object' ? String(value) : value
+  ]));
+}
+
+// 文檔中的部門 → { DepartmentUUID: 部門 }（純值）
+function toPlainDepartments(doc) {
+  return Object.fromEntries(Object.entries(doc.departments || {}).map(([key, department]) => [
+    key,
+    { ...toPlainEmployee(department), DepartmentUUID: key }
+  ]));
+}
+
+// REST 傳入的部門只保留主檔欄位
+function sanitizeDepartment(department, uuid) {
+  const toSafeString = (value) => (value === null || value === undefined ? '' : String(value).trim());
+  return {
+    DepartmentUUID: uuid,
+    Code: toSafeString(department.Code),
+    Name: toSafeString(department.Name),
+    ParentDepartmentUUID: toSafeString(department.ParentDepartmentUUID),
+    HeadEmployeeUUID: toSafeString(department.HeadEmployeeUUID)
   };
 }
 
+// REST 路由的 :id 可以是 UUID 或舊的數字 employee_id；文檔中沒有這位員工時回傳 undefined
+function findDocumentKey(id) {
+  if (isUuid(id)) return currentDocument.employees?.[id] ? id : undefined;
+  const employeeId = Number(id);
+  return Object.keys(currentDocument.employees || {})
+    .find(key => isUuid(key) && Number(currentDocument.employees[key]?.EmployeeID) === employeeId);
+}
+
 // 初始化文檔結構
 currentDocument = Automerge.change(currentDocument, doc => {
   doc.employees = {};
+  doc.departments = {};
   doc.lastModified = Date.now();
 });
 
+// 從持久化存儲還原 CRDT 文檔（需在 connectDB 之前）
+// 讀取失敗（快照損毀、存儲暫時無法連線）時丟出錯誤並停止啟動：不能以空白文檔壓縮覆寫存儲中的資料
+async function restoreDocument() {
+  const restored = await documentPersistence.load();
+  if (restored) {
+    // 舊版文檔（例如沒有部門 map）在啟動時由 upgradeDocument 升級
+    currentDocument = restored;
+    restoredFromStore = true;
+    logger.info('Restored CRDT document', {
+      store: documentPersistence.name,
+      employees: Object.keys(currentDocument.employees).length
+    });
+  } else {
+    logger.info('No persisted CRDT document, starting fresh', { store: documentPersistence.name });
+  }
+  // 以完整快照作為新的基準，之後只附加增量
+  await documentPersistence.compact(currentDocument);
+  documentPersistence.startCompaction(() => currentDocument);
+}
+
 // 連接資料庫
 async function connectDB() {
   try {
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-      throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
-    }
-    supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
-    console.log('Connected to Supabase');
+    // ping 成功才指定給 employeeStore：連線失敗時 getEmployeeStore() 照常丟出錯誤，讓路由改用 CRDT 文檔
+    const store = instrumentStore(createEmployeeRepository(), 'employee');
+    await store.ping();
+    employeeStore = store;
+    logger.info('Connected to employee store', { store: employeeStore.name });
     await loadExistingData();
   } catch (err) {
-    console.error('Database connection failed:', err);
+    logger.error('Database connection failed', { err });
   }
+  // 連線後立即重試上次關閉前尚未寫入的員工，之後由背景定期重試
+  await writeOutbox.flush({ force: true });
+  writeOutbox.start();
 }
 
 // 載入現有資料到 CRDT 文檔
 async function loadExistingData() {
   try {
-    const { data, error } = await supabase
-      .from(EMP_TABLE)
-      .select('employee_id, first_name, last_name, department, position, hire_date, birth_date, gender, email, phone_number, address, status');
-    if (error) throw error;
-    
-    currentDocument = Automerge.change(currentDocument, doc => {
-      (data || []).forEach(row => {
-        doc.employees[row.employee_id] = {
-          EmployeeID: row.employee_id,
-          FirstName: row.first_name || '',
-          LastName: row.last_name || '',
-          Department: row.department || '',
-          Position: row.position || '',
-          HireDate: row.hire_date ? new Date(row.hire_date).toISOString().split('T')[0] : '',
-          BirthDate: row.birth_date ? new Date(row.birth_date).toISOString().split('T')[0] : '',
-          Gender: row.gender || '',
-          Email: row.email || '',
-          PhoneNumber: row.phone_number || '',
-          Address: row.address || '',
-          Status: row.status || 'Active'
-        };
+    const stored = await employeeStore.listAll();
+    const storedKeys = new Set(stored.map(employee => employee.EmployeeUUID));
+
+    // 已從存儲還原時，文檔才是真實來源：只補上文檔中沒有的員工，避免覆蓋尚未寫回 DB 的變更
+    const missing = stored.filter(employee => employee.EmployeeUUID && (!restoredFromStore || !currentDocument.employees[employee.EmployeeUUID]));
+    if (missing.length === 0) {
+      logger.info('CRDT document already contains all database employees');
+    } else {
+      commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+        missing.forEach(employee => {
+          doc.employees[employee.EmployeeUUID] = employee;
+        });
+        doc.lastModified = Date.now();
+      }));
+      logger.info('Loaded database employees into CRDT document', { employees: missing.length });
+    }
+
+    // 重啟前尚未處理的舊版刪除標記與匯報循環
+    normalizeDeletedEmployees(null, null);
+    const repaired = [...redirectMergedReferences(), ...breakReportingCycles()];
+
+    // 員工寫回資料庫前先備齊部門，否則參照的部門不存在會被略過
+    await loadDepartments();
+
+    // 反過來，文檔中有但資料庫沒有的員工（例如改用新的 sqlite/memory 資料庫）寫回資料庫
+    // 清除了主管的員工也一併寫回
+    const unsaved = Object.keys(currentDocument.employees)
+      .filter(key => isUuid(key) && (!storedKeys.has(key) || repaired.includes(key)));
+    if (unsaved.length > 0) {
+      logger.info('Writing document-only or repaired employees to database', { employees: unsaved.length, store: employeeStore.name });
+      await syncToDatabase(unsaved);
+    }
+
+    // 舊版文檔以數字 ID 為鍵，補齊 UUID 條目後併入
+    await processOfflineEmployees();
+  } catch (err) {
+    logger.error('Failed to load existing data', { err });
+  }
+}
+
+// 部門主檔：資料庫與文檔互相補齊，並為既有員工的部門文字建立對應的部門
+async function loadDepartments() {
+  try {
+    departmentStore = instrumentStore(createDepartmentRepository(employeeStore), 'department');
+    await departmentStore.ping();
+  } catch (err) {
+    logger.warn('Department table unavailable, departments are kept in the CRDT document only', { error: err.message });
+    departmentStore = null;
+  }
+
+  const stored = departmentStore ? await departmentStore.listAll() : [];
+  const missing = stored.filter(department => !currentDocument.departments[department.DepartmentUUID]);
+
+  // 部門主檔之前，員工的部門是自由文字：每個不同的值建立一個部門，代碼與名稱都沿用原本的文字
+  const codes = new Set([...departmentCodesOf(currentDocument), ...missing.map(department => department.Code)]);
+  const legacy = new Map();
+  for (const employee of Object.values(currentDocument.employees || {})) {
+    const text = String(employee?.Department ?? '').trim();
+    if (!text || codes.has(text) || legacy.has(text)) continue;
+    legacy.set(text, { DepartmentUUID: uuidv4(), Code: text, Name: text, ParentDepartmentUUID: '', HeadEmployeeUUID: '' });
+  }
+
+  const added = [...missing, ...legacy.values()];
+  if (added.length > 0) {
+    commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+      added.forEach(department => {
+        doc.departments[department.DepartmentUUID] = department;
       });
       doc.lastModified = Date.now();
+    }));
+    logger.info('Loaded departments into CRDT document', { loaded: missing.length, createdFromEmployees: legacy.size });
+  }
+
+  await syncDepartmentsToDatabase();
+}
+
+// 把文檔中的部門寫入資料庫，文檔中已移除的部門一併刪除
+async function syncDepartmentsToDatabase() {
+  if (!departmentStore) return;
+  const departments = toPlainDepartments(currentDocument);
+  const stored = await departmentStore.listAll();
+  // 先刪除，之後以相同代碼重建的部門才不會撞到唯一限制
+  for (const department of stored) {
+    if (!departments[department.DepartmentUUID]) await departmentStore.remove(department.DepartmentUUID);
+  }
+  const storedByUuid = new Map(stored.map(department => [department.DepartmentUUID, department]));
+  for (const department of Object.values(departments)) {
+    const existing = storedByUuid.get(department.DepartmentUUID);
+    if (existing && changedFields(existing, sanitizeDepartment(department, department.DepartmentUUID)).length === 0) continue;
+    await departmentStore.upsert(department);
+  }
+}
+
+// 把文檔中這些員工的目前值在同一個交易中寫入資料庫，失敗時丟出錯誤（整批都沒有寫入）
+// 回傳實際寫入的 UUID；不在文檔中或不符合 schema 的員工略過
+async function writeEmployees(keys) {
+  const store = getEmployeeStore();
+  const employees = currentDocument.employees || {};
+  const context = employeeContextOf(currentDocument);
+  const rows = [];
+  for (const employeeKey of keys) {
+    const employee = employees[employeeKey];
+    if (!employee || !isUuid(employeeKey)) continue;
+
+    // 不符合 schema 的資料不寫入資料庫（合併時已擋下，這裡防止舊文檔中的資料繞過驗證）
+    // 回收桶中的員工不檢查，刪除一律寫入
+    const plain = { ...toPlainEmployee(employee), EmployeeUUID: employeeKey };
+    const deleted = employeeSchema.isDeletedEmployee(plain);
+    const errors = deleted ? null : validateEmployee(plain, context);
+    if (errors) {
+      logger.warn('Skipping employee that fails schema validation', { employeeUUID: employeeKey, fields: Object.keys(errors) });
+      continue;
+    }
+
+    // 以 UUID upsert（含刪除標記）：離線新增的員工第一次寫入時由資料庫配發 employee_id
+    rows.push({
+      ...sanitizeEmployee(plain),
+      DeletedAt: deleted ? plain.DeletedAt : '',
+      DeletedBy: deleted ? plain.DeletedBy : '',
+      MergedInto: deleted ? plain.MergedInto : ''
     });
-    
-    console.log(`Loaded ${Array.isArray(data) ? data.length : 0} employees into CRDT document`);
+  }
+  if (rows.length === 0) return [];
+
+  const saved = await store.upsertMany(rows);
+
+  // 資料庫配發的 employee_id 一次回填到文檔
+  const assigned = saved.filter(employee => {
+    const current = currentDocument.employees[employee.EmployeeUUID];
+    return current && Number(current.EmployeeID) !== employee.EmployeeID;
+  });
+  if (assigned.length > 0) {
+    commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+      assigned.forEach(employee => {
+        const target = doc.employees[employee.EmployeeUUID];
+        if (target) target.EmployeeID = employee.EmployeeID;
+      });
+    }));
+  }
+  return saved.map(employee => employee.EmployeeUUID);
+}
+
+// 把文檔中的員工寫入資料庫（keys 省略時為全部），失敗時放進 outbox 由背景重試
+// 回傳 { committed, pending }（員工 UUID）
+async function syncToDatabase(keys = null) {
+  const targets = [...new Set(keys ?? Object.keys(currentDocument.employees || {}))].filter(isUuid);
+  if (targets.length === 0) return { committed: [], pending: [] };
+
+  // 寫入前記下 outbox 的狀態：寫入期間又失敗的員工不會被這次的成功移除
+  const snapshot = writeOutbox.snapshot(targets);
+  try {
+    const committed = await writeEmployees(targets);
+    await writeOutbox.resolve(snapshot);
+    logger.info('Database synchronized', { employees: committed.length });
+    return { committed, pending: [] };
   } catch (err) {
-    console.error('Failed to load existing data:', err);
+    logger.error('Database sync failed, queued for retry', { employees: targets.length, err });
+    await writeOutbox.reject(targets, err);
+    return { committed: [], pending: targets };
+  }
+}
+
+// 比對兩個版本的 heads，找出有變動的員工鍵
+function changedEmployeeKeys(before, after) {
+  const keys = new Set();
+  for (const patch of Automerge.diff(after, Automerge.getHeads(before), Automerge.getHeads(after))) {
+    const [root, key] = patch.path;
+    if (root === 'employees' && key !== undefined) keys.add(String(key));
+  }
+  return [...keys];
+}
+
+// 合併帶入的變更是否已寫入資料庫：動到的員工都已寫入為 committed，任何一位仍在 outbox 為 pending
+// 回傳 { committed, pending }（變更 hash）
+function describeWriteResult(changes) {
+  const committed = [];
+  const pending = [];
+  for (const change of changes) {
+    const employees = Object.keys(touchedFields(currentDocument, change).employees);
+    (employees.some(key => writeOutbox.has(key)) ? pending : committed).push(change.hash);
+  }
+  return { committed, pending };
+}
+
+// 舊版客戶端以 Status = 'Deleted' 標記刪除：改成 DeletedAt / DeletedBy，Status 還原為合併前的值
+// 沒有帶 DeletedBy 的刪除補上合併的使用者
+function normalizeDeletedEmployees(before, user) {
+  const previousEmployees = before?.employees || {};
+  const pending = Object.keys(currentDocument.employees || {}).filter(key => {
+    const employee = currentDocument.employees[key];
+    return employee && (String(employee.Status ?? '').toLowerCase() === 'deleted' || (employee.DeletedAt && !employee.DeletedBy));
+  });
+  if (pending.length === 0) return;
+
+  const deletedAt = new Date().toISOString();
+  const deletedBy = user?.name || user?.id || 'system';
+  commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+    for (const key of pending) {
+      const target = doc.employees[key];
+      if (!target.DeletedAt) target.DeletedAt = deletedAt;
+      if (!target.DeletedBy) target.DeletedBy = deletedBy;
+      if (String(target.Status ?? '').toLowerCase() === 'deleted') {
+        const previousStatus = String(previousEmployees[key]?.Status ?? '');
+        target.Status = employeeSchema.STATUS_VALUES.includes(previousStatus) ? previousStatus : 'Active';
+      }
+    }
+    doc.lastModified = Date.now();
+  }));
+  logger.info('Converted legacy delete markers to recycle bin entries', { employeeUUIDs: pending });
+}
+
+// 匯報循環（A 的主管是 B、B 的主管是 A）：合併時已擋下，這裡處理升級前的文檔與舊格式鍵搬移等不經驗證的系統處理
+// 每個循環清除 UUID 最小的那位員工的主管，讓所有伺服器得到相同的結果
+function breakReportingCycles() {
+  const managers = employeeContextOf(currentDocument).employees;
+  const broken = new Set();
+  for (const key of Object.keys(managers)) {
+    const cycle = employeeSchema.findReportingCycle(managers, key);
+    if (!cycle) continue;
+    const [root] = [...cycle].sort();
+    if (broken.has(root)) continue;
+    broken.add(root);
+    managers[root] = { ManagerID: '' };
   }
+  if (broken.size === 0) return [];
+
+  commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+    broken.forEach(key => { doc.employees[key].ManagerID = ''; });
+    doc.lastModified = Date.now();
+  }));
+  logger.warn('Cleared managers that formed reporting cycles', { employeeUUIDs: [...broken] });
+  return [...broken];
 }
 
-async function syncToDatabase() {
+// 合併重複員工後，仍以被合併員工為主管的下屬與部門主管改為保留的員工
+// 合併時已一併修改；這裡處理合併之後才送達的離線修改。回傳修改了主管的員工鍵
+function redirectMergedReferences() {
   const employees = currentDocument.employees || {};
+  const redirect = (uuid) => {
+    const target = employeeDuplicates.resolveMergedKey(employees, uuid);
+    return target !== uuid && employees[target] && !employeeSchema.isDeletedEmployee(employees[target]) ? target : null;
+  };
+  const managers = new Map();
+  for (const [key, employee] of Object.entries(employees)) {
+    const manager = String(employee?.ManagerID ?? '');
+    const target = manager && redirect(manager);
+    if (target) managers.set(key, target === key ? '' : target);
+  }
+  const heads = new Map();
+  for (const [key, department] of Object.entries(currentDocument.departments || {})) {
+    const head = String(department?.HeadEmployeeUUID ?? '');
+    const target = head && redirect(head);
+    if (target) heads.set(key, target);
+  }
+  if (managers.size === 0 && heads.size === 0) return [];
+
+  commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+    managers.forEach((manager, key) => { doc.employees[key].ManagerID = manager; });
+    heads.forEach((head, key) => { doc.departments[key].HeadEmployeeUUID = head; });
+    doc.lastModified = Date.now();
+  }));
+  logger.info('Redirected references to merged employees', { subordinates: managers.size, departments: heads.size });
+  return [...managers.keys()];
+}
+
+// 在職員工（UUID 鍵，不含回收桶），供重複偵測使用
+const activeEmployeesOf = (doc) => Object.entries(doc.employees || {})
+  .filter(([key, employee]) => isUuid(key) && !employeeSchema.isDeletedEmployee(employee))
+  .map(([key, employee]) => ({ ...toPlainEmployee(employee), EmployeeUUID: key }));
+
+// 這次新增的員工中，可能與既有員工重複者：[{ EmployeeUUID, duplicates: [{ EmployeeUUID, reasons }] }]
+// 只標示、不阻擋寫入（離線新增的員工已在客戶端存在），由使用者在合併畫面處理
+function flagDuplicates(keys) {
+  const active = activeEmployeesOf(currentDocument);
+  const flagged = [];
+  for (const key of keys) {
+    const employee = active.find(candidate => candidate.EmployeeUUID === key);
+    if (!employee) continue;
+    const matches = employeeDuplicates.findDuplicates(employee, active);
+    if (matches.length === 0) continue;
+    flagged.push({
+      EmployeeUUID: key,
+      duplicates: matches.map(match => ({ EmployeeUUID: match.employee.EmployeeUUID, reasons: match.reasons }))
+    });
+  }
+  if (flagged.length > 0) {
+    logger.warn('New employees may duplicate existing ones', {
+      duplicates: flagged.map(entry => ({ employeeUUID: entry.EmployeeUUID, matches: entry.duplicates.map(d => d.EmployeeUUID) }))
+    });
+  }
+  return flagged;
+}
+
+// 合併後處理：升級文檔版本、補齊刪除標記、舊格式鍵換成 UUID，再把有變動的員工寫入 DB
+// 回傳合併帶入的變更的寫入結果（見 describeWriteResult）與這次新增的員工中可能重複者（見 flagDuplicates）
+async function handleMergedChanges(before, user) {
+  const incoming = Automerge.getChanges(before, currentDocument).map(bytes => Automerge.decodeChange(bytes));
+  upgradeDocument();
+  normalizeDeletedEmployees(before, user);
+
+  // POC 容錯：換鍵與部門同步失敗時，不要讓整體 500
   try {
-    for (const [employeeIdRaw, employee] of Object.entries(employees)) {
-      if (employeeIdRaw.startsWith('new-') || employeeIdRaw.startsWith('temp-')) {
-        console.log('跳過臨時員工:', employeeIdRaw);
-        continue;
-      }
-      const employeeId = Number(employeeIdRaw);
-      if (!Number.isInteger(employeeId) || employeeId <= 0) {
-        console.warn('跳過無效 ID:', employeeIdRaw);
-        continue;
-      }
+    await processOfflineEmployees();
+  } catch (e) {
+    logger.warn('processOfflineEmployees failed, skipped for this merge', { err: e });
+  }
+  redirectMergedReferences();
+  breakReportingCycles();
+  
+  try {
+    await syncDepartmentsToDatabase();
+  } catch (e) {
+    logger.warn('syncDepartmentsToDatabase failed, skipped for this merge', { err: e });
+  }
 
-      const statusNorm = String(employee.Status ?? '').trim().toLowerCase();
-      if (statusNorm === 'deleted') {
-        console.log('準備刪除員工:', employeeId);
-        const { error: delErr } = await supabase
-          .from(EMP_TABLE)
-          .delete()
-          .eq('employee_id', employeeId);
-        if (delErr) throw delErr;
-
-        currentDocument = Automerge.change(currentDocument, doc => {
-          delete doc.employees[employeeIdRaw];
-          doc.lastModified = Date.now();
-        });
-        continue;
-      }
+  // 只寫入這次合併（含上面的系統處理）動到的員工；失敗的員工進 outbox，不影響合併結果
+  await syncToDatabase(changedEmployeeKeys(before, currentDocument));
+  const created = Object.keys(currentDocument.employees || {}).filter(key => !before.employees?.[key]);
+  return { ...describeWriteResult(incoming), duplicates: flagDuplicates(created) };
+}
 
-      const payload = {
-        employee_id: employeeId,
-        first_name: String(employee.FirstName ?? ''),
-        last_name: String(employee.LastName ?? ''),
-        department: String(employee.Department ?? ''),
-        position: String(employee.Position ?? ''),
-        hire_date: employee.HireDate ? new Date(employee.HireDate) : null,
-        birth_date: employee.BirthDate ? new Date(employee.BirthDate) : null,
-        gender: String(employee.Gender ?? ''),
-        email: String(employee.Email ?? ''),
-        phone_number: String(employee.PhoneNumber ?? ''),
-        address: String(employee.Address ?? ''),
-        status: String(employee.Status ?? 'Active'),
-      };
+const NO_WRITES = { committed: [], pending: [] };
 
-      const { error: upsertErr } = await supabase
-        .from(EMP_TABLE)
-        .upsert(payload, { onConflict: 'employee_id' });
-      if (upsertErr) throw upsertErr;
+// 檢查合併結果是否超出使用者權限：沒有 write 不能帶入任何變更，沒有 delete 不能刪除或標記刪除員工、刪除部門
+// 回傳拒絕原因，允許時回傳 null
+function authorizeDocumentChange(user, before, after) {
+  if (!auth.can(user, 'write')) {
+    return "Permission 'write' required";
+  }
+  if (auth.can(user, 'delete')) {
+    return null;
+  }
+  const afterDepartments = after.departments || {};
+  if (Object.keys(before.departments || {}).some(key => !afterDepartments[key])) {
+    return "Permission 'delete' required";
+  }
+  const afterEmployees = after.employees || {};
+  for (const [key, employee] of Object.entries(before.employees || {})) {
+    // 客戶端清理自己的臨時 key 不算刪除
+    if (key.startsWith('new-') || key.startsWith('temp-')) continue;
+    const next = afterEmployees[key];
+    const wasDeleted = employeeSchema.isDeletedEmployee(employee);
+    const isDeleted = !next || employeeSchema.isDeletedEmployee(next);
+    if (!wasDeleted && isDeleted) {
+      return "Permission 'delete' required";
     }
-    console.log('✅ Database synchronized successfully');
-  } catch (err) {
-    console.error('❌ Database sync failed:', err);
-    throw err;
   }
+  return null;
 }
 
+// 每個客戶端的 Automerge 同步狀態（以 X-Client-Id 區分，閒置過久即丟棄）
+const clientSyncStates = new Map();
+const SYNC_STATE_TTL_MS = 60 * 60 * 1000;
 
+function getClientSyncState(clientId) {
+  const entry = clientSyncStates.get(clientId);
+  return entry ? entry.syncState : Automerge.initSyncState();
+}
+
+function setClientSyncState(clientId, syncState) {
+  clientSyncStates.set(clientId, { syncState, lastSeen: Date.now() });
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - SYNC_STATE_TTL_MS;
+  for (const [clientId, entry] of clientSyncStates) {
+    if (entry.lastSeen < cutoff) clientSyncStates.delete(clientId);
+  }
+}, SYNC_STATE_TTL_MS).unref();
 
 // API 路由
 
+// 登入：以帳號密碼換取 JWT（僅在設定 AUTH_JWT_SECRET 時可用）
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    res.json(await auth.login(String(username), String(password)));
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Login failed', { err });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// 目前登入的使用者
+app.get('/api/auth/me', auth.requirePermission('read'), (req, res) => {
+  res.json({ user: req.user });
+});
+
 // 健康檢查
 app.get('/api/health', async (req, res) => {
   const startedAt = Date.now();
   let dbConnected = false;
   let dbError = null;
   try {
-    const { error } = await supabase
-      .from(EMP_TABLE)
-      .select('employee_id', { count: 'exact', head: true })
-      .limit(1);
-    dbConnected = !error;
+    await getEmployeeStore().ping();
+    dbConnected = true;
   } catch (e) {
     dbError = e?.message || String(e);
   }
@@ -227,371 +919,817 @@ app.get('/api/health', async (req, res) => {
     version: '1.0.0',
     environment: process.env.NODE_ENV || 'development',
     db: {
+      store: employeeStore?.name ?? null,
       connected: dbConnected,
       error: dbError
     },
     crdt: {
       employeesCount: (() => { try { return Object.keys(currentDocument.employees || {}).length; } catch { return 0; } })(),
+      departmentsCount: Object.keys(currentDocument.departments || {}).length,
+      heads: Automerge.getHeads(currentDocument),
+      schemaVersion: documentSchema.documentSchemaVersion(currentDocument),
+      minClientSchemaVersion: minClientSchemaVersion(),
       lastModified: (() => { try { return currentDocument.lastModified || null; } catch { return null; } })()
     },
+    outbox: writeOutbox.status(),
+    realtime: {
+      subscribers: eventSubscribers.size
+    },
     responseMs: Date.now() - startedAt
   });
 });
 
-// 獲取 CRDT 文檔
-app.get('/api/sync/document', (req, res) => {
+// Prometheus 指標；設定 METRICS_TOKEN 時需帶 Authorization: Bearer <METRICS_TOKEN>（與使用者登入的 token 無關）
+const metricsTokenDigest = process.env.METRICS_TOKEN
+  ? crypto.createHash('sha256').update(process.env.METRICS_TOKEN).digest()
+  : null;
+
+app.get('/api/metrics', (req, res) => {
+  if (metricsTokenDigest) {
+    const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+    const digest = crypto.createHash('sha256').update(token || '').digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest, metricsTokenDigest)) {
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+  }
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// 獲取 CRDT 文檔（完整文檔，保留給舊版客戶端）
+app.get('/api/sync/document', auth.requirePermission('read'), (req, res) => {
   try {
     const documentBytes = Automerge.save(currentDocument);
     res.set('Content-Type', 'application/octet-stream');
     res.send(Buffer.from(documentBytes));
   } catch (err) {
-    console.error('Failed to send document:', err);
+    logger.error('Failed to send document', { err });
     res.status(500).json({ error: 'Failed to retrieve document' });
   }
 });
 
-// 接收並合併 CRDT 文檔
-app.post('/api/sync/document', async (req, res) => {
+// 接收並合併 CRDT 文檔（完整文檔，保留給舊版客戶端）
+app.post('/api/sync/document', auth.requirePermission('read'), requireClientSchema, async (req, res) => {
   try {
     const incomingBytes = new Uint8Array(req.body);
     const incomingDocument = Automerge.load(incomingBytes);
     
-    // 合併文檔
-    const oldDocument = currentDocument;
-    currentDocument = Automerge.merge(currentDocument, incomingDocument);
+    // 先合併到副本，確認權限後才取代全域文檔
+    const mergedDocument = Automerge.merge(Automerge.clone(currentDocument), incomingDocument);
     
     // 檢查是否有變更
-    const hasChanges = !Automerge.equals(oldDocument, currentDocument);
+    const hasChanges = !Automerge.equals(currentDocument, mergedDocument);
+    let database = NO_WRITES;
+    let duplicates = [];
     
     if (hasChanges) {
-      // 調試：輸出合併後的 Deleted 條目
-      try {
-        const delIds = Object.entries(currentDocument.employees || {})
-          .filter(([k, v]) => v && v.Status === 'Deleted')
-          .map(([k]) => k);
-        console.log('🔎 合併後 Deleted 條目 IDs:', delIds);
-      } catch (e) {
-        console.warn('無法列出 Deleted 條目:', e);
-      }
-
-      // POC 容錯：處理暫時員工與資料庫同步失敗時，不要讓整體 500
-      try {
-        await processOfflineEmployees();
-      } catch (e) {
-        console.warn('processOfflineEmployees 失敗，略過此次處理：', e);
+      const denied = authorizeDocumentChange(req.user, currentDocument, mergedDocument);
+      if (denied) {
+        crdtMerges.inc({ endpoint: 'document', result: 'forbidden' });
+        logger.warn('Rejected document merge', { userId: req.user.id, role: req.user.role, reason: denied });
+        return res.status(403).json({ error: denied });
       }
-      
-      try {
-        // 同步到資料庫（只處理已有 ID 的更新/刪除）
-        await syncToDatabase();
-        console.log('Document merged and synced to database');
-      } catch (e) {
-        console.warn('syncToDatabase 失敗（可能是 DB 未連線或權限問題），暫時略過：', e);
+      const invalid = validateDocumentChange(currentDocument, mergedDocument);
+      if (invalid) {
+        crdtMerges.inc({ endpoint: 'document', result: 'invalid' });
+        logger.warn('Rejected document merge: schema validation failed', { userId: req.user.id, invalid: describeInvalid(invalid) });
+        const changes = describeRejectedChanges(currentDocument, mergedDocument, invalid);
+        return res.status(422).json({ error: 'Validation failed', employees: {}, ...invalid, changes });
       }
+      const before = currentDocument;
+      commitDocument(mergedDocument, { user: req.user, source: 'sync' });
+      crdtMerges.inc({ endpoint: 'document', result: 'merged' });
+      const { committed, pending, duplicates: flagged } = await handleMergedChanges(before, req.user);
+      database = { committed, pending };
+      duplicates = flagged;
     }
     
     res.json({ 
       success: true, 
       merged: hasChanges,
+      database,
+      duplicates,
       timestamp: Date.now()
     });
   } catch (err) {
-    console.error('Failed to merge document:', err);
+    crdtMerges.inc({ endpoint: 'document', result: 'error' });
+    logger.error('Failed to merge document', { err });
     res.status(500).json({ error: 'Failed to merge document' });
   }
 });
 
-// 獲取所有員工（傳統 REST API）
-app.get('/api/employees', async (req, res) => {
+// 即時通知：文檔變更時推送最新 heads，客戶端自行判斷是否需要同步
+app.get('/api/sync/events', auth.requirePermission('read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // 連線時先送一次目前 heads，讓斷線期間錯過的變更也能補上
+  res.write('retry: 5000\n\n');
+  writeDocumentEvent(res);
+  eventSubscribers.add(res);
+
+  req.on('close', () => {
+    eventSubscribers.delete(res);
+  });
+});
+
+// 增量同步：接收客戶端的 sync message，回傳對方缺少的變更（無內容時回 204）
+app.post('/api/sync/messages', auth.requirePermission('read'), requireClientSchema, async (req, res) => {
+  const clientId = String(req.get('X-Client-Id') || '').trim();
+  if (!clientId) {
+    return res.status(400).json({ error: 'X-Client-Id header is required' });
+  }
+
   try {
-    console.log('API: 正在執行員工查詢...');
-    const { data, error } = await supabase
-      .from(EMP_TABLE)
-      .select('employee_id, first_name, last_name, department, position, hire_date, birth_date, gender, email, phone_number, address, status')
-      .order('first_name', { ascending: true })
-      .order('last_name', { ascending: true });
-    if (error) throw error;
-
-    const mapped = (data || []).map((r) => ({
-      EmployeeID: r.employee_id,
-      FirstName: r.first_name || '',
-      LastName: r.last_name || '',
-      Department: r.department || '',
-      Position: r.position || '',
-      HireDate: r.hire_date ? new Date(r.hire_date).toISOString().split('T')[0] : '',
-      BirthDate: r.birth_date ? new Date(r.birth_date).toISOString().split('T')[0] : '',
-      Gender: r.gender || '',
-      Email: r.email || '',
-      PhoneNumber: r.phone_number || '',
-      Address: r.address || '',
-      Status: r.status || 'Active',
-    }));
+    let syncState = getClientSyncState(clientId);
+
+    if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+      const oldHeads = Automerge.getHeads(currentDocument);
+      // 在副本上接收，確認權限後才取代全域文檔
+      const [nextDocument, nextState] = Automerge.receiveSyncMessage(Automerge.clone(currentDocument), syncState, new Uint8Array(req.body));
+
+      const newHeads = Automerge.getHeads(nextDocument);
+      const hasChanges = oldHeads.length !== newHeads.length || oldHeads.some(h => !newHeads.includes(h));
+      if (hasChanges) {
+        const denied = authorizeDocumentChange(req.user, currentDocument, nextDocument);
+        if (denied) {
+          crdtMerges.inc({ endpoint: 'messages', result: 'forbidden' });
+          logger.warn('Rejected sync message', { userId: req.user.id, role: req.user.role, clientId, reason: denied });
+          clientSyncStates.delete(clientId);
+          return res.status(403).json({ error: denied });
+        }
+        const invalid = validateDocumentChange(currentDocument, nextDocument);
+        if (invalid) {
+          crdtMerges.inc({ endpoint: 'messages', result: 'invalid' });
+          logger.warn('Rejected sync message: schema validation failed', { userId: req.user.id, clientId, invalid: describeInvalid(invalid) });
+          clientSyncStates.delete(clientId);
+          const changes = describeRejectedChanges(currentDocument, nextDocument, invalid);
+          return res.status(422).json({ error: 'Validation failed', employees: {}, ...invalid, changes });
+        }
+        const before = currentDocument;
+        commitDocument(nextDocument, { user: req.user, source: 'sync' });
+        crdtMerges.inc({ endpoint: 'messages', result: 'merged' });
+        const { committed, pending } = await handleMergedChanges(before, req.user);
+        res.set({ 'X-Committed-Changes': String(committed.length), 'X-Pending-Changes': String(pending.length) });
+      }
+      syncState = nextState;
+    }
+
+    // 合併後處理可能改動文檔（換 UUID 鍵、回填 employee_id），一併放進回覆
+    const [replyState, reply] = Automerge.generateSyncMessage(currentDocument, syncState);
+    setClientSyncState(clientId, replyState);
+
+    if (!reply) {
+      return res.status(204).end();
+    }
+    res.set('Content-Type', 'application/octet-stream');
+    res.send(Buffer.from(reply));
+  } catch (err) {
+    crdtMerges.inc({ endpoint: 'messages', result: 'error' });
+    logger.error('Failed to process sync message', { clientId, err });
+    // 狀態可能已與客戶端不一致，重置後讓客戶端重新協商
+    clientSyncStates.delete(clientId);
+    res.status(500).json({ error: 'Failed to process sync message' });
+  }
+});
 
-    console.log(`API: 查詢完成，找到 ${mapped.length} 名員工`);
-    console.log('API: 第一筆資料:', mapped[0] || 'No records');
-    res.json(mapped);
+// 獲取員工（傳統 REST API）
+// 支援 page/limit 分頁、sort/order 排序、department/status/position/hireDateFrom/hireDateTo 篩選與 q 搜尋
+// 帶 page 或 limit 時回傳 { items, total, page, limit, totalPages }，否則回傳完整陣列（總筆數在 X-Total-Count）
+app.get('/api/employees', auth.requirePermission('read'), async (req, res) => {
+  let query;
+  try {
+    query = parseEmployeeQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
+
+  const respond = (items, total) => {
+    res.set('X-Total-Count', String(total));
+    res.json(query.paginated ? toPageResponse(items, total, query) : items);
+  };
+
+  try {
+    const { items, total } = await getEmployeeStore().list(query);
+    logger.debug('Employee query completed', { total, returned: items.length });
+    respond(items, total);
   } catch (err) {
-    console.error('Failed to fetch employees:', err);
-    console.error('API 錯誤詳情:', err.message);
+    logger.error('Failed to fetch employees', { err });
 
     // POC Fallback：改回傳目前 CRDT 狀態，避免 500 讓前端卡住
     try {
       const employeesFromCrdt = Object.entries(currentDocument.employees)
         .filter(([key, emp]) => {
-          // 跳過臨時 key 與刪除紀錄
-          if (typeof key === 'string' && (key.startsWith('new-') || key.startsWith('temp-'))) return false;
-          const e = emp || {};
-          const id = Number(e.EmployeeID ?? 0);
-          const status = String(e.Status ?? 'Active').toLowerCase();
-          if (!Number.isInteger(id) || id <= 0) return false;
-          if (status === 'deleted') return false;
-          return true;
+          // 跳過舊格式鍵與回收桶中的員工
+          if (!isUuid(key)) return false;
+          return !employeeSchema.isDeletedEmployee(emp);
         })
-        .map(([, emp]) => emp);
+        .map(([key, emp]) => ({ ...toPlainEmployee(emp), EmployeeUUID: key }));
 
-      console.warn('DB 失敗，回傳 CRDT 快照做為暫時資料。筆數：', employeesFromCrdt.length);
-      return res.status(200).json(employeesFromCrdt);
+      const { items, total } = filterEmployees(employeesFromCrdt, query);
+      logger.warn('Serving CRDT snapshot because the database query failed', { total });
+      return respond(items, total);
     } catch (fallbackErr) {
-      console.error('Fallback 也失敗：', fallbackErr);
+      logger.error('CRDT snapshot fallback failed', { err: fallbackErr });
       return res.status(500).json({ error: 'Failed to fetch employees', details: err.message });
     }
   }
 });
 
 // 新增員工（傳統 REST API）
-app.post('/api/employees', async (req, res) => {
+app.post('/api/employees', auth.requirePermission('write'), async (req, res) => {
   try {
-    console.log('POST /api/employees - 收到請求:', req.body);
-    const employee = req.body;
-    if (!employee.FirstName || !employee.LastName) {
-      return res.status(400).json({ error: 'FirstName and LastName are required' });
+    const employee = { Status: 'Active', ...req.body };
+    const errors = validateEmployee(employee);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
     }
     
+    // 沿用客戶端產生的 UUID；已存在（含回收桶與被合併的員工）回 409，修改與還原只能走 PUT 與 /restore
     const sanitized = sanitizeEmployee(employee);
-    const payload = {
-      first_name: sanitized.FirstName,
-      last_name: sanitized.LastName,
-      department: sanitized.Department,
-      position: sanitized.Position,
-      hire_date: sanitized.HireDate,
-      birth_date: sanitized.BirthDate,
-      gender: sanitized.Gender,
-      email: sanitized.Email,
-      phone_number: sanitized.PhoneNumber,
-      address: sanitized.Address,
-      status: sanitized.Status,
-    };
+    if (!isUuid(sanitized.EmployeeUUID)) sanitized.EmployeeUUID = uuidv4();
+    const existing = currentDocument.employees[sanitized.EmployeeUUID];
+    if (existing) {
+      return res.status(409).json({
+        error: 'Employee already exists',
+        ...(existing.DeletedAt ? { deletedAt: String(existing.DeletedAt) } : {}),
+        ...(existing.MergedInto ? { mergedInto: String(existing.MergedInto) } : {})
+      });
+    }
 
-    const { data, error } = await supabase
-      .from(EMP_TABLE)
-      .insert(payload)
-      .select('employee_id, first_name, last_name, department, position, hire_date, birth_date, gender, email, phone_number, address, status')
-      .single();
-    if (error) throw error;
-    
-    const newEmployee = {
-      EmployeeID: data.employee_id,
-      FirstName: data.first_name || '',
-      LastName: data.last_name || '',
-      Department: data.department || '',
-      Position: data.position || '',
-      HireDate: data.hire_date ? new Date(data.hire_date).toISOString().split('T')[0] : '',
-      BirthDate: data.birth_date ? new Date(data.birth_date).toISOString().split('T')[0] : '',
-      Gender: data.gender || '',
-      Email: data.email || '',
-      PhoneNumber: data.phone_number || '',
-      Address: data.address || '',
-      Status: data.status || 'Active'
-    };
+    const newEmployee = await getEmployeeStore().upsert(sanitized);
 
-    currentDocument = Automerge.change(currentDocument, doc => {
-      doc.employees[String(newEmployee.EmployeeID)] = newEmployee;
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      doc.employees[newEmployee.EmployeeUUID] = newEmployee;
       doc.lastModified = Date.now();
-    });
+    }), { user: req.user, source: 'rest' });
     
-    console.log('CRDT 文檔已更新');
-    res.json({ success: true, employee: newEmployee });
+    logger.debug('Employee created', { employeeUUID: newEmployee.EmployeeUUID });
+    // 可能重複的員工只標示在回覆中，不阻擋新增（由合併畫面處理）
+    const [flagged] = flagDuplicates([newEmployee.EmployeeUUID]);
+    res.json({ success: true, employee: newEmployee, duplicates: flagged?.duplicates ?? [] });
   } catch (err) {
-    console.error('Failed to create employee:', err);
+    logger.error('Failed to create employee', { err });
     res.status(500).json({ error: 'Failed to create employee' });
   }
 });
 
-// 更新員工（傳統 REST API）
-app.put('/api/employees/:id', async (req, res) => {
+// 更新員工（傳統 REST API，:id 可為 UUID 或 employee_id）
+app.put('/api/employees/:id', auth.requirePermission('write'), async (req, res) => {
   try {
-    const employeeId = Number(req.params.id);
-    const employee = req.body;
-    
-    console.log('PUT /api/employees/:id - 收到請求:', { employeeId, employee });
-    
-    if (!employee.FirstName || !employee.LastName) {
-      return res.status(400).json({ error: 'FirstName and LastName are required' });
+    // 沒有帶 ManagerID 的舊版呼叫端保留原本的主管
+    const key = findDocumentKey(req.params.id);
+    const current = key ? currentDocument.employees[key] : null;
+    if (current?.MergedInto) {
+      return res.status(409).json({ error: 'Employee was merged into another employee', mergedInto: String(current.MergedInto) });
     }
+    const employee = { Status: 'Active', ManagerID: String(current?.ManagerID ?? ''), ...req.body };
     
-    const sanitized = sanitizeEmployee(employee);
-    const payload = {
-      first_name: sanitized.FirstName,
-      last_name: sanitized.LastName,
-      department: sanitized.Department,
-      position: sanitized.Position,
-      hire_date: sanitized.HireDate,
-      birth_date: sanitized.BirthDate,
-      gender: sanitized.Gender,
-      email: sanitized.Email,
-      phone_number: sanitized.PhoneNumber,
-      address: sanitized.Address,
-      status: sanitized.Status,
-    };
-    const { data, error } = await supabase
-      .from(EMP_TABLE)
-      .update(payload)
-      .eq('employee_id', employeeId)
-      .select('employee_id, first_name, last_name, department, position, hire_date, birth_date, gender, email, phone_number, address, status')
-      .single();
-    if (error) throw error;
+    const errors = validateEmployee({ ...employee, EmployeeUUID: key || employee.EmployeeUUID });
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
     
-    const updatedEmployee = {
-      EmployeeID: data.employee_id,
-      FirstName: data.first_name || '',
-      LastName: data.last_name || '',
-      Department: data.department || '',
-      Position: data.position || '',
-      HireDate: data.hire_date ? new Date(data.hire_date).toISOString().split('T')[0] : '',
-      BirthDate: data.birth_date ? new Date(data.birth_date).toISOString().split('T')[0] : '',
-      Gender: data.gender || '',
-      Email: data.email || '',
-      PhoneNumber: data.phone_number || '',
-      Address: data.address || '',
-      Status: data.status || 'Active'
-    };
+    // UUID 建立後不可變更（repository 不會更新 employee_uuid）
+    const updatedEmployee = await getEmployeeStore().update(req.params.id, sanitizeEmployee(employee));
+    if (!updatedEmployee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
     
-    currentDocument = Automerge.change(currentDocument, doc => {
-      doc.employees[String(employeeId)] = updatedEmployee;
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      // 逐欄更新既有的 map，避免整個物件替換後蓋掉其他客戶端的並行欄位修改
+      const existing = doc.employees[updatedEmployee.EmployeeUUID];
+      if (existing) {
+        for (const [field, value] of Object.entries(updatedEmployee)) {
+          if (existing[field] !== value) existing[field] = value;
+        }
+      } else {
+        doc.employees[updatedEmployee.EmployeeUUID] = updatedEmployee;
+      }
       doc.lastModified = Date.now();
-    });
+    }), { user: req.user, source: 'rest' });
     
-    console.log('CRDT 文檔已更新');
+    logger.debug('Employee updated', { employeeUUID: updatedEmployee.EmployeeUUID, fields: Object.keys(req.body || {}) });
     
     res.json({ success: true, employee: updatedEmployee });
   } catch (err) {
-    console.error('Failed to update employee:', err);
+    logger.error('Failed to update employee', { id: req.params.id, err });
     res.status(500).json({ error: 'Failed to update employee' });
   }
 });
 
-// 刪除員工（傳統 REST API）
-app.delete('/api/employees/:id', async (req, res) => {
+// 刪除員工（傳統 REST API，:id 可為 UUID 或 employee_id）：移到回收桶，保留在文檔中作為 tombstone
+app.delete('/api/employees/:id', auth.requirePermission('delete'), async (req, res) => {
   try {
-    const employeeId = Number(req.params.id);
-    
-    console.log('DELETE /api/employees/:id - 收到請求:', { employeeId });
+    const id = req.params.id;
     
-    const { error } = await supabase
-      .from(EMP_TABLE)
-      .delete()
-      .eq('employee_id', employeeId);
-    if (error) throw error;
-
-    currentDocument = Automerge.change(currentDocument, doc => {
-      delete doc.employees[String(employeeId)];
-      doc.lastModified = Date.now();
-    });
+    const tombstone = { deletedAt: new Date().toISOString(), deletedBy: req.user?.name || req.user?.id || 'system' };
+    const keys = new Set(await getEmployeeStore().softDelete(id, tombstone));
+    const documentKey = findDocumentKey(id);
+    if (documentKey) keys.add(documentKey);
+    if (keys.size === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    // 已在回收桶中的員工不再產生變更與稽核紀錄
+    const targets = [...keys].filter(key => currentDocument.employees[key] && !currentDocument.employees[key].DeletedAt);
+    if (targets.length > 0) {
+      commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+        targets.forEach(key => {
+          doc.employees[key].DeletedAt = tombstone.deletedAt;
+          doc.employees[key].DeletedBy = tombstone.deletedBy;
+        });
+        doc.lastModified = Date.now();
+      }), { user: req.user, source: 'rest' });
+    }
     
-    console.log('CRDT 文檔已更新，員工已刪除');
+    logger.debug('Employee moved to recycle bin', { id, employeeUUIDs: [...keys] });
     
-    res.json({ success: true, deletedId: employeeId });
+    res.json({ success: true, deletedId: id, deletedAt: tombstone.deletedAt });
   } catch (err) {
-    console.error('Failed to delete employee:', err);
+    logger.error('Failed to delete employee', { id: req.params.id, err });
     res.status(500).json({ error: 'Failed to delete employee' });
   }
 });
 
-// 處理離線新增的員工
-async function processOfflineEmployees() {
-  const employees = currentDocument.employees;
-  const newEmployees = [];
-  
-  // 找出所有新增的員工：
-  // 1) 以 new- 開頭的鍵（離線建立）
-  // 2) EmployeeID <= 0（本地暫時負數或 0）
-  for (const [employeeKey, employee] of Object.entries(employees)) {
-    const isNewKey = typeof employeeKey === 'string' && employeeKey.startsWith('new-');
-    const isTempId = typeof employee?.EmployeeID === 'number' && employee.EmployeeID <= 0;
-    if (isNewKey || isTempId) {
-      newEmployees.push({ key: employeeKey, employee });
+// 回收桶：已刪除的員工，最近刪除的在前（DB 無法使用時改由 CRDT 文檔產生）
+app.get('/api/employees/deleted', auth.requirePermission('read'), async (req, res) => {
+  try {
+    res.json(await getEmployeeStore().listDeleted());
+  } catch (err) {
+    logger.warn('Failed to read recycle bin, falling back to CRDT document', { error: err.message });
+    const deleted = Object.entries(currentDocument.employees || {})
+      .filter(([key, employee]) => isUuid(key) && employee?.DeletedAt)
+      .map(([key, employee]) => ({ ...toPlainEmployee(employee), EmployeeUUID: key }))
+      .sort((a, b) => String(b.DeletedAt).localeCompare(String(a.DeletedAt)));
+    res.json(deleted);
+  }
+});
+
+// 可能重複的員工（CRDT 文檔為準，不含回收桶）：[{ employees: [a, b], reasons }]
+// reasons 為 email（電子郵件相同）、phone（電話號碼相同）、name（姓名相近且生日相同）
+app.get('/api/employees/duplicates', auth.requirePermission('read'), (req, res) => {
+  res.json(employeeDuplicates.findDuplicatePairs(activeEmployeesOf(currentDocument)));
+});
+
+// 合併重複的員工：{ winner, loser, employee? }（winner/loser 可為 UUID 或 employee_id，employee 為合併後的欄位值，省略時沿用 winner）
+// 保留的員工寫入合併後的欄位；被合併的員工移到回收桶並以 MergedInto 指向保留的員工，之後不能還原；
+// 以被合併員工為主管的下屬與部門主管改為保留的員工。整個合併是同一次 CRDT 變更
+app.post('/api/employees/merge', auth.requirePermission('delete'), async (req, res) => {
+  try {
+    const winnerKey = findDocumentKey(String(req.body?.winner ?? ''));
+    const loserKey = findDocumentKey(String(req.body?.loser ?? ''));
+    const employees = currentDocument.employees || {};
+    const winner = winnerKey ? employees[winnerKey] : null;
+    const loser = loserKey ? employees[loserKey] : null;
+    if (!winner || !loser || employeeSchema.isDeletedEmployee(winner) || employeeSchema.isDeletedEmployee(loser)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (winnerKey === loserKey) {
+      return res.status(400).json({ error: 'Cannot merge an employee into itself' });
+    }
+
+    const fields = req.body?.employee && typeof req.body.employee === 'object' ? req.body.employee : {};
+    const merged = employeeDuplicates.mergeEmployees(
+      { ...toPlainEmployee(winner), ...Object.fromEntries(employeeDuplicates.MERGE_FIELDS.filter(field => field in fields).map(field => [field, fields[field]])), EmployeeUUID: winnerKey },
+      { ...toPlainEmployee(loser), EmployeeUUID: loserKey }
+    );
+    const subordinates = Object.keys(employees)
+      .filter(key => key !== winnerKey && String(employees[key]?.ManagerID ?? '') === loserKey);
+
+    // 以合併後的主管關係驗證：保留的員工與改掛到他名下的下屬都不能形成匯報循環
+    const context = employeeContextOf(currentDocument);
+    context.employees[winnerKey] = { ManagerID: String(merged.ManagerID ?? '') };
+    subordinates.forEach(key => { context.employees[key] = { ManagerID: winnerKey }; });
+    const errors = validateEmployee(merged, context)
+      || (subordinates.some(key => employeeSchema.findReportingCycle(context.employees, key))
+        ? { ManagerID: { code: 'cycle', message: '合併後會形成匯報循環，請改選保留員工的直屬主管' } }
+        : null);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
     }
+
+    const tombstone = { DeletedAt: new Date().toISOString(), DeletedBy: req.user?.name || req.user?.id || 'system' };
+    const heads = Object.keys(currentDocument.departments || {})
+      .filter(key => String(currentDocument.departments[key]?.HeadEmployeeUUID ?? '') === loserKey);
+    commitDocument(Automerge.change(currentDocument, changeOptions('merge', req.user), doc => {
+      const target = doc.employees[winnerKey];
+      for (const field of employeeDuplicates.MERGE_FIELDS) {
+        if (target[field] !== merged[field]) target[field] = merged[field];
+      }
+      Object.assign(doc.employees[loserKey], tombstone, { MergedInto: winnerKey });
+      subordinates.forEach(key => { doc.employees[key].ManagerID = winnerKey; });
+      heads.forEach(key => { doc.departments[key].HeadEmployeeUUID = winnerKey; });
+      doc.lastModified = Date.now();
+    }), { user: req.user, source: 'merge' });
+
+    const database = await syncToDatabase([winnerKey, loserKey, ...subordinates]);
+    if (heads.length > 0) await syncDepartmentsToDatabase();
+
+    res.json({
+      success: true,
+      employee: { ...toPlainEmployee(currentDocument.employees[winnerKey]), EmployeeUUID: winnerKey },
+      mergedInto: winnerKey,
+      redirected: { employees: subordinates.length, departments: heads.length },
+      database
+    });
+  } catch (err) {
+    logger.error('Failed to merge employees', { err });
+    res.status(500).json({ error: 'Failed to merge employees' });
   }
-  
-  console.log('發現離線新增的員工:', newEmployees.length, '個');
-  
-  // 為每個新員工生成真實 ID 並插入資料庫（改用 Supabase）
-  for (const { key, employee } of newEmployees) {
-    try {
-      const sanitized = sanitizeEmployee(employee);
-      const payload = {
-        first_name: sanitized.FirstName,
-        last_name: sanitized.LastName,
-        department: sanitized.Department,
-        position: sanitized.Position,
-        hire_date: sanitized.HireDate,
-        birth_date: sanitized.BirthDate,
-        gender: sanitized.Gender,
-        email: sanitized.Email,
-        phone_number: sanitized.PhoneNumber,
-        address: sanitized.Address,
-        status: sanitized.Status,
+});
+
+// 匯出在職員工（CRDT 文檔為準，包含尚未寫入資料庫的員工）：format=csv|xlsx|json，預設 csv
+// CSV/XLSX 第一列為欄位名稱，可直接以 POST /api/employees/import 匯回
+app.get('/api/employees/export', auth.requirePermission('read'), (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv, xlsx or json' });
+  }
+  try {
+    const employees = Object.entries(currentDocument.employees || {})
+      .filter(([key, employee]) => isUuid(key) && !employeeSchema.isDeletedEmployee(employee))
+      .map(([key, employee]) => ({ ...toPlainEmployee(employee), EmployeeUUID: key }))
+      .sort((a, b) => `${a.FirstName} ${a.LastName}`.localeCompare(`${b.FirstName} ${b.LastName}`));
+
+    res.attachment(`employees-${new Date().toISOString().split('T')[0]}.${format}`);
+    if (format === 'json') {
+      return res.json(employees);
+    }
+    const rows = employeeImport.employeesToRows(employees);
+    if (format === 'xlsx') {
+      return res.type(XLSX_TYPE).send(Buffer.from(spreadsheet.toXlsx(rows, 'Employees')));
+    }
+    res.type('text/csv; charset=utf-8').send(spreadsheet.toCsv(rows));
+  } catch (err) {
+    logger.error('Failed to export employees', { err });
+    res.status(500).json({ error: 'Failed to export employees' });
+  }
+});
+
+// 讀取匯入的試算表：text/csv、XLSX（或 application/octet-stream）與 JSON { employees: [{ 欄位: 值 }] }
+// 回傳二維陣列，第一列為欄位標題
+async function readImportRows(req) {
+  if (Array.isArray(req.body?.employees)) {
+    const headers = [...new Set(req.body.employees.flatMap(employee => Object.keys(employee ?? {})))];
+    return [headers, ...req.body.employees.map(employee => headers.map(header => employee?.[header] ?? ''))];
+  }
+  if (Buffer.isBuffer(req.body)) {
+    return await spreadsheet.parseSpreadsheet(new Uint8Array(req.body));
+  }
+  if (typeof req.body === 'string') {
+    return spreadsheet.parseCsv(req.body);
+  }
+  throw new Error('Send text/csv, an XLSX file or JSON { employees: [...] }');
+}
+
+// 批次匯入員工：第一列為欄位標題（欄位名稱、中文名稱或資料庫欄位名稱）
+// 有 EmployeeUUID 且是既有員工時修改（沒有的欄位保留原值），其他列新增；直屬主管可填 UUID 或主管的電子郵件
+// 回收桶中與被合併的員工不會被修改，該列回報 EmployeeUUID 錯誤（與 /restore 的規則一致）
+// dryRun=true 只驗證；否則有效的列以一次變更寫入文檔，再整批寫入資料庫，有錯誤的列略過
+app.post('/api/employees/import', auth.requirePermission('write'), async (req, res) => {
+  let rows;
+  try {
+    rows = await readImportRows(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (rows.length < 2) {
+    return res.status(400).json({ error: 'No employee rows to import' });
+  }
+
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? '') === 'true';
+    const [headers, ...dataRows] = rows;
+    const mapping = employeeImport.suggestColumnMapping(headers);
+    const results = employeeImport.prepareEmployeeImport(dataRows, mapping, {
+      employees: Object.entries(currentDocument.employees || {})
+        .filter(([key]) => isUuid(key))
+        .map(([key, employee]) => ({ ...toPlainEmployee(employee), EmployeeUUID: key })),
+      departmentCodes: departmentCodesOf(currentDocument),
+      createUuid: uuidv4
+    });
+    const valid = results.filter(result => !employeeSchema.hasFieldErrors(result.errors));
+
+    let database = { committed: [], pending: [] };
+    if (!dryRun && valid.length > 0) {
+      commitDocument(Automerge.change(currentDocument, changeOptions('import', req.user), doc => {
+        for (const { employee } of valid) {
+          const value = Object.fromEntries(employeeImport.EMPLOYEE_EXPORT_FIELDS.map(field => [field, employee[field]]));
+          // 既有員工逐欄更新，避免蓋掉其他客戶端的並行欄位修改
+          const existing = doc.employees[employee.EmployeeUUID];
+          if (existing) {
+            for (const [field, fieldValue] of Object.entries(value)) {
+              if (existing[field] !== fieldValue) existing[field] = fieldValue;
+            }
+          } else {
+            doc.employees[employee.EmployeeUUID] = value;
+          }
+        }
+        doc.lastModified = Date.now();
+      }), { user: req.user, source: 'import' });
+      database = await syncToDatabase(valid.map(result => result.employee.EmployeeUUID));
+    }
+
+    res.json({
+      dryRun,
+      created: valid.filter(result => result.operation === 'create').length,
+      updated: valid.filter(result => result.operation === 'update').length,
+      rejected: results.length - valid.length,
+      ignoredColumns: headers.filter((header, index) => !mapping[index]).map(String),
+      rows: results.map(({ row, operation, employee, errors }) => ({ row, operation, EmployeeUUID: employee.EmployeeUUID, errors })),
+      database
+    });
+  } catch (err) {
+    logger.error('Failed to import employees', { err });
+    res.status(500).json({ error: 'Failed to import employees' });
+  }
+});
+
+// 從回收桶還原（:id 可為 UUID 或 employee_id）：移除刪除標記，欄位維持刪除前的值
+app.post('/api/employees/:id/restore', auth.requirePermission('write'), async (req, res) => {
+  try {
+    const key = findDocumentKey(req.params.id);
+    const current = key ? currentDocument.employees[key] : null;
+    // 合併重複員工時被合併的一方不能還原
+    if (current?.MergedInto) {
+      return res.status(409).json({ error: 'Employee was merged into another employee', mergedInto: String(current.MergedInto) });
+    }
+    const restored = await getEmployeeStore().restore(req.params.id);
+    if (!restored && !employeeSchema.isDeletedEmployee(current)) {
+      return res.status(404).json({ error: 'Employee not found in recycle bin' });
+    }
+
+    const restoredKey = restored?.EmployeeUUID ?? key;
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      const target = doc.employees[restoredKey];
+      if (!target) {
+        doc.employees[restoredKey] = restored;
+      } else {
+        delete target.DeletedAt;
+        delete target.DeletedBy;
+        if (String(target.Status ?? '').toLowerCase() === 'deleted') target.Status = restored?.Status || 'Active';
+      }
+      doc.lastModified = Date.now();
+    }), { user: req.user, source: 'rest' });
+
+    res.json({ success: true, employee: restored ?? { ...toPlainEmployee(currentDocument.employees[restoredKey]), EmployeeUUID: restoredKey } });
+  } catch (err) {
+    logger.error('Failed to restore employee', { err });
+    res.status(500).json({ error: 'Failed to restore employee' });
+  }
+});
+
+// 部門主檔（CRDT 文檔為準，資料庫為寫入後的副本）
+app.get('/api/departments', auth.requirePermission('read'), (req, res) => {
+  const departments = Object.values(toPlainDepartments(currentDocument))
+    .sort((a, b) => String(a.Code).localeCompare(String(b.Code)));
+  res.json(departments);
+});
+
+// 新增部門（沿用客戶端產生的 UUID）
+app.post('/api/departments', auth.requirePermission('write'), async (req, res) => {
+  try {
+    const uuid = isUuid(req.body?.DepartmentUUID) ? req.body.DepartmentUUID : uuidv4();
+    if (currentDocument.departments[uuid]) {
+      return res.status(409).json({ error: 'Department already exists' });
+    }
+    const department = sanitizeDepartment(req.body || {}, uuid);
+    const errors = validateDepartment(department);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      doc.departments[uuid] = department;
+      doc.lastModified = Date.now();
+    }), { user: req.user, source: 'rest' });
+    await syncDepartmentsToDatabase();
+
+    res.json({ success: true, department });
+  } catch (err) {
+    logger.error('Failed to create department', { err });
+    res.status(500).json({ error: 'Failed to create department' });
+  }
+});
+
+// 更新部門（代碼不可修改）
+app.put('/api/departments/:id', auth.requirePermission('write'), async (req, res) => {
+  try {
+    const uuid = req.params.id;
+    const existing = currentDocument.departments[uuid];
+    if (!existing) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    const department = sanitizeDepartment({ Code: existing.Code, ...req.body }, uuid);
+    const errors = validateDepartment(department) || {};
+    if (department.Code !== String(existing.Code)) {
+      errors.Code = { code: 'immutable', message: '部門代碼建立後不能修改' };
+    }
+    if (employeeSchema.hasFieldErrors(errors)) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      const target = doc.departments[uuid];
+      for (const [field, value] of Object.entries(department)) {
+        if (target[field] !== value) target[field] = value;
+      }
+      doc.lastModified = Date.now();
+    }), { user: req.user, source: 'rest' });
+    await syncDepartmentsToDatabase();
+
+    res.json({ success: true, department });
+  } catch (err) {
+    logger.error('Failed to update department', { err });
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+});
+
+// 刪除部門：仍有員工或下層部門時回傳 409
+app.delete('/api/departments/:id', auth.requirePermission('delete'), async (req, res) => {
+  try {
+    const uuid = req.params.id;
+    if (!currentDocument.departments[uuid]) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    const usage = findDepartmentUsage(currentDocument, uuid);
+    if (usage) {
+      return res.status(409).json({ error: 'Department is still in use', ...usage });
+    }
+
+    commitDocument(Automerge.change(currentDocument, changeOptions('rest', req.user), doc => {
+      delete doc.departments[uuid];
+      doc.lastModified = Date.now();
+    }), { user: req.user, source: 'rest' });
+    await syncDepartmentsToDatabase();
+
+    res.json({ success: true, deletedId: uuid });
+  } catch (err) {
+    logger.error('Failed to delete department', { err });
+    res.status(500).json({ error: 'Failed to delete department' });
+  }
+});
+
+// 員工變更歷史（:id 可為 UUID 或 employee_id）
+// 欄位差異取自 Automerge 變更紀錄；使用者以稽核紀錄（伺服器驗證過的身分）為準，沒有時才採用 change message 中的宣告
+app.get('/api/employees/:id/history', auth.requirePermission('read'), async (req, res) => {
+  try {
+    const key = findDocumentKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const auditEntries = await auditLog.listForEmployee(key);
+    const auditByHash = new Map(auditEntries.filter(entry => entry.hash).map(entry => [entry.hash, entry]));
+
+    const entries = getEmployeeHistory(currentDocument, key).map(entry => {
+      const audited = auditByHash.get(entry.hash);
+      auditByHash.delete(entry.hash);
+      return {
+        ...entry,
+        source: audited?.source ?? entry.source,
+        user: audited?.user ?? entry.user,
+        verified: !!audited
       };
-      const { data, error } = await supabase
-        .from(EMP_TABLE)
-        .insert(payload)
-        .select('employee_id, first_name, last_name, department, position, hire_date, birth_date, gender, email, phone_number, address, status')
-        .single();
-      if (error) throw error;
-
-      const newEmployeeId = data.employee_id;
-      console.log('離線員工已插入，新 ID:', newEmployeeId, '原鍵:', key);
-      
-      // 更新 CRDT 文檔，將臨時鍵替換為真實 ID
-      currentDocument = Automerge.change(currentDocument, doc => {
-        const updatedEmployee = {
-          EmployeeID: data.employee_id,
-          FirstName: data.first_name || '',
-          LastName: data.last_name || '',
-          Department: data.department || '',
-          Position: data.position || '',
-          HireDate: data.hire_date ? new Date(data.hire_date).toISOString().split('T')[0] : '',
-          BirthDate: data.birth_date ? new Date(data.birth_date).toISOString().split('T')[0] : '',
-          Gender: data.gender || '',
-          Email: data.email || '',
-          PhoneNumber: data.phone_number || '',
-          Address: data.address || '',
-          Status: data.status || 'Active'
-        };
-        delete doc.employees[key];
-        doc.employees[String(newEmployeeId)] = updatedEmployee;
+    });
+
+    // 文檔中已找不到的變更（例如文檔重建前的紀錄）只剩稽核紀錄，無法還原版本
+    for (const audited of auditByHash.values()) {
+      entries.push({ ...audited, restoredFrom: null, snapshot: null, verified: true });
+    }
+    entries.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+
+    res.json({ employeeUUID: key, entries });
+  } catch (err) {
+    logger.error('Failed to load employee history', { err });
+    res.status(500).json({ error: 'Failed to load employee history' });
+  }
+});
+
+// 處理舊格式鍵：舊版客戶端的 new-/temp- 暫時鍵與以數字 employee_id 為鍵的條目，一律搬到 UUID 鍵下
+// 實際寫入資料庫交給 syncToDatabase 以 UUID upsert
+async function processOfflineEmployees() {
+  const legacyEntries = Object.entries(currentDocument.employees || {})
+    .filter(([key]) => !isUuid(key));
+  if (legacyEntries.length === 0) return;
+
+  logger.info('Found employees under legacy keys', { count: legacyEntries.length });
+
+  for (const [legacyKey, legacyEmployee] of legacyEntries) {
+    try {
+      const employee = toPlainEmployee(legacyEmployee);
+      const employeeId = Number(employee.EmployeeID);
+      let uuid = isUuid(employee.EmployeeUUID) ? employee.EmployeeUUID : null;
+
+      // 已存在於資料庫的員工沿用資料庫中的 UUID
+      if (!uuid && Number.isInteger(employeeId) && employeeId > 0) {
+        uuid = findDocumentKey(String(employeeId)) || null;
+        if (!uuid && employeeStore) {
+          uuid = await employeeStore.findUuidByEmployeeId(employeeId);
+        }
+      }
+      uuid = uuid || uuidv4();
+
+      commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+        // 舊鍵上的欄位值視為較新的修改，逐欄併入 UUID 條目
+        const target = doc.employees[uuid];
+        if (target) {
+          for (const [field, value] of Object.entries(employee)) {
+            if (field === 'EmployeeID' || field === 'EmployeeUUID') continue;
+            if (target[field] !== value) target[field] = value;
+          }
+        } else {
+          doc.employees[uuid] = {
+            ...employee,
+            EmployeeID: employeeId > 0 ? employeeId : 0,
+            EmployeeUUID: uuid
+          };
+        }
+        delete doc.employees[legacyKey];
         doc.lastModified = Date.now();
-      });
-      
+      }));
+      logger.info('Moved legacy key to UUID', { legacyKey, employeeUUID: uuid });
     } catch (err) {
-      console.error('處理離線員工失敗:', key, err);
+      logger.error('Failed to migrate legacy key', { legacyKey, err });
     }
   }
 }
 
+// 回收桶保留天數（RECYCLE_BIN_RETENTION_DAYS，未設定或 0 表示永久保留），超過即從資料庫與文檔永久刪除
+const RECYCLE_BIN_RETENTION_MS = Number(process.env.RECYCLE_BIN_RETENTION_DAYS || 0) * 24 * 60 * 60 * 1000;
+
+async function purgeExpiredEmployees() {
+  if (!(RECYCLE_BIN_RETENTION_MS > 0)) return;
+  const cutoff = Date.now() - RECYCLE_BIN_RETENTION_MS;
+  const expired = Object.keys(currentDocument.employees || {}).filter(key => {
+    const deletedAt = Date.parse(currentDocument.employees[key]?.DeletedAt || '');
+    return Number.isFinite(deletedAt) && deletedAt < cutoff;
+  });
+  if (expired.length === 0) return;
+
+  try {
+    // 先刪資料庫（未連線或失敗時保留在文檔中，下次再試）
+    const store = getEmployeeStore();
+    for (const key of expired) await store.remove(key);
+    // 以永久刪除的員工為主管的下屬改為沒有主管
+    const orphans = Object.keys(currentDocument.employees)
+      .filter(key => expired.includes(String(currentDocument.employees[key]?.ManagerID ?? '')) && !expired.includes(key));
+    commitDocument(Automerge.change(currentDocument, changeOptions('system'), doc => {
+      expired.forEach(key => { delete doc.employees[key]; });
+      orphans.forEach(key => { doc.employees[key].ManagerID = ''; });
+      doc.lastModified = Date.now();
+    }));
+    if (orphans.length > 0) await syncToDatabase(orphans);
+    logger.info('Purged expired employees from recycle bin', { count: expired.length });
+  } catch (err) {
+    logger.error('Failed to purge recycle bin', { err });
+  }
+}
+
+setInterval(() => void purgeExpiredEmployees(), 60 * 60 * 1000).unref();
+
 // 錯誤處理中間件
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { method: req.method, path: req.path, err });
   res.status(500).json({ error: 'Something broke!' });
 });
 
-// 啟動服務器
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-  await connectDB();
+// 讀回上次關閉前尚未寫入資料庫的員工
+async function restoreOutbox() {
+  try {
+    const count = await writeOutbox.load();
+    if (count > 0) logger.info('Restored pending database writes', { count, store: writeOutbox.name });
+  } catch (err) {
+    logger.error('Failed to restore write outbox', { err });
+  }
+}
+
+// 啟動服務器：先還原並升級 CRDT 文檔、載入 schema 再接受連線，避免客戶端合併到空白文檔
+// 文檔無法還原時結束程序，由管理者修復存儲（或改用其他 DOC_STORE_DIR）後再啟動
+Promise.all([restoreDocument(), restoreOutbox(), loadSharedSchemas()]).then(() => {
+  upgradeDocument();
+  app.listen(PORT, async () => {
+    logger.info('Server running', { port: Number(PORT) });
+    await connectDB();
+    await purgeExpiredEmployees();
+  });
+}).catch((err) => {
+  logger.error('Failed to restore CRDT document, refusing to start', { store: documentPersistence.name, err });
+  process.exit(1);
 });
-// 優雅關閉
-process.on('SIGINT', async () => {
-  console.log('Shutting down gracefully...');
+// 優雅關閉：先寫出完整快照
+const shutdown = async () => {
+  logger.info('Shutting down gracefully');
+  documentPersistence.stopCompaction();
+  writeOutbox.stop();
+  await Promise.all([documentPersistence.compact(currentDocument), writeOutbox.drain()]);
   process.exit(0);
-}); 
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown); 
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const Automerge = require('@automerge/automerge');
+const { describeChange, parseChangeMessage } = require('./history');
+const { logger } = require('./logger');
+
+// 稽核紀錄：每次寫入（REST 與 CRDT 同步）都記下經過驗證的使用者、變更 hash 與欄位差異
+// Automerge 的 actor 只代表裝置，要知道「誰」改的必須在伺服器收到變更時記錄
+//
+// 與員工共用同一個資料庫（supabase client / sqlite 連線）；memory 模式附加到 CRDT 文檔旁的 audit.jsonl
+// 資料表（Supabase）：
+//   employee_audit(id bigserial, employee_uuid uuid, change_hash text, actor text,
+//                  user_id text, user_name text, user_role text, source text,
+//                  operation text, changes jsonb, created_at timestamptz)
+// 未連線資料庫或寫入失敗時保留在記憶體（重啟後遺失）；資料庫錯誤另交給 onDatabaseError（metrics）
+
+// 各種存儲的 adapter：insert(rows)、listForEmployee(employeeUUID) → 資料列（新的在前）
+function createSupabaseAudit(client, table) {
+  return {
+    async insert(rows) {
+      const { error } = await client.from(table).insert(rows);
+      if (error) throw error;
+    },
+    async listForEmployee(employeeUUID) {
+      const { data, error } = await client
+        .from(table)
+        .select('*')
+        .eq('employee_uuid', employeeUUID)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    }
+  };
+}
+
+// SQLite：changes 存成 JSON 字串
+function createSqliteAudit(db, table) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid AUDIT_TABLE for sqlite: ${table}`);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      employee_uuid TEXT NOT NULL,
+      change_hash TEXT, actor TEXT,
+      user_id TEXT, user_name TEXT, user_role TEXT,
+      source TEXT NOT NULL, operation TEXT NOT NULL,
+      changes TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_employee_idx ON ${table} (employee_uuid, created_at);
+  `);
+  const insertStatement = db.prepare(`
+    INSERT INTO ${table} (employee_uuid, change_hash, actor, user_id, user_name, user_role, source, operation, changes, created_at)
+    VALUES (:employee_uuid, :change_hash, :actor, :user_id, :user_name, :user_role, :source, :operation, :changes, :created_at)
+  `);
+  const listStatement = db.prepare(`SELECT * FROM ${table} WHERE employee_uuid = ? ORDER BY created_at DESC, id DESC`);
+
+  return {
+    async insert(rows) {
+      db.exec('BEGIN');
+      try {
+        rows.forEach(row => insertStatement.run({ ...row, changes: JSON.stringify(row.changes) }));
+        db.exec('COMMIT');
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+    async listForEmployee(employeeUUID) {
+      return listStatement.all(employeeUUID).map(row => ({ ...row, changes: JSON.parse(row.changes || '[]') }));
+    }
+  };
+}
+
+// 檔案：每列一行 JSON，只附加不改寫；查詢時讀取整個檔（memory 模式僅供開發與測試）
+function createFileAudit(filePath) {
+  return {
+    async insert(rows) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+    },
+    async listForEmployee(employeeUUID) {
+      let content = '';
+      try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      return content.split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(row => row.employee_uuid === employeeUUID)
+        .reverse();
+    }
+  };
+}
+
+// getStore() 回傳目前連線的員工 repository（未連線為 null），依其種類選擇 adapter
+function createAuditLog({
+  getStore,
+  table = 'employee_audit',
+  file = path.join(path.resolve(process.env.DOC_STORE_DIR || path.join(__dirname, '..', 'data')), 'audit.jsonl'),
+  memoryLimit = 5000,
+  onDatabaseError = () => {}
+}) {
+  const memory = [];
+  let adapterStore = null;
+  let adapter = null;
+
+  const remember = (rows) => {
+    memory.push(...rows);
+    if (memory.length > memoryLimit) memory.splice(0, memory.length - memoryLimit);
+  };
+
+  // 員工 repository 連線後才建立 adapter（sqlite 會在此時建立資料表）
+  const currentAdapter = () => {
+    const store = getStore();
+    if (!store) return null;
+    if (adapterStore !== store) {
+      switch (store.name) {
+        case 'supabase':
+          adapter = createSupabaseAudit(store.client, table);
+          break;
+        case 'sqlite':
+          adapter = createSqliteAudit(store.database, table);
+          break;
+        default:
+          adapter = createFileAudit(file);
+      }
+      adapterStore = store;
+    }
+    return adapter;
+  };
+
+  const fromRow = (row) => ({
+    employeeUUID: row.employee_uuid,
+    hash: row.change_hash,
+    actor: row.actor,
+    user: row.user_id ? { id: row.user_id, name: row.user_name, role: row.user_role } : null,
+    source: row.source,
+    operation: row.operation,
+    changes: row.changes || [],
+    timestamp: new Date(row.created_at).getTime()
+  });
+
+  const insert = async (rows) => {
+    if (rows.length === 0) return;
+    try {
+      const target = currentAdapter();
+      if (!target) {
+        remember(rows);
+        return;
+      }
+      await target.insert(rows);
+    } catch (err) {
+      onDatabaseError('audit_insert', err);
+      logger.warn('Failed to write audit log, keeping it in memory', { table, error: err.message });
+      remember(rows);
+    }
+  };
+
+  return {
+    // 比對合併前後的文檔，把新增的每個變更依員工拆成稽核紀錄
+    async recordChanges(before, after, { user, source }) {
+      try {
+        const rows = [];
+        const createdAt = new Date().toISOString();
+        for (const bytes of Automerge.getChanges(before, after)) {
+          const change = Automerge.decodeChange(bytes);
+          const meta = parseChangeMessage(change.message);
+          for (const described of describeChange(after, change)) {
+            rows.push({
+              employee_uuid: described.employeeUUID,
+              change_hash: change.hash,
+              actor: change.actor,
+              user_id: user?.id ?? null,
+              user_name: user?.name ?? null,
+              user_role: user?.role ?? null,
+              source,
+              operation: meta.restoredFrom ? 'restore' : described.operation,
+              changes: described.changes,
+              created_at: createdAt
+            });
+          }
+        }
+        await insert(rows);
+      } catch (err) {
+        // 稽核失敗不影響寫入本身
+        logger.error('Failed to build audit log entries', { err });
+      }
+    },
+
+    // 某位員工的稽核紀錄，新的在前
+    async listForEmployee(employeeUUID) {
+      // 記憶體中依寫入順序排列，反轉後同一時間的紀錄才會是新的在前
+      const local = memory.filter(row => row.employee_uuid === employeeUUID).reverse();
+      let stored = [];
+      try {
+        stored = (await currentAdapter()?.listForEmployee(employeeUUID)) ?? [];
+      } catch (err) {
+        onDatabaseError('audit_read', err);
+        logger.warn('Failed to read audit log', { table, error: err.message });
+      }
+      return [...stored, ...local]
+        .map(fromRow)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    }
+  };
+}
+
+module.exports = { createAuditLog };
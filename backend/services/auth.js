@@ -0,0 +1,158 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { jwtVerify, SignJWT, createLocalJWKSet } = require('jose');
+const { logger } = require('./logger');
+
+// 角色權限：viewer 只能讀，editor 可新增/修改，admin 另可刪除
+const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  editor: ['read', 'write'],
+  admin: ['read', 'write', 'delete']
+};
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// 密碼雜湊格式：scrypt$<salt hex>$<hash hex>
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function loadUsers(filePath) {
+  if (!filePath) return [];
+  const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(users) ? users : [];
+}
+
+// 依環境變數建立驗證設定
+// AUTH_JWT_SECRET：HS256 共用密鑰（也用於 /api/auth/login 簽發 token）
+// AUTH_JWKS_FILE：外部身分提供者的 JWKS 檔（RS256/ES256 等），在本機驗證
+// AUTH_USERS_FILE：登入用帳號檔 [{ username, passwordHash, role }]
+// AUTH_DISABLED=true：僅供本機開發，所有請求視為 admin
+function createAuth(env = process.env) {
+  const disabled = String(env.AUTH_DISABLED || '').toLowerCase() === 'true';
+  const secret = env.AUTH_JWT_SECRET ? new TextEncoder().encode(env.AUTH_JWT_SECRET) : null;
+  const jwks = env.AUTH_JWKS_FILE
+    ? createLocalJWKSet(JSON.parse(fs.readFileSync(env.AUTH_JWKS_FILE, 'utf8')))
+    : null;
+  const roleClaim = env.AUTH_ROLE_CLAIM || 'role';
+  const issuer = env.AUTH_ISSUER || undefined;
+  const audience = env.AUTH_AUDIENCE || undefined;
+  const tokenTtl = env.AUTH_TOKEN_TTL || '8h';
+  const users = loadUsers(env.AUTH_USERS_FILE);
+
+  if (!disabled && !secret && !jwks) {
+    logger.warn('Neither AUTH_JWT_SECRET nor AUTH_JWKS_FILE is set, all protected APIs will return 401');
+  }
+
+  const toUser = (payload) => {
+    const rawRole = payload[roleClaim];
+    const role = Array.isArray(rawRole)
+      ? ['admin', 'editor', 'viewer'].find(r => rawRole.includes(r))
+      : rawRole;
+    return {
+      id: String(payload.sub || ''),
+      name: String(payload.name || payload.sub || ''),
+      role: ROLE_PERMISSIONS[role] ? role : 'viewer'
+    };
+  };
+
+  async function verifyToken(token) {
+    const options = { issuer, audience };
+    // 有共用密鑰先試 HS256，失敗再交給 JWKS
+    if (secret) {
+      try {
+        const { payload } = await jwtVerify(token, secret, { ...options, algorithms: ['HS256'] });
+        return toUser(payload);
+      } catch (err) {
+        if (!jwks) throw err;
+      }
+    }
+    if (jwks) {
+      const { payload } = await jwtVerify(token, jwks, options);
+      return toUser(payload);
+    }
+    throw new AuthError(401, 'Authentication is not configured');
+  }
+
+  // EventSource 無法帶標頭，因此也接受 ?access_token=
+  function extractToken(req) {
+    const header = String(req.get('Authorization') || '');
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    if (typeof req.query.access_token === 'string') return req.query.access_token;
+    return '';
+  }
+
+  function can(user, permission) {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+  }
+
+  // 驗證 token 並檢查權限的中間件
+  function requirePermission(permission) {
+    return async (req, res, next) => {
+      if (disabled) {
+        req.user = { id: 'dev', name: 'dev', role: 'admin' };
+        return next();
+      }
+      const token = extractToken(req);
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      try {
+        req.user = await verifyToken(token);
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+      if (!can(req.user, permission)) {
+        return res.status(403).json({ error: `Permission '${permission}' required` });
+      }
+      next();
+    };
+  }
+
+  async function login(username, password) {
+    if (!secret) {
+      throw new AuthError(501, 'Login is not available: tokens are issued by an external identity provider');
+    }
+    const user = users.find(u => u.username === username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      throw new AuthError(401, 'Invalid username or password');
+    }
+    const role = ROLE_PERMISSIONS[user.role] ? user.role : 'viewer';
+    const token = await new SignJWT({ [roleClaim]: role, name: user.name || user.username })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject(user.username)
+      .setIssuedAt()
+      .setExpirationTime(tokenTtl)
+      .setIssuer(issuer || 'employee-sync-api')
+      .setAudience(audience || 'employee-sync-api')
+      .sign(secret);
+    return { token, user: { id: user.username, name: user.name || user.username, role } };
+  }
+
+  return {
+    disabled,
+    can,
+    requirePermission,
+    login
+  };
+}
+
+module.exports = {
+  AuthError,
+  createAuth,
+  hashPassword
+};
@@ -0,0 +1,149 @@
+// 部門主檔存取：與員工共用同一個資料庫（supabase client / sqlite 連線），memory 模式各自存在記憶體
+//
+// 介面（皆為 async，部門物件為 API 格式 { DepartmentUUID, Code, Name, ParentDepartmentUUID, HeadEmployeeUUID }）：
+//   ping()              確認資料表可用，失敗時丟出錯誤
+//   listAll()           所有部門
+//   upsert(department)  以 DepartmentUUID 新增或覆寫，回傳部門
+//   remove(uuid)        刪除，回傳被刪除的 UUID 陣列
+//
+// 資料表（Supabase）：
+//   department(department_uuid uuid primary key, code text unique not null, name text not null,
+//              parent_department_uuid uuid, head_employee_uuid uuid)
+
+const DEPARTMENT_COLUMNS = ['department_uuid', 'code', 'name', 'parent_department_uuid', 'head_employee_uuid'];
+
+function rowToDepartment(row) {
+  return {
+    DepartmentUUID: row.department_uuid,
+    Code: row.code || '',
+    Name: row.name || '',
+    ParentDepartmentUUID: row.parent_department_uuid || '',
+    HeadEmployeeUUID: row.head_employee_uuid || ''
+  };
+}
+
+function toDepartmentRow(department) {
+  return {
+    department_uuid: department.DepartmentUUID,
+    code: String(department.Code ?? '').trim(),
+    name: String(department.Name ?? '').trim(),
+    parent_department_uuid: department.ParentDepartmentUUID || null,
+    head_employee_uuid: department.HeadEmployeeUUID || null
+  };
+}
+
+function createSupabaseDepartments(client, table) {
+  const columns = DEPARTMENT_COLUMNS.join(', ');
+  return {
+    async ping() {
+      const { error } = await client.from(table).select('department_uuid', { head: true }).limit(1);
+      if (error) throw error;
+    },
+
+    async listAll() {
+      const { data, error } = await client.from(table).select(columns).order('code');
+      if (error) throw error;
+      return (data || []).map(rowToDepartment);
+    },
+
+    async upsert(department) {
+      const { data, error } = await client
+        .from(table)
+        .upsert(toDepartmentRow(department), { onConflict: 'department_uuid' })
+        .select(columns)
+        .single();
+      if (error) throw error;
+      return rowToDepartment(data);
+    },
+
+    async remove(uuid) {
+      const { data, error } = await client
+        .from(table)
+        .delete()
+        .eq('department_uuid', uuid)
+        .select('department_uuid');
+      if (error) throw error;
+      return (data || []).map(row => row.department_uuid);
+    }
+  };
+}
+
+function createSqliteDepartments(db, table) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid DEPT_TABLE for sqlite: ${table}`);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      department_uuid TEXT PRIMARY KEY,
+      code TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      parent_department_uuid TEXT,
+      head_employee_uuid TEXT
+    )
+  `);
+
+  const columns = DEPARTMENT_COLUMNS.join(', ');
+  const upsertStatement = db.prepare(`
+    INSERT INTO ${table} (${columns}) VALUES (${DEPARTMENT_COLUMNS.map(c => `:${c}`).join(', ')})
+    ON CONFLICT(department_uuid) DO UPDATE SET
+      ${DEPARTMENT_COLUMNS.slice(1).map(c => `${c} = excluded.${c}`).join(', ')}
+    RETURNING ${columns}
+  `);
+  const removeStatement = db.prepare(`DELETE FROM ${table} WHERE department_uuid = ? RETURNING department_uuid`);
+
+  return {
+    async ping() {
+      db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).all();
+    },
+
+    async listAll() {
+      return db.prepare(`SELECT ${columns} FROM ${table} ORDER BY code`).all().map(rowToDepartment);
+    },
+
+    async upsert(department) {
+      return rowToDepartment(upsertStatement.get(toDepartmentRow(department)));
+    },
+
+    async remove(uuid) {
+      return removeStatement.all(uuid).map(row => row.department_uuid);
+    }
+  };
+}
+
+function createMemoryDepartments() {
+  const rows = new Map();
+  return {
+    async ping() {},
+
+    async listAll() {
+      return [...rows.values()].sort((a, b) => a.code.localeCompare(b.code)).map(rowToDepartment);
+    },
+
+    async upsert(department) {
+      const row = toDepartmentRow(department);
+      rows.set(row.department_uuid, row);
+      return rowToDepartment(row);
+    },
+
+    async remove(uuid) {
+      return rows.delete(uuid) ? [uuid] : [];
+    }
+  };
+}
+
+// 依員工資料庫的種類選擇實作（DEPT_TABLE，預設 department）
+function createDepartmentRepository(employeeStore, env = process.env) {
+  const table = env.DEPT_TABLE || 'department';
+  switch (employeeStore.name) {
+    case 'supabase':
+      return createSupabaseDepartments(employeeStore.client, table);
+    case 'sqlite':
+      return createSqliteDepartments(employeeStore.database, table);
+    default:
+      return createMemoryDepartments();
+  }
+}
+
+module.exports = {
+  createDepartmentRepository
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const Automerge = require('@automerge/automerge');
+const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('./logger');
+
+// 檔案系統 adapter：完整快照一個檔，增量變更依序附加到另一個檔
+function createFileAdapter({ dir }) {
+  const snapshotPath = path.join(dir, 'document.automerge');
+  const changesPath = path.join(dir, 'document.changes');
+
+  const readIfExists = async (filePath) => {
+    try {
+      return await fs.promises.readFile(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: 'fs',
+    async read() {
+      const chunks = [];
+      for (const filePath of [snapshotPath, changesPath]) {
+        const data = await readIfExists(filePath);
+        if (data && data.length) chunks.push(new Uint8Array(data));
+      }
+      return chunks;
+    },
+    async append(bytes) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(changesPath, bytes);
+    },
+    async replace(bytes) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // 先寫暫存檔再 rename，避免中途當機留下半個快照
+      const tmpPath = `${snapshotPath}.tmp`;
+      await fs.promises.writeFile(tmpPath, bytes);
+      await fs.promises.rename(tmpPath, snapshotPath);
+      await fs.promises.writeFile(changesPath, Buffer.alloc(0));
+    }
+  };
+}
+
+// Supabase adapter：每個 chunk 一列（base64），讀取時依 id 排序後重播
+function createSupabaseAdapter({ url, key, table, docId }) {
+  if (!url || !key) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for supabase document store');
+  }
+  const client = createClient(url, key, { auth: { persistSession: false } });
+
+  const insertChunk = async (kind, bytes) => {
+    const { data, error } = await client
+      .from(table)
+      .insert({ doc_id: docId, kind, data: Buffer.from(bytes).toString('base64') })
+      .select('id')
+      .single();
+    if (error) throw error;
+    return data.id;
+  };
+
+  return {
+    name: 'supabase',
+    async read() {
+      const { data, error } = await client
+        .from(table)
+        .select('id, data')
+        .eq('doc_id', docId)
+        .order('id', { ascending: true });
+      if (error) throw error;
+      return (data || []).map((row) => new Uint8Array(Buffer.from(row.data, 'base64')));
+    },
+    async append(bytes) {
+      await insertChunk('incremental', bytes);
+    },
+    async replace(bytes) {
+      const snapshotId = await insertChunk('snapshot', bytes);
+      // 舊 chunk 若刪除失敗也無妨：重播時 Automerge 會忽略重複的變更
+      const { error } = await client
+        .from(table)
+        .delete()
+        .eq('doc_id', docId)
+        .lt('id', snapshotId);
+      if (error) throw error;
+    }
+  };
+}
+
+// 依環境變數選擇 adapter（DOC_STORE=fs|supabase）
+function createDocumentStore(env = process.env) {
+  const kind = String(env.DOC_STORE || 'fs').toLowerCase();
+  switch (kind) {
+    case 'fs':
+      return createFileAdapter({ dir: path.resolve(env.DOC_STORE_DIR || path.join(__dirname, '..', 'data')) });
+    case 'supabase':
+      return createSupabaseAdapter({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_SERVICE_ROLE_KEY,
+        table: env.DOC_STORE_TABLE || 'crdt_document_chunks',
+        docId: env.DOC_STORE_ID || 'employees'
+      });
+    default:
+      throw new Error(`Unknown DOC_STORE: ${kind}`);
+  }
+}
+
+// 持久化包裝：每次 change/merge 後寫增量，定期壓縮成單一快照
+// 所有寫入經由同一條 promise 佇列，確保 append 與 replace 的先後順序
+function createDocumentPersistence(adapter, { compactIntervalMs = 10 * 60 * 1000 } = {}) {
+  let queue = Promise.resolve();
+  let needsCompaction = false;
+  let compactTimer = null;
+  // 最後寫入存儲時的 heads；以 saveSince 取增量，合併時換成 clone 出來的文檔也不受影響
+  let persistedHeads = null;
+  // 存儲中的大小：最近一次快照加上之後的增量（metrics 使用）
+  let storedBytes = 0;
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((err) => {
+      // persistedHeads 已前進，寫入失敗時改由下一次完整快照補上
+      needsCompaction = true;
+      logger.error('Failed to persist CRDT document', { store: adapter.name, err });
+    });
+    return queue;
+  };
+
+  const compact = (doc) => {
+    const bytes = Automerge.save(doc);
+    persistedHeads = Automerge.getHeads(doc);
+    needsCompaction = false;
+    storedBytes = bytes.length;
+    return enqueue(() => adapter.replace(bytes));
+  };
+
+  return {
+    name: adapter.name,
+
+    // 讀回所有 chunk 並重播；沒有任何資料時回傳 null
+    async load() {
+      const chunks = await adapter.read();
+      if (!chunks.length) return null;
+      let doc = Automerge.init();
+      for (const chunk of chunks) {
+        doc = Automerge.loadIncremental(doc, chunk);
+      }
+      storedBytes = chunks.reduce((total, chunk) => total + chunk.length, 0);
+      return doc;
+    },
+
+    // 在 Automerge.change / merge 之後同步呼叫，取出增量後排入寫入佇列
+    persist(doc) {
+      if (needsCompaction || !persistedHeads) return compact(doc);
+      const bytes = Automerge.saveSince(doc, persistedHeads);
+      persistedHeads = Automerge.getHeads(doc);
+      if (!bytes.length) return queue;
+      storedBytes += bytes.length;
+      return enqueue(() => adapter.append(bytes));
+    },
+
+    compact,
+
+    startCompaction(getDocument) {
+      if (compactTimer || !compactIntervalMs) return;
+      compactTimer = setInterval(() => {
+        void compact(getDocument());
+      }, compactIntervalMs);
+      compactTimer.unref();
+    },
+
+    stopCompaction() {
+      if (compactTimer) clearInterval(compactTimer);
+      compactTimer = null;
+    },
+
+    // 存儲中的文檔大小（bytes）
+    storedBytes() {
+      return storedBytes;
+    },
+
+    // 等待佇列中的寫入完成（關閉前使用）
+    flush() {
+      return queue;
+    }
+  };
+}
+
+module.exports = {
+  createDocumentStore,
+  createDocumentPersistence
+};
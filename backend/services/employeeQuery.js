@@ -0,0 +1,154 @@
+// GET /api/employees 的分頁、排序與篩選
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+
+// API 欄位 → 資料表欄位（只允許這些欄位排序）
+const SORT_COLUMNS = {
+  FirstName: 'first_name',
+  LastName: 'last_name',
+  Department: 'department',
+  Position: 'position',
+  Email: 'email',
+  Status: 'status',
+  HireDate: 'hire_date',
+  EmployeeID: 'employee_id'
+};
+
+// q 全文搜尋比對的欄位
+const SEARCH_FIELDS = ['FirstName', 'LastName', 'Department', 'Position', 'Email'];
+const SEARCH_COLUMNS = ['first_name', 'last_name', 'department', 'position', 'email'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const toPositiveInt = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new QueryError(`${name} must be a positive integer`);
+  return n;
+};
+
+const toDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (!DATE_PATTERN.test(String(value))) throw new QueryError(`${name} must be YYYY-MM-DD`);
+  return String(value);
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const s = String(value).trim();
+  return s || undefined;
+};
+
+// 解析查詢參數；有 page 或 limit 才分頁（沒有時維持舊版回傳完整陣列）
+function parseEmployeeQuery(params = {}) {
+  const page = toPositiveInt(params.page, 'page');
+  const limit = toPositiveInt(params.limit, 'limit');
+  const sort = toText(params.sort) || 'FirstName';
+  if (!SORT_COLUMNS[sort]) {
+    throw new QueryError(`sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+  const order = String(params.order || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('order must be asc or desc');
+  }
+
+  return {
+    paginated: page !== undefined || limit !== undefined,
+    page: page || 1,
+    limit: Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT),
+    sort,
+    descending: order === 'desc',
+    department: toText(params.department),
+    status: toText(params.status),
+    position: toText(params.position),
+    hireDateFrom: toDate(params.hireDateFrom, 'hireDateFrom'),
+    hireDateTo: toDate(params.hireDateTo, 'hireDateTo'),
+    // PostgREST 的 or() 以逗號與括號分隔條件，萬用字元也一併移除
+    q: toText(String(params.q ?? '').replace(/[%_*,()"\\]/g, ' '))
+  };
+}
+
+// 套用到 Supabase 查詢（select 時需帶 { count: 'exact' } 才有總筆數）
+function applyEmployeeQuery(builder, query) {
+  let next = builder;
+  if (query.department) next = next.eq('department', query.department);
+  if (query.status) next = next.eq('status', query.status);
+  if (query.position) next = next.eq('position', query.position);
+  if (query.hireDateFrom) next = next.gte('hire_date', query.hireDateFrom);
+  if (query.hireDateTo) next = next.lte('hire_date', query.hireDateTo);
+  if (query.q) {
+    next = next.or(SEARCH_COLUMNS.map(column => `${column}.ilike.%${query.q}%`).join(','));
+  }
+
+  const ascending = !query.descending;
+  next = next.order(SORT_COLUMNS[query.sort], { ascending });
+  if (query.sort === 'FirstName') next = next.order('last_name', { ascending });
+  // 排序值相同時以 UUID 決定順序，分頁才不會重複或漏掉
+  next = next.order('employee_uuid', { ascending: true });
+
+  if (query.paginated) {
+    const from = (query.page - 1) * query.limit;
+    next = next.range(from, from + query.limit - 1);
+  }
+  return next;
+}
+
+// 相同規則套用在記憶體中的員工陣列（DB 無法使用時以 CRDT 文檔回應）
+function filterEmployees(employees, query) {
+  const q = query.q ? query.q.toLowerCase() : null;
+  const matched = employees.filter(e =>
+    (!query.department || e.Department === query.department) &&
+    (!query.status || e.Status === query.status) &&
+    (!query.position || e.Position === query.position) &&
+    (!query.hireDateFrom || (e.HireDate && e.HireDate >= query.hireDateFrom)) &&
+    (!query.hireDateTo || (e.HireDate && e.HireDate <= query.hireDateTo)) &&
+    (!q || SEARCH_FIELDS.some(field => String(e[field] ?? '').toLowerCase().includes(q)))
+  );
+
+  const direction = query.descending ? -1 : 1;
+  const compare = (a, b, field) => {
+    const x = a[field] ?? '';
+    const y = b[field] ?? '';
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    return String(x).localeCompare(String(y));
+  };
+  matched.sort((a, b) =>
+    direction * compare(a, b, query.sort) ||
+    (query.sort === 'FirstName' ? direction * compare(a, b, 'LastName') : 0) ||
+    compare(a, b, 'EmployeeUUID')
+  );
+
+  const total = matched.length;
+  if (!query.paginated) return { items: matched, total };
+  const from = (query.page - 1) * query.limit;
+  return { items: matched.slice(from, from + query.limit), total };
+}
+
+// 分頁回應格式
+function toPageResponse(items, total, query) {
+  return {
+    items,
+    total,
+    page: query.page,
+    limit: query.limit,
+    totalPages: Math.max(Math.ceil(total / query.limit), 1)
+  };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  SEARCH_COLUMNS,
+  QueryError,
+  parseEmployeeQuery,
+  applyEmployeeQuery,
+  filterEmployees,
+  toPageResponse
+};
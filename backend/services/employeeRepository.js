@@ -0,0 +1,512 @@
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { SORT_COLUMNS, SEARCH_COLUMNS, applyEmployeeQuery, filterEmployees } = require('./employeeQuery');
+
+// 員工資料存取：路由只透過 repository 讀寫，實作依 EMPLOYEE_STORE 選擇
+//
+// 介面（皆為 async，員工物件一律是 API 格式 { EmployeeUUID, EmployeeID, FirstName, ... }）：
+//   ping()                    確認資料庫可用，失敗時丟出錯誤
+//   list(query)               依 parseEmployeeQuery 的結果查詢 → { items, total }（不含回收桶）
+//   listAll()                 所有員工，含回收桶（啟動時補齊 CRDT 文檔）
+//   listDeleted()             回收桶中的員工，最近刪除的在前
+//   findUuidByEmployeeId(id)  舊的數字 employee_id → UUID，找不到回傳 null
+//   upsert(employee)          以 EmployeeUUID 新增或覆寫，回傳含 EmployeeID 的員工
+//   upsertMany(employees)     同 upsert，整批在同一個交易中寫入（任一筆失敗全部不寫入），回傳員工陣列
+//   update(id, employee)      :id 可為 UUID 或 employee_id（UUID 不會被修改），找不到或已刪除回傳 null
+//   softDelete(id, tombstone) 移到回收桶（tombstone 為 { deletedAt, deletedBy }），回傳 UUID 陣列
+//   restore(id)               從回收桶還原，回傳員工；不在回收桶中回傳 null
+//   remove(id)                永久刪除（回收桶清除），回傳被刪除的 UUID 陣列
+
+// 員工以客戶端產生的 UUID 為 CRDT 鍵與資料庫唯一欄位，employee_id 僅供顯示與舊 API 相容
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const EMPLOYEE_COLUMNS = [
+  'employee_id', 'employee_uuid', 'first_name', 'last_name', 'department', 'position',
+  'hire_date', 'birth_date', 'gender', 'email', 'phone_number', 'address', 'status',
+  'manager_id', 'deleted_at', 'deleted_by', 'merged_into'
+];
+
+// 可寫入的欄位（employee_id 由資料庫配發）
+const WRITABLE_COLUMNS = EMPLOYEE_COLUMNS.filter(column => column !== 'employee_id');
+
+// 修改時不動刪除標記：移到回收桶與還原只能透過 softDelete / restore（upsert 則以 CRDT 文檔為準）
+const UPDATABLE_COLUMNS = WRITABLE_COLUMNS.filter(column => !['employee_uuid', 'deleted_at', 'deleted_by', 'merged_into'].includes(column));
+
+// 日期欄位一律存成 YYYY-MM-DD；空值或非法日期存 null
+const toDateColumn = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+const toDateString = (value) => value ? new Date(value).toISOString().split('T')[0] : '';
+
+const toTimestampColumn = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// 資料庫列 → API / CRDT 物件
+function rowToEmployee(row) {
+  return {
+    EmployeeID: row.employee_id,
+    EmployeeUUID: row.employee_uuid,
+    FirstName: row.first_name || '',
+    LastName: row.last_name || '',
+    Department: row.department || '',
+    Position: row.position || '',
+    HireDate: toDateString(row.hire_date),
+    BirthDate: toDateString(row.birth_date),
+    Gender: row.gender || '',
+    Email: row.email || '',
+    PhoneNumber: row.phone_number || '',
+    Address: row.address || '',
+    Status: row.status || 'Active',
+    ManagerID: row.manager_id || '',
+    // 回收桶中的員工才有刪除標記；合併重複員工時被合併的一方另記保留的員工
+    ...(row.deleted_at ? { DeletedAt: new Date(row.deleted_at).toISOString(), DeletedBy: row.deleted_by || '' } : {}),
+    ...(row.deleted_at && row.merged_into ? { MergedInto: row.merged_into } : {})
+  };
+}
+
+// API 物件（sanitizeEmployee 的結果）→ 資料庫列（不含 employee_id）
+function toEmployeeRow(employee) {
+  return {
+    employee_uuid: employee.EmployeeUUID,
+    first_name: employee.FirstName,
+    last_name: employee.LastName,
+    department: employee.Department,
+    position: employee.Position,
+    hire_date: toDateColumn(employee.HireDate),
+    birth_date: toDateColumn(employee.BirthDate),
+    gender: employee.Gender,
+    email: employee.Email,
+    phone_number: employee.PhoneNumber,
+    address: employee.Address,
+    status: employee.Status,
+    manager_id: isUuid(employee.ManagerID) ? employee.ManagerID : null,
+    deleted_at: toTimestampColumn(employee.DeletedAt),
+    deleted_by: employee.DeletedAt ? employee.DeletedBy || null : null,
+    merged_into: employee.DeletedAt && isUuid(employee.MergedInto) ? employee.MergedInto : null
+  };
+}
+
+// 只保留可修改的欄位
+const toUpdatePayload = (employee) => {
+  const row = toEmployeeRow(employee);
+  return Object.fromEntries(UPDATABLE_COLUMNS.map(column => [column, row[column]]));
+};
+
+const idFilter = (id) => (isUuid(id) ? ['employee_uuid', id] : ['employee_id', Number(id)]);
+
+// Supabase（PostgREST）
+function createSupabaseRepository({ url, key, table }) {
+  if (!url || !key) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for supabase employee store');
+  }
+  const client = createClient(url, key, { auth: { persistSession: false } });
+  const columns = EMPLOYEE_COLUMNS.join(', ');
+
+  return {
+    name: 'supabase',
+    // 稽核紀錄、部門等其他資料表共用同一個連線
+    client,
+
+    async ping() {
+      const { error } = await client
+        .from(table)
+        .select('employee_id', { count: 'exact', head: true })
+        .limit(1);
+      if (error) throw error;
+    },
+
+    async list(query) {
+      const { data, error, count } = await applyEmployeeQuery(
+        client.from(table).select(columns, { count: 'exact' }).is('deleted_at', null),
+        query
+      );
+      if (error) throw error;
+      const items = (data || []).map(rowToEmployee);
+      return { items, total: count ?? items.length };
+    },
+
+    async listAll() {
+      const { data, error } = await client.from(table).select(columns);
+      if (error) throw error;
+      return (data || []).map(rowToEmployee);
+    },
+
+    async listDeleted() {
+      const { data, error } = await client
+        .from(table)
+        .select(columns)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(rowToEmployee);
+    },
+
+    async findUuidByEmployeeId(employeeId) {
+      const { data, error } = await client
+        .from(table)
+        .select('employee_uuid')
+        .eq('employee_id', Number(employeeId))
+        .maybeSingle();
+      if (error) throw error;
+      return data?.employee_uuid || null;
+    },
+
+    async upsert(employee) {
+      const { data, error } = await client
+        .from(table)
+        .upsert(toEmployeeRow(employee), { onConflict: 'employee_uuid' })
+        .select(columns)
+        .single();
+      if (error) throw error;
+      return rowToEmployee(data);
+    },
+
+    // PostgREST 的一次請求是單一 SQL 陳述式，整批成功或失敗
+    async upsertMany(employees) {
+      if (employees.length === 0) return [];
+      const { data, error } = await client
+        .from(table)
+        .upsert(employees.map(toEmployeeRow), { onConflict: 'employee_uuid' })
+        .select(columns);
+      if (error) throw error;
+      return (data || []).map(rowToEmployee);
+    },
+
+    async update(id, employee) {
+      const { data, error } = await client
+        .from(table)
+        .update(toUpdatePayload(employee))
+        .eq(...idFilter(id))
+        .is('deleted_at', null)
+        .select(columns)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? rowToEmployee(data) : null;
+    },
+
+    async softDelete(id, { deletedAt, deletedBy }) {
+      const { data, error } = await client
+        .from(table)
+        .update({ deleted_at: toTimestampColumn(deletedAt), deleted_by: deletedBy || null })
+        .eq(...idFilter(id))
+        .is('deleted_at', null)
+        .select('employee_uuid');
+      if (error) throw error;
+      return (data || []).map(row => row.employee_uuid);
+    },
+
+    async restore(id) {
+      const { data, error } = await client
+        .from(table)
+        .update({ deleted_at: null, deleted_by: null, merged_into: null })
+        .eq(...idFilter(id))
+        .not('deleted_at', 'is', null)
+        .select(columns)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? rowToEmployee(data) : null;
+    },
+
+    async remove(id) {
+      const { data, error } = await client
+        .from(table)
+        .delete()
+        .eq(...idFilter(id))
+        .select('employee_uuid');
+      if (error) throw error;
+      return (data || []).map(row => row.employee_uuid);
+    }
+  };
+}
+
+// SQLite（Node.js 內建 node:sqlite，需要 22.5 以上）：單機開發與測試用，不需要網路
+function createSqliteRepository({ filename, table }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error('EMPLOYEE_STORE=sqlite requires Node.js 22.5+ (node:sqlite); use EMPLOYEE_STORE=memory instead');
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid EMP_TABLE for sqlite: ${table}`);
+  }
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new DatabaseSync(filename);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      employee_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      employee_uuid TEXT NOT NULL UNIQUE,
+      first_name TEXT, last_name TEXT, department TEXT, position TEXT,
+      hire_date TEXT, birth_date TEXT, gender TEXT, email TEXT,
+      phone_number TEXT, address TEXT, status TEXT,
+      manager_id TEXT, deleted_at TEXT, deleted_by TEXT, merged_into TEXT
+    )
+  `);
+  // 較早建立的資料庫補上之後新增的欄位（回收桶的刪除標記、直屬主管、合併紀錄）
+  const existingColumns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+  for (const column of ['deleted_at', 'deleted_by', 'manager_id', 'merged_into']) {
+    if (!existingColumns.has(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);
+  }
+
+  const columns = EMPLOYEE_COLUMNS.join(', ');
+  const placeholders = WRITABLE_COLUMNS.map(column => `:${column}`).join(', ');
+  const upsertStatement = db.prepare(`
+    INSERT INTO ${table} (${WRITABLE_COLUMNS.join(', ')}) VALUES (${placeholders})
+    ON CONFLICT(employee_uuid) DO UPDATE SET
+      ${WRITABLE_COLUMNS.filter(c => c !== 'employee_uuid').map(c => `${c} = excluded.${c}`).join(', ')}
+    RETURNING ${columns}
+  `);
+  const updateStatement = (column) => db.prepare(`
+    UPDATE ${table} SET ${UPDATABLE_COLUMNS.map(c => `${c} = :${c}`).join(', ')}
+    WHERE ${column} = :id AND deleted_at IS NULL
+    RETURNING ${columns}
+  `);
+  const softDeleteStatement = (column) => db.prepare(`
+    UPDATE ${table} SET deleted_at = ?, deleted_by = ?
+    WHERE ${column} = ? AND deleted_at IS NULL
+    RETURNING employee_uuid
+  `);
+  const restoreStatement = (column) => db.prepare(`
+    UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL, merged_into = NULL
+    WHERE ${column} = ? AND deleted_at IS NOT NULL
+    RETURNING ${columns}
+  `);
+  const removeStatement = (column) => db.prepare(`DELETE FROM ${table} WHERE ${column} = ? RETURNING employee_uuid`);
+
+  // parseEmployeeQuery 的結果 → WHERE 子句與參數（欄位名稱只來自白名單）
+  const whereClause = (query) => {
+    const clauses = ['deleted_at IS NULL'];
+    const params = [];
+    if (query.department) { clauses.push('department = ?'); params.push(query.department); }
+    if (query.status) { clauses.push('status = ?'); params.push(query.status); }
+    if (query.position) { clauses.push('position = ?'); params.push(query.position); }
+    if (query.hireDateFrom) { clauses.push('hire_date >= ?'); params.push(query.hireDateFrom); }
+    if (query.hireDateTo) { clauses.push('hire_date <= ?'); params.push(query.hireDateTo); }
+    if (query.q) {
+      // SQLite 的 LIKE 對 ASCII 不分大小寫
+      clauses.push(`(${SEARCH_COLUMNS.map(column => `${column} LIKE ?`).join(' OR ')})`);
+      SEARCH_COLUMNS.forEach(() => params.push(`%${query.q}%`));
+    }
+    return { sql: `WHERE ${clauses.join(' AND ')}`, params };
+  };
+
+  return {
+    name: 'sqlite',
+    // 部門等其他資料表共用同一個連線
+    database: db,
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+    },
+
+    async list(query) {
+      const { sql, params } = whereClause(query);
+      const direction = query.descending ? 'DESC' : 'ASC';
+      const order = [`${SORT_COLUMNS[query.sort]} ${direction}`];
+      if (query.sort === 'FirstName') order.push(`last_name ${direction}`);
+      order.push('employee_uuid ASC');
+
+      let statement = `SELECT ${columns} FROM ${table} ${sql} ORDER BY ${order.join(', ')}`;
+      const rowParams = [...params];
+      if (query.paginated) {
+        statement += ' LIMIT ? OFFSET ?';
+        rowParams.push(query.limit, (query.page - 1) * query.limit);
+      }
+      const rows = db.prepare(statement).all(...rowParams);
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${sql}`).get(...params);
+      return { items: rows.map(rowToEmployee), total: Number(total) };
+    },
+
+    async listAll() {
+      return db.prepare(`SELECT ${columns} FROM ${table}`).all().map(rowToEmployee);
+    },
+
+    async listDeleted() {
+      return db.prepare(`SELECT ${columns} FROM ${table} WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC`)
+        .all()
+        .map(rowToEmployee);
+    },
+
+    async findUuidByEmployeeId(employeeId) {
+      const row = db.prepare(`SELECT employee_uuid FROM ${table} WHERE employee_id = ?`).get(Number(employeeId));
+      return row?.employee_uuid || null;
+    },
+
+    async upsert(employee) {
+      return rowToEmployee(upsertStatement.get(toEmployeeRow(employee)));
+    },
+
+    async upsertMany(employees) {
+      db.exec('BEGIN');
+      try {
+        const saved = employees.map(employee => rowToEmployee(upsertStatement.get(toEmployeeRow(employee))));
+        db.exec('COMMIT');
+        return saved;
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+
+    async update(id, employee) {
+      const [column, value] = idFilter(id);
+      const row = updateStatement(column).get({ ...toUpdatePayload(employee), id: value });
+      return row ? rowToEmployee(row) : null;
+    },
+
+    async softDelete(id, { deletedAt, deletedBy }) {
+      const [column, value] = idFilter(id);
+      return softDeleteStatement(column)
+        .all(toTimestampColumn(deletedAt), deletedBy || null, value)
+        .map(row => row.employee_uuid);
+    },
+
+    async restore(id) {
+      const [column, value] = idFilter(id);
+      const row = restoreStatement(column).get(value);
+      return row ? rowToEmployee(row) : null;
+    },
+
+    async remove(id) {
+      const [column, value] = idFilter(id);
+      return removeStatement(column).all(value).map(row => row.employee_uuid);
+    }
+  };
+}
+
+// 記憶體：不需要任何相依套件，重啟後資料清空（CRDT 文檔仍由 DOC_STORE 持久化）
+function createMemoryRepository() {
+  const rows = new Map();
+  let nextId = 1;
+
+  const findRow = (id) => {
+    if (isUuid(id)) return rows.get(id) || null;
+    const employeeId = Number(id);
+    for (const row of rows.values()) {
+      if (row.employee_id === employeeId) return row;
+    }
+    return null;
+  };
+
+  const saveRow = (employee, row) => {
+    const existing = rows.get(row.employee_uuid);
+    // 重啟後由 CRDT 文檔寫回時沿用原本的編號，避免畫面上的 EmployeeID 每次重啟都改變
+    const requestedId = Number(employee.EmployeeID);
+    const reuseId = Number.isInteger(requestedId) && requestedId > 0 && !findRow(requestedId);
+    const employeeId = existing ? existing.employee_id : reuseId ? requestedId : nextId;
+    nextId = Math.max(nextId, employeeId + 1);
+    const saved = { ...row, employee_id: employeeId };
+    rows.set(saved.employee_uuid, saved);
+    return saved;
+  };
+
+  return {
+    name: 'memory',
+
+    async ping() {},
+
+    async list(query) {
+      const active = [...rows.values()].filter(row => !row.deleted_at);
+      return filterEmployees(active.map(rowToEmployee), query);
+    },
+
+    async listAll() {
+      return [...rows.values()].map(rowToEmployee);
+    },
+
+    async listDeleted() {
+      return [...rows.values()]
+        .filter(row => row.deleted_at)
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+        .map(rowToEmployee);
+    },
+
+    async findUuidByEmployeeId(employeeId) {
+      return findRow(Number(employeeId))?.employee_uuid || null;
+    },
+
+    async upsert(employee) {
+      return rowToEmployee(saveRow(employee, toEmployeeRow(employee)));
+    },
+
+    // 先轉換完所有列再寫入，轉換失敗時不會只寫入一部分
+    async upsertMany(employees) {
+      const pending = employees.map(employee => [employee, toEmployeeRow(employee)]);
+      return pending.map(([employee, row]) => rowToEmployee(saveRow(employee, row)));
+    },
+
+    async update(id, employee) {
+      const existing = findRow(id);
+      if (!existing || existing.deleted_at) return null;
+      const saved = { ...existing, ...toUpdatePayload(employee) };
+      rows.set(saved.employee_uuid, saved);
+      return rowToEmployee(saved);
+    },
+
+    async softDelete(id, { deletedAt, deletedBy }) {
+      const existing = findRow(id);
+      if (!existing || existing.deleted_at) return [];
+      rows.set(existing.employee_uuid, {
+        ...existing,
+        deleted_at: toTimestampColumn(deletedAt),
+        deleted_by: deletedBy || null
+      });
+      return [existing.employee_uuid];
+    },
+
+    async restore(id) {
+      const existing = findRow(id);
+      if (!existing || !existing.deleted_at) return null;
+      const saved = { ...existing, deleted_at: null, deleted_by: null, merged_into: null };
+      rows.set(saved.employee_uuid, saved);
+      return rowToEmployee(saved);
+    },
+
+    async remove(id) {
+      const existing = findRow(id);
+      if (!existing) return [];
+      rows.delete(existing.employee_uuid);
+      return [existing.employee_uuid];
+    }
+  };
+}
+
+// 依環境變數選擇實作（EMPLOYEE_STORE=supabase|sqlite|memory）
+// 未設定時：有 SUPABASE_URL 用 supabase，否則用 memory，沒有網路也能啟動
+function createEmployeeRepository(env = process.env) {
+  const kind = String(env.EMPLOYEE_STORE || (env.SUPABASE_URL ? 'supabase' : 'memory')).toLowerCase();
+  const table = env.EMP_TABLE || 'employee';
+  switch (kind) {
+    case 'supabase':
+      return createSupabaseRepository({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_SERVICE_ROLE_KEY,
+        table
+      });
+    case 'sqlite':
+      return createSqliteRepository({
+        filename: env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'employees.sqlite'),
+        table
+      });
+    case 'memory':
+      return createMemoryRepository();
+    default:
+      throw new Error(`Unknown EMPLOYEE_STORE: ${kind}`);
+  }
+}
+
+module.exports = {
+  isUuid,
+  createEmployeeRepository
+};
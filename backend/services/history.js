@@ -0,0 +1,150 @@
+const Automerge = require('@automerge/automerge');
+
+// 員工變更歷史：由 Automerge 變更紀錄還原每次修改的欄位差異
+
+// 識別碼由系統維護（UUID 建立後不變、EmployeeID 由資料庫回填），刪除標記以 delete/restore 表示，不列入欄位差異
+const IGNORED_FIELDS = new Set(['EmployeeUUID', 'EmployeeID', 'DeletedAt', 'DeletedBy', 'MergedInto']);
+
+// change message 以 JSON 記錄來源與使用者；舊變更沒有 message 或不是 JSON
+function parseChangeMessage(message) {
+  if (!message) return {};
+  try {
+    const parsed = JSON.parse(message);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// 伺服器端 Automerge.change 的 options（user 為 req.user，系統處理時省略）
+function changeOptions(source, user) {
+  const meta = { source };
+  if (user) meta.user = { id: user.id, name: user.name, role: user.role };
+  return { message: JSON.stringify(meta) };
+}
+
+const plainValue = (value) => (value !== null && typeof value === 'object' ? String(value) : value);
+
+const toPlainEmployee = (employee) => (employee
+  ? Object.fromEntries(Object.entries(employee).map(([field, value]) => [field, plainValue(value)]))
+  : null);
+
+// 回收桶中的員工帶有 DeletedAt；舊版客戶端以 Status = 'Deleted' 標記刪除
+const isDeleted = (employee) => !!employee?.DeletedAt || String(employee?.Status ?? '').toLowerCase() === 'deleted';
+
+// 解析單一變更影響的員工：[{ employeeUUID, operation, changes: [{ field, from, to }], snapshot }]
+// change 為 decodeChange / getHistory 的結果；onlyKey 指定時只看該員工
+function describeChange(doc, change, onlyKey = null) {
+  const patches = Automerge.diff(doc, change.deps, [change.hash]);
+  const touched = new Map();
+  for (const patch of patches) {
+    const [root, key, field] = patch.path;
+    if (root !== 'employees' || key === undefined) continue;
+    if (onlyKey && key !== onlyKey) continue;
+    if (!touched.has(key)) touched.set(key, new Set());
+    if (field !== undefined) touched.get(key).add(String(field));
+  }
+  if (touched.size === 0) return [];
+
+  const before = Automerge.view(doc, change.deps);
+  const after = Automerge.view(doc, [change.hash]);
+  const result = [];
+  for (const [key, patchedFields] of touched) {
+    const previous = toPlainEmployee(before.employees?.[key]);
+    const next = toPlainEmployee(after.employees?.[key]);
+
+    // 整筆新增或移除時 patch 只有員工本身的路徑，改為比對所有欄位
+    const fields = new Set(patchedFields);
+    if (!previous || !next) {
+      Object.keys({ ...previous, ...next }).forEach(f => fields.add(f));
+    }
+    const changes = [...fields]
+      .filter(field => !IGNORED_FIELDS.has(field))
+      .map(field => ({ field, from: previous?.[field] ?? null, to: next?.[field] ?? null }))
+      .filter(diff => diff.from !== diff.to);
+
+    let operation = 'update';
+    if (!previous) operation = 'create';
+    else if (!next || (isDeleted(next) && !isDeleted(previous))) operation = 'delete';
+    else if (isDeleted(previous) && !isDeleted(next)) operation = 'restore';
+
+    // 回收桶中的員工被永久刪除，或仍在回收桶中的變動（例如補上刪除標記）不另列一筆
+    if (isDeleted(previous) && (!next || isDeleted(next))) continue;
+    // 只改了識別碼（例如回填 EmployeeID）不算一次修改
+    if (operation === 'update' && changes.length === 0) continue;
+    result.push({ employeeUUID: key, operation, changes, snapshot: next });
+  }
+  return result;
+}
+
+// 變更動到的員工與部門欄位：{ employees: { 鍵: [欄位] }, departments: { 鍵: [欄位] } }；整筆新增或移除時為 null
+function touchedFields(doc, change) {
+  const touched = { employees: {}, departments: {} };
+  for (const patch of Automerge.diff(doc, change.deps, [change.hash])) {
+    const [root, key, field] = patch.path;
+    const target = Object.hasOwn(touched, root) ? touched[root] : null;
+    if (!target || key === undefined) continue;
+    if (field === undefined) {
+      target[key] = null;
+    } else if (target[key] !== null) {
+      target[key] = [...(target[key] || []), String(field)];
+    }
+  }
+  return touched;
+}
+
+// 依變更的 op 追蹤這位員工的物件（員工 map 與其下建立的物件），判斷變更是否動到這位員工
+// op 的 id 為 startOp 起依序遞增；變更需依因果順序傳入（getHistory 的順序），才能先看到建立物件的 op
+function createEmployeeOpFilter(employeeUUID) {
+  const employeeMaps = new Set();
+  const objects = new Set();
+  return (change) => {
+    let touched = false;
+    change.ops.forEach((op, index) => {
+      const opId = `${change.startOp + index}@${change.actor}`;
+      const creates = op.action.startsWith('make');
+      if (op.obj === '_root' && op.key === 'employees') {
+        if (creates) employeeMaps.add(opId);
+      } else if ((employeeMaps.has(op.obj) && op.key === employeeUUID) || objects.has(op.obj)) {
+        touched = true;
+        if (creates) objects.add(opId);
+      }
+    });
+    return touched;
+  };
+}
+
+// 由 getHistory 逐一檢查文檔的所有變更，新的在前
+function getEmployeeHistory(doc, employeeUUID) {
+  const entries = [];
+  const touchesEmployee = createEmployeeOpFilter(employeeUUID);
+  for (const state of Automerge.getHistory(doc)) {
+    // 只讀取 change；snapshot 會重播整份文檔，這裡改用 diff/view 取差異
+    const change = state.change;
+    // diff/view 的成本與文檔大小相關，先以 op 排除沒有動到這位員工的變更
+    if (!touchesEmployee(change)) continue;
+    const [described] = describeChange(doc, change, employeeUUID);
+    if (!described) continue;
+    const meta = parseChangeMessage(change.message);
+    entries.push({
+      hash: change.hash,
+      actor: change.actor,
+      timestamp: change.time ? change.time * 1000 : null,
+      source: meta.source || 'sync',
+      user: meta.user || null,
+      restoredFrom: meta.restoredFrom || null,
+      operation: meta.restoredFrom ? 'restore' : described.operation,
+      changes: described.changes,
+      snapshot: described.snapshot
+    });
+  }
+  return entries.reverse();
+}
+
+module.exports = {
+  parseChangeMessage,
+  changeOptions,
+  describeChange,
+  touchedFields,
+  getEmployeeHistory
+};
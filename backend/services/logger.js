@@ -0,0 +1,93 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+// 結構化日誌：每筆一行 JSON（time、level、msg 與欄位），info 以下寫 stdout，warn/error 寫 stderr
+// 請求處理期間的日誌自動帶上 requestId（見 server.js 的請求追蹤中間件）
+// 員工個人資料、密碼與憑證一律遮蔽，日誌可以直接交給集中式日誌服務
+//
+// 環境變數：LOG_LEVEL=debug|info|warn|error（預設 info）
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 遮蔽的欄位名稱（不分大小寫，任何深度）
+const REDACTED_KEYS = new Set([
+  'firstname',
+  'lastname',
+  'email',
+  'phonenumber',
+  'address',
+  'birthdate',
+  'password',
+  'token',
+  'access_token',
+  'authorization'
+]);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+
+const requestContext = new AsyncLocalStorage();
+
+// 轉成可以 JSON 序列化、且不含個人資料的值
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.status !== undefined ? { status: value.status } : {}),
+      stack: value.stack
+    };
+  }
+  if (value instanceof Uint8Array) return `<${value.length} bytes>`;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (value instanceof Set) return [...value].map(item => redact(item, depth + 1));
+  if (value instanceof Map) return redact(Object.fromEntries(value), depth);
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL, bindings = {} } = {}) {
+  const threshold = LEVELS[String(level || 'info').toLowerCase()] ?? LEVELS.info;
+
+  const write = (entryLevel, message, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: message,
+      ...bindings,
+      ...requestContext.getStore(),
+      ...redact(fields ?? {})
+    };
+    const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    // 固定帶上 bindings 的 logger（例如 { component: 'outbox' }）
+    child: extra => createLogger({ level, bindings: { ...bindings, ...extra } })
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  requestContext
+};
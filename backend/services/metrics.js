@@ -0,0 +1,128 @@
+// Prometheus 指標：counter、gauge 與 histogram 的最小實作，以文字格式（0.0.4）輸出給 GET /api/metrics
+// gauge 可以提供 collect，在每次抓取時才讀取目前的值（outbox 深度、文檔大小等）
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 預設的延遲 bucket（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const formatValue = value => (value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value));
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // 依 labelNames 的順序取出標籤，缺少的標籤為空字串；回傳 [key, labels]
+  const labelKey = (labelNames, labels = {}) => {
+    const picked = Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+    return [JSON.stringify(labelNames.map(name => picked[name])), picked];
+  };
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    contentType: CONTENT_TYPE,
+
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+      register({
+        name,
+        render: () => [
+          `# HELP ${name} ${escapeHelp(help)}`,
+          `# TYPE ${name} counter`,
+          ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+        ]
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          const [key, picked] = labelKey(labelNames, labels);
+          const entry = series.get(key) ?? { labels: picked, value: 0 };
+          entry.value += value;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    // collect 回傳數字（沒有標籤）或 [{ labels, value }]
+    gauge({ name, help, labelNames = [], collect = null }) {
+      const series = new Map();
+      register({
+        name,
+        render: () => {
+          const samples = collect ? [].concat(collect()).map(sample =>
+            typeof sample === 'number' ? { labels: {}, value: sample } : { ...sample, labels: labelKey(labelNames, sample.labels)[1] }
+          ) : [...series.values()];
+          return [
+            `# HELP ${name} ${escapeHelp(help)}`,
+            `# TYPE ${name} gauge`,
+            ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+          ];
+        }
+      });
+      return {
+        set(labels, value) {
+          const [key, picked] = labelKey(labelNames, labels);
+          series.set(key, { labels: picked, value });
+        }
+      };
+    },
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      register({
+        name,
+        render: () => [
+          `# HELP ${name} ${escapeHelp(help)}`,
+          `# TYPE ${name} histogram`,
+          ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, index) =>
+              `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+          ])
+        ]
+      });
+      return {
+        observe(labels, value) {
+          const [key, picked] = labelKey(labelNames, labels);
+          const entry = series.get(key) ?? { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    // 所有指標的文字格式；collect 失敗的指標略過，不影響其他指標
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        try {
+          lines.push(...metric.render());
+        } catch {
+          // 例如資料庫尚未連線時讀不到的值
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('./logger');
+
+// 資料庫寫入 outbox：CRDT 文檔已合併、但寫入資料庫失敗的員工記在這裡，由背景重試
+// 只記員工 UUID，重試時一律寫入文檔中的最新值，同一位員工多次失敗只佔一筆
+//
+// 項目格式：{ employeeUUID, attempts, lastError, nextAttemptAt, queuedAt }（時間為毫秒）
+// 與 CRDT 文檔存在同一處（DOC_STORE），資料庫無法使用時仍能保存
+
+// 檔案系統 adapter：整份 outbox 存成一個 JSON 檔
+function createFileAdapter({ dir }) {
+  const filePath = path.join(dir, 'outbox.json');
+  let entries = new Map();
+
+  const writeAll = async () => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify([...entries.values()], null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  };
+
+  return {
+    name: 'fs',
+    async read() {
+      try {
+        const list = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        entries = new Map(list.map(entry => [entry.employeeUUID, entry]));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        entries = new Map();
+      }
+      return [...entries.values()];
+    },
+    async save(list) {
+      list.forEach(entry => entries.set(entry.employeeUUID, entry));
+      await writeAll();
+    },
+    async remove(keys) {
+      keys.forEach(key => entries.delete(key));
+      await writeAll();
+    }
+  };
+}
+
+// Supabase adapter：每位員工一列，以 (doc_id, employee_uuid) 為主鍵
+function createSupabaseAdapter({ url, key, table, docId }) {
+  if (!url || !key) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for supabase write outbox');
+  }
+  const client = createClient(url, key, { auth: { persistSession: false } });
+  const toTimestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return {
+    name: 'supabase',
+    async read() {
+      const { data, error } = await client
+        .from(table)
+        .select('employee_uuid, attempts, last_error, next_attempt_at, queued_at')
+        .eq('doc_id', docId);
+      if (error) throw error;
+      return (data || []).map(row => ({
+        employeeUUID: row.employee_uuid,
+        attempts: row.attempts,
+        lastError: row.last_error || '',
+        nextAttemptAt: row.next_attempt_at ? Date.parse(row.next_attempt_at) : 0,
+        queuedAt: row.queued_at ? Date.parse(row.queued_at) : 0
+      }));
+    },
+    async save(list) {
+      const { error } = await client.from(table).upsert(list.map(entry => ({
+        doc_id: docId,
+        employee_uuid: entry.employeeUUID,
+        attempts: entry.attempts,
+        last_error: entry.lastError || null,
+        next_attempt_at: toTimestamp(entry.nextAttemptAt),
+        queued_at: toTimestamp(entry.queuedAt)
+      })), { onConflict: 'doc_id,employee_uuid' });
+      if (error) throw error;
+    },
+    async remove(keys) {
+      const { error } = await client
+        .from(table)
+        .delete()
+        .eq('doc_id', docId)
+        .in('employee_uuid', keys);
+      if (error) throw error;
+    }
+  };
+}
+
+// 依環境變數選擇 adapter，與 CRDT 文檔相同（DOC_STORE=fs|supabase）
+function createOutboxStore(env = process.env) {
+  const kind = String(env.DOC_STORE || 'fs').toLowerCase();
+  switch (kind) {
+    case 'fs':
+      return createFileAdapter({ dir: path.resolve(env.DOC_STORE_DIR || path.join(__dirname, '..', 'data')) });
+    case 'supabase':
+      return createSupabaseAdapter({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_SERVICE_ROLE_KEY,
+        table: env.OUTBOX_TABLE || 'crdt_write_outbox',
+        docId: env.DOC_STORE_ID || 'employees'
+      });
+    default:
+      throw new Error(`Unknown DOC_STORE: ${kind}`);
+  }
+}
+
+// outbox 與背景重試
+// write(keys) 把這些員工在文檔中的最新值整批寫入資料庫，失敗時丟出錯誤
+// 重試間隔從 baseDelayMs 起每次加倍，最長 maxDelayMs
+function createWriteOutbox(adapter, { write, intervalMs = 30 * 1000, baseDelayMs = 5 * 1000, maxDelayMs = 10 * 60 * 1000 } = {}) {
+  const entries = new Map();
+  // 每次加入都換新的 revision：寫入期間又失敗的員工，不會被先前那次成功的寫入移除
+  const revisions = new Map();
+  let nextRevision = 1;
+  let queue = Promise.resolve();
+  let timer = null;
+  let flushing = null;
+
+  const retryDelay = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+
+  // 所有持久化經由同一條佇列，確保 save 與 remove 的先後順序；失敗時保留在記憶體，下次變動再寫
+  const persist = (task) => {
+    queue = queue.then(task).catch((err) => {
+      logger.error('Failed to persist write outbox', { store: adapter.name, err });
+    });
+    return queue;
+  };
+
+  const record = (keys, error, now = Date.now()) => {
+    const message = error?.message || String(error);
+    const updated = keys.map((key) => {
+      const existing = entries.get(key);
+      const attempts = (existing?.attempts ?? 0) + 1;
+      const entry = {
+        employeeUUID: key,
+        attempts,
+        lastError: message,
+        nextAttemptAt: now + retryDelay(attempts),
+        queuedAt: existing?.queuedAt ?? now
+      };
+      entries.set(key, entry);
+      revisions.set(key, nextRevision++);
+      return entry;
+    });
+    return persist(() => adapter.save(updated));
+  };
+
+  const outbox = {
+    name: adapter.name,
+
+    // 啟動時讀回上次關閉前尚未寫入的員工
+    async load() {
+      const stored = await adapter.read();
+      for (const entry of stored) {
+        entries.set(entry.employeeUUID, entry);
+        revisions.set(entry.employeeUUID, nextRevision++);
+      }
+      return stored.length;
+    },
+
+    has(key) {
+      return entries.has(key);
+    },
+
+    keys() {
+      return [...entries.keys()];
+    },
+
+    // 寫入前記下目前的 revision，寫入成功後交給 resolve
+    snapshot(keys) {
+      return new Map(keys.map(key => [key, revisions.get(key) ?? null]));
+    },
+
+    // 寫入成功：移除 revision 沒有變過的項目
+    resolve(snapshot) {
+      const settled = [...snapshot]
+        .filter(([key, revision]) => entries.has(key) && revisions.get(key) === revision)
+        .map(([key]) => key);
+      if (settled.length === 0) return queue;
+      settled.forEach((key) => {
+        entries.delete(key);
+        revisions.delete(key);
+      });
+      return persist(() => adapter.remove(settled));
+    },
+
+    // 寫入失敗：加入 outbox（已在其中的累加次數並延後下次重試）
+    reject(keys, error) {
+      return keys.length > 0 ? record(keys, error) : queue;
+    },
+
+    // 重試到期的項目：先整批寫入，失敗時逐筆重試，讓無法寫入的員工不會卡住其他人
+    // force 時不管下次重試時間（資料庫重新連線時）
+    flush({ force = false } = {}) {
+      if (flushing) return flushing;
+      const now = Date.now();
+      const due = [...entries.values()]
+        .filter(entry => force || entry.nextAttemptAt <= now)
+        .map(entry => entry.employeeUUID);
+      if (due.length === 0) return Promise.resolve();
+
+      flushing = (async () => {
+        const batch = outbox.snapshot(due);
+        try {
+          await write(due);
+          await outbox.resolve(batch);
+          logger.info('Write outbox flushed', { employees: due.length });
+          return;
+        } catch (err) {
+          if (due.length === 1) {
+            await record(due, err);
+            return;
+          }
+        }
+        for (const key of due) {
+          const single = outbox.snapshot([key]);
+          try {
+            await write([key]);
+            await outbox.resolve(single);
+          } catch (err) {
+            await record([key], err);
+          }
+        }
+        logger.warn('Write outbox still has unwritten employees after retry', { pending: entries.size });
+      })().finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    },
+
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => {
+        void outbox.flush().catch(err => logger.error('Write outbox retry failed', { err }));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    // 健康檢查用的摘要
+    status() {
+      const list = [...entries.values()];
+      return {
+        store: adapter.name,
+        pending: list.length,
+        oldestQueuedAt: list.length ? new Date(Math.min(...list.map(entry => entry.queuedAt))).toISOString() : null,
+        nextAttemptAt: list.length ? new Date(Math.min(...list.map(entry => entry.nextAttemptAt))).toISOString() : null,
+        lastError: list.reduce((latest, entry) => (!latest || entry.nextAttemptAt > latest.nextAttemptAt ? entry : latest), null)?.lastError ?? null
+      };
+    },
+
+    // 等待佇列中的持久化完成（關閉前使用）
+    drain() {
+      return queue;
+    }
+  };
+
+  return outbox;
+}
+
+module.exports = {
+  createOutboxStore,
+  createWriteOutbox
+};
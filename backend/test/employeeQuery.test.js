@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, parseEmployeeQuery, filterEmployees, toPageResponse } = require('../services/employeeQuery');
+
+test('parseEmployeeQuery：沒有 page/limit 時不分頁並使用預設值', () => {
+  const query = parseEmployeeQuery({});
+  assert.equal(query.paginated, false);
+  assert.equal(query.page, 1);
+  assert.equal(query.limit, 25);
+  assert.equal(query.sort, 'FirstName');
+  assert.equal(query.descending, false);
+  assert.equal(query.q, undefined);
+});
+
+test('parseEmployeeQuery：limit 上限為 200，order 不分大小寫', () => {
+  const query = parseEmployeeQuery({ page: '3', limit: '500', sort: 'HireDate', order: 'DESC' });
+  assert.equal(query.paginated, true);
+  assert.equal(query.page, 3);
+  assert.equal(query.limit, 200);
+  assert.equal(query.sort, 'HireDate');
+  assert.equal(query.descending, true);
+});
+
+test('parseEmployeeQuery：非法參數丟出 400 的 QueryError', () => {
+  for (const params of [{ page: '0' }, { limit: '1.5' }, { sort: 'Password' }, { order: 'up' }, { hireDateFrom: '2024/01/01' }]) {
+    assert.throws(() => parseEmployeeQuery(params), (err) => err instanceof QueryError && err.status === 400, JSON.stringify(params));
+  }
+});
+
+test('parseEmployeeQuery：q 移除 PostgREST 的分隔字元與萬用字元', () => {
+  assert.equal(parseEmployeeQuery({ q: ' a,b(c)%_* ' }).q, 'a b c');
+  assert.equal(parseEmployeeQuery({ q: ',()' }).q, undefined);
+});
+
+const employees = [
+  { EmployeeUUID: 'c', FirstName: 'Amy', LastName: 'Wu', Department: 'RD', Status: 'Active', HireDate: '2023-05-01', Email: 'amy@example.com' },
+  { EmployeeUUID: 'a', FirstName: 'Amy', LastName: 'Chen', Department: 'HR', Status: 'Active', HireDate: '2021-01-10', Email: 'chen@example.com' },
+  { EmployeeUUID: 'b', FirstName: 'Bob', LastName: 'Lin', Department: 'RD', Status: 'Inactive', HireDate: '', Email: 'bob@example.com' }
+];
+
+test('filterEmployees：依名字排序時再依姓氏排序', () => {
+  const { items, total } = filterEmployees(employees, parseEmployeeQuery({}));
+  assert.equal(total, 3);
+  assert.deepEqual(items.map(e => e.EmployeeUUID), ['a', 'c', 'b']);
+});
+
+test('filterEmployees：篩選、搜尋（不分大小寫）與到職日期區間', () => {
+  assert.deepEqual(filterEmployees(employees, parseEmployeeQuery({ department: 'RD', status: 'Active' })).items.map(e => e.EmployeeUUID), ['c']);
+  assert.deepEqual(filterEmployees(employees, parseEmployeeQuery({ q: 'EXAMPLE.com', sort: 'LastName' })).items.map(e => e.EmployeeUUID), ['a', 'b', 'c']);
+  // 沒有到職日期的員工不符合日期條件
+  assert.deepEqual(filterEmployees(employees, parseEmployeeQuery({ hireDateTo: '2022-12-31' })).items.map(e => e.EmployeeUUID), ['a']);
+});
+
+test('filterEmployees 與 toPageResponse：分頁與總頁數', () => {
+  const query = parseEmployeeQuery({ page: '2', limit: '2', sort: 'EmployeeID', order: 'desc' });
+  const { items, total } = filterEmployees(employees, query);
+  assert.equal(items.length, 1);
+  assert.deepEqual(toPageResponse(items, total, query), { items, total: 3, page: 2, limit: 2, totalPages: 2 });
+  assert.equal(toPageResponse([], 0, query).totalPages, 1);
+});
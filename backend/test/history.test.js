@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Automerge = require('@automerge/automerge');
+const { changeOptions, describeChange, getEmployeeHistory } = require('../services/history');
+const { createAuditLog } = require('../services/auditLog');
+
+const AMY = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+
+// 兩台裝置各自修改後合併的文檔
+function buildDocument() {
+  let server = Automerge.change(Automerge.init(), doc => { doc.employees = {}; });
+  let client = Automerge.clone(server);
+  server = Automerge.change(server, changeOptions('rest', { id: 'u1', name: 'Admin', role: 'admin' }), doc => {
+    doc.employees[AMY] = { EmployeeUUID: AMY, FirstName: 'Amy', LastName: 'Chen', Status: 'Active' };
+  });
+  client = Automerge.change(client, doc => {
+    doc.employees[BOB] = { EmployeeUUID: BOB, FirstName: 'Bob', LastName: 'Lin', Status: 'Active' };
+  });
+  server = Automerge.merge(server, client);
+  server = Automerge.change(server, doc => { doc.employees[AMY].LastName = 'Wang'; });
+  server = Automerge.change(server, doc => { doc.employees[BOB].Status = 'Inactive'; });
+  server = Automerge.change(server, doc => { doc.employees[AMY].EmployeeID = 7; });
+  server = Automerge.change(server, doc => { doc.employees[AMY].DeletedAt = '2024-01-01T00:00:00.000Z'; });
+  return server;
+}
+
+test('getEmployeeHistory：只列出動到這位員工的變更，新的在前', () => {
+  const doc = buildDocument();
+  const history = getEmployeeHistory(doc, AMY);
+  assert.deepEqual(history.map(entry => entry.operation), ['delete', 'update', 'create']);
+  assert.deepEqual(history[1].changes, [{ field: 'LastName', from: 'Chen', to: 'Wang' }]);
+  assert.equal(history[2].source, 'rest');
+  assert.deepEqual(history[2].user, { id: 'u1', name: 'Admin', role: 'admin' });
+
+  assert.deepEqual(getEmployeeHistory(doc, BOB).map(entry => entry.operation), ['update', 'create']);
+  assert.deepEqual(getEmployeeHistory(doc, '33333333-3333-4333-8333-333333333333'), []);
+});
+
+test('getEmployeeHistory：與逐一比對每個變更的結果相同', () => {
+  const doc = buildDocument();
+  for (const key of [AMY, BOB]) {
+    const expected = Automerge.getHistory(doc)
+      .filter(state => describeChange(doc, state.change, key).length > 0)
+      .map(state => state.change.hash)
+      .reverse();
+    assert.deepEqual(getEmployeeHistory(doc, key).map(entry => entry.hash), expected);
+  }
+});
+
+test('createAuditLog：memory 模式的稽核紀錄存在檔案中，重新建立後仍讀得到', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const file = path.join(dir, 'audit.jsonl');
+  const store = { name: 'memory' };
+  try {
+    const before = Automerge.change(Automerge.init(), doc => { doc.employees = {}; });
+    const after = Automerge.change(before, doc => {
+      doc.employees[AMY] = { EmployeeUUID: AMY, FirstName: 'Amy', LastName: 'Chen' };
+      doc.employees[BOB] = { EmployeeUUID: BOB, FirstName: 'Bob', LastName: 'Lin' };
+    });
+    const user = { id: 'u1', name: 'Admin', role: 'admin' };
+    await createAuditLog({ getStore: () => store, file }).recordChanges(before, after, { user, source: 'rest' });
+
+    const [entry, ...rest] = await createAuditLog({ getStore: () => store, file }).listForEmployee(AMY);
+    assert.equal(rest.length, 0);
+    assert.equal(entry.hash, Automerge.getHeads(after)[0]);
+    assert.equal(entry.operation, 'create');
+    assert.equal(entry.source, 'rest');
+    assert.deepEqual(entry.user, user);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createAuditLog：未連線資料庫時保留在記憶體', async () => {
+  const audit = createAuditLog({ getStore: () => null, file: path.join(os.tmpdir(), 'unused-audit.jsonl') });
+  const before = Automerge.change(Automerge.init(), doc => { doc.employees = {}; });
+  const after = Automerge.change(before, doc => { doc.employees[AMY] = { EmployeeUUID: AMY, FirstName: 'Amy' }; });
+  await audit.recordChanges(before, after, { user: null, source: 'sync' });
+  const entries = await audit.listForEmployee(AMY);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].user, null);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutboxStore, createWriteOutbox } = require('../services/writeOutbox');
+
+// 記在記憶體中的 adapter，介面與 createOutboxStore 的回傳值相同
+function createMemoryAdapter(initial = []) {
+  const stored = new Map(initial.map(entry => [entry.employeeUUID, entry]));
+  return {
+    name: 'memory',
+    stored,
+    async read() {
+      return [...stored.values()];
+    },
+    async save(list) {
+      list.forEach(entry => stored.set(entry.employeeUUID, { ...entry }));
+    },
+    async remove(keys) {
+      keys.forEach(key => stored.delete(key));
+    }
+  };
+}
+
+const options = (write) => ({ write, intervalMs: 0, baseDelayMs: 1000, maxDelayMs: 4000 });
+
+test('reject：加入 outbox，重試間隔每次加倍且不超過上限', async () => {
+  const adapter = createMemoryAdapter();
+  const outbox = createWriteOutbox(adapter, options(async () => {}));
+  const delays = [];
+  for (let i = 0; i < 4; i++) {
+    const before = Date.now();
+    await outbox.reject(['a'], new Error('db down'));
+    const entry = adapter.stored.get('a');
+    delays.push(Math.round((entry.nextAttemptAt - before) / 1000));
+  }
+  assert.deepEqual(delays, [1, 2, 4, 4]);
+  assert.equal(adapter.stored.get('a').attempts, 4);
+  assert.equal(adapter.stored.get('a').lastError, 'db down');
+  assert.deepEqual(outbox.keys(), ['a']);
+});
+
+test('resolve：寫入期間又失敗的員工不會被先前的寫入移除', async () => {
+  const adapter = createMemoryAdapter();
+  const outbox = createWriteOutbox(adapter, options(async () => {}));
+  await outbox.reject(['a', 'b'], new Error('db down'));
+
+  const snapshot = outbox.snapshot(['a', 'b']);
+  await outbox.reject(['b'], new Error('still down'));
+  await outbox.resolve(snapshot);
+
+  assert.deepEqual(outbox.keys(), ['b']);
+  assert.deepEqual([...adapter.stored.keys()], ['b']);
+});
+
+test('flush：只重試到期的項目，force 時全部重試', async () => {
+  const written = [];
+  const adapter = createMemoryAdapter();
+  const outbox = createWriteOutbox(adapter, options(async (keys) => { written.push(keys); }));
+  await outbox.reject(['a'], new Error('db down'));
+
+  await outbox.flush();
+  assert.deepEqual(written, []);
+
+  await outbox.flush({ force: true });
+  assert.deepEqual(written, [['a']]);
+  assert.equal(outbox.has('a'), false);
+  assert.equal(adapter.stored.size, 0);
+});
+
+test('flush：整批失敗時逐筆重試，無法寫入的員工不會卡住其他人', async () => {
+  const adapter = createMemoryAdapter();
+  const outbox = createWriteOutbox(adapter, options(async (keys) => {
+    if (keys.includes('bad')) throw new Error('invalid row');
+  }));
+  await outbox.reject(['a', 'bad', 'c'], new Error('db down'));
+
+  await outbox.flush({ force: true });
+  assert.deepEqual(outbox.keys(), ['bad']);
+  assert.equal(adapter.stored.get('bad').attempts, 2);
+  assert.equal(adapter.stored.get('bad').lastError, 'invalid row');
+});
+
+test('flush：同時呼叫時共用同一次重試', async () => {
+  let calls = 0;
+  const outbox = createWriteOutbox(createMemoryAdapter(), options(async () => { calls++; }));
+  await outbox.reject(['a'], new Error('db down'));
+  await Promise.all([outbox.flush({ force: true }), outbox.flush({ force: true })]);
+  assert.equal(calls, 1);
+});
+
+test('load 與 status：讀回上次關閉前的項目', async () => {
+  const adapter = createMemoryAdapter([
+    { employeeUUID: 'a', attempts: 2, lastError: 'old', nextAttemptAt: 2000, queuedAt: 1000 },
+    { employeeUUID: 'b', attempts: 1, lastError: 'new', nextAttemptAt: 3000, queuedAt: 1500 }
+  ]);
+  const outbox = createWriteOutbox(adapter, options(async () => {}));
+  assert.equal(await outbox.load(), 2);
+  assert.deepEqual(outbox.status(), {
+    store: 'memory',
+    pending: 2,
+    oldestQueuedAt: new Date(1000).toISOString(),
+    nextAttemptAt: new Date(2000).toISOString(),
+    lastError: 'new'
+  });
+});
+
+test('createOutboxStore：fs adapter 把 outbox 存在 DOC_STORE_DIR', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    const first = createWriteOutbox(createOutboxStore({ DOC_STORE: 'fs', DOC_STORE_DIR: dir }), options(async () => {}));
+    await first.reject(['a', 'b'], new Error('db down'));
+    await first.resolve(first.snapshot(['a']));
+    await first.drain();
+
+    const second = createWriteOutbox(createOutboxStore({ DOC_STORE: 'fs', DOC_STORE_DIR: dir }), options(async () => {}));
+    assert.equal(await second.load(), 1);
+    assert.deepEqual(second.keys(), ['b']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -3,6 +3,7 @@
 
 /// <reference types="@quasar/app-vite" />
 import { defineConfig } from '@quasar/app-vite/wrappers';
+import { fileURLToPath } from 'node:url';
 
 import wasm from 'vite-plugin-wasm';  
 import topLevelAwait from 'vite-plugin-top-level-await';
@@ -73,7 +74,12 @@ export default defineConfig((/* ctx */) => {
 
       // publicPath: '/',
       // analyze: true,
-      // env: {},
+      // Service Worker 的 API 快取設定，可在建置時以同名環境變數覆寫
+      env: {
+        API_CACHE_MAX_AGE_SECONDS: process.env.API_CACHE_MAX_AGE_SECONDS || String(24 * 60 * 60),
+        API_CACHE_MAX_ENTRIES: process.env.API_CACHE_MAX_ENTRIES || '20',
+        API_MUTATION_RETENTION_MINUTES: process.env.API_MUTATION_RETENTION_MINUTES || String(24 * 60)
+      },
       // rawDefine: {}
       // ignorePublicFolder: true,
       // minify: false,
@@ -173,7 +179,7 @@ export default defineConfig((/* ctx */) => {
 
     // https://v2.quasar.dev/quasar-cli-vite/developing-pwa/configuring-pwa
     pwa: {
-      workboxMode: 'GenerateSW',
+      workboxMode: 'InjectManifest',
       swFilename: 'sw.js',
       manifestFilename: 'manifest.json',
       useCredentialsForManifestTag: false,
@@ -204,49 +210,17 @@ export default defineConfig((/* ctx */) => {
           }
         ];
       },
-      extendGenerateSWOptions(cfg) {
-        cfg.skipWaiting = true;
-        cfg.clientsClaim = true;
-        cfg.cleanupOutdatedCaches = true;
-        cfg.runtimeCaching = [
-          {
-            urlPattern: ({ request }: { request: Request }) => request.mode === 'navigate',
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'pages'
-            }
-          },
-          {
-            urlPattern: /^https:\/\/fonts\.googleapis\.com/,
-            handler: 'StaleWhileRevalidate',
-            options: {
-              cacheName: 'google-fonts-stylesheets'
-            }
-          },
-          {
-            urlPattern: /^https:\/\/fonts\.gstatic\.com/,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'google-fonts-webfonts',
-              expiration: {
-                maxEntries: 30,
-                maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
-              }
-            }
-          },
-          {
-            urlPattern: /\/api\//,
-            handler: 'NetworkFirst',
-            options: {
-              cacheName: 'api-cache',
-              networkTimeoutSeconds: 3,
-              expiration: {
-                maxEntries: 50,
-                maxAgeSeconds: 60 * 5 // 5 minutes
-              }
-            }
-          }
-        ];
+      // 自訂 Service Worker 以 esbuild 打包：Automerge 改用內嵌 base64 WASM 的版本（不需 WASM loader 與 top-level await），
+      // 並補上 Vite 才會注入的 import.meta.env
+      extendPWACustomSWConf(cfg) {
+        cfg.alias = {
+          ...cfg.alias,
+          '@automerge/automerge': fileURLToPath(new URL('./node_modules/@automerge/automerge/dist/mjs/entrypoints/fullfat_base64.js', import.meta.url))
+        };
+        cfg.define = {
+          ...cfg.define,
+          'import.meta.env': `{ "VITE_API_BASE": ${cfg.define?.['process.env.VITE_API_BASE'] ?? 'null'} }`
+        };
       }
     },
 
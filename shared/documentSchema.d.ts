@@ -0,0 +1,21 @@
+// shared/documentSchema.js 的型別宣告（前端 TypeScript 使用）
+
+export interface VersionedDocument {
+  schemaVersion?: number;
+  lastModified?: number;
+}
+
+export interface DocumentMigration {
+  version: number;
+  description: string;
+  migrate(doc: object): void;
+}
+
+export const DOCUMENT_SCHEMA_VERSION: number;
+export const MIN_CLIENT_SCHEMA_VERSION: number;
+export const DOCUMENT_MIGRATIONS: readonly DocumentMigration[];
+
+export function documentSchemaVersion(doc: VersionedDocument | null | undefined): number;
+export function needsMigration(doc: VersionedDocument | null | undefined): boolean;
+export function isNewerDocument(doc: VersionedDocument | null | undefined): boolean;
+export function migrateDocument(doc: VersionedDocument): number[];
@@ -0,0 +1,57 @@
+// CRDT 文檔的 schema 版本與升級步驟：伺服器載入或合併文檔後寫入文檔，客戶端讀取文檔內容時套用在複本上
+// 文檔結構改變時，在 DOCUMENT_MIGRATIONS 新增一個步驟並調高 DOCUMENT_SCHEMA_VERSION
+// 升級步驟必須可以重複執行，且不依賴執行者（多個伺服器各自升級同一份文檔時結果相同）
+
+export const DOCUMENT_SCHEMA_VERSION = 3;
+
+// 伺服器接受寫入的最低客戶端版本（客戶端以 X-Schema-Version 標頭告知，未帶時視為 1）
+// 伺服器能把舊格式補成新格式時維持不變；無法補齊的結構改變才調高，讓舊客戶端改為提示使用者更新
+export const MIN_CLIENT_SCHEMA_VERSION = 1;
+
+const isLegacyDeleted = (employee) => String(employee?.Status ?? '').toLowerCase() === 'deleted';
+
+// 依版本排序；version 為執行後的文檔版本，沒有 schemaVersion 的文檔視為第 1 版
+export const DOCUMENT_MIGRATIONS = [
+  {
+    version: 2,
+    description: '部門主檔：新增 departments map',
+    migrate(doc) {
+      if (!doc.employees) doc.employees = {};
+      if (!doc.departments) doc.departments = {};
+    }
+  },
+  {
+    version: 3,
+    description: '回收桶：Status = Deleted 改為 DeletedAt / DeletedBy 標記',
+    migrate(doc) {
+      // 刪除時間不得而知，以文檔最後修改時間代替
+      const deletedAt = new Date(Number(doc.lastModified) || 0).toISOString();
+      for (const employee of Object.values(doc.employees || {})) {
+        if (!isLegacyDeleted(employee)) continue;
+        if (!employee.DeletedAt) employee.DeletedAt = deletedAt;
+        if (!employee.DeletedBy) employee.DeletedBy = 'system';
+        employee.Status = 'Active';
+      }
+    }
+  }
+];
+
+export const documentSchemaVersion = (doc) => Number(doc?.schemaVersion) || 1;
+
+export const needsMigration = (doc) => documentSchemaVersion(doc) < DOCUMENT_SCHEMA_VERSION;
+
+// 文檔版本比這份程式新：不能以舊規則讀寫，需要更新程式
+export const isNewerDocument = (doc) => documentSchemaVersion(doc) > DOCUMENT_SCHEMA_VERSION;
+
+// 依序執行尚未套用的升級步驟並寫入 schemaVersion，回傳執行過的版本
+// doc 可以是 Automerge.change 中的文檔，或讀取用的一般物件複本
+export function migrateDocument(doc) {
+  const applied = [];
+  for (const migration of DOCUMENT_MIGRATIONS) {
+    if (migration.version <= documentSchemaVersion(doc)) continue;
+    migration.migrate(doc);
+    doc.schemaVersion = migration.version;
+    applied.push(migration.version);
+  }
+  return applied;
+}
@@ -0,0 +1,37 @@
+// shared/employeeDuplicates.js 的型別宣告（前端 TypeScript 使用）
+
+export type DuplicateReason = 'email' | 'phone' | 'name';
+export type MergeChoice = 'winner' | 'loser';
+
+interface DuplicateCandidate {
+  EmployeeUUID: string;
+  FirstName?: string;
+  LastName?: string;
+  Email?: string;
+  PhoneNumber?: string;
+  BirthDate?: string;
+  DeletedAt?: string;
+  Status?: string;
+}
+
+export const DUPLICATE_REASONS: Readonly<Record<DuplicateReason, string>>;
+export const MERGE_FIELDS: readonly string[];
+
+export function duplicateReasons(a: DuplicateCandidate, b: DuplicateCandidate): DuplicateReason[];
+export function findDuplicates<T extends DuplicateCandidate>(
+  employee: DuplicateCandidate,
+  employees: readonly T[]
+): { employee: T; reasons: DuplicateReason[] }[];
+export function findDuplicatePairs<T extends DuplicateCandidate>(
+  employees: readonly T[]
+): { employees: [T, T]; reasons: DuplicateReason[] }[];
+export function defaultMergeChoices(winner: object, loser: object): Record<string, MergeChoice>;
+export function mergeEmployees<T extends { EmployeeUUID: string; ManagerID?: string }>(
+  winner: T,
+  loser: T,
+  choices?: Partial<Record<string, MergeChoice>>
+): T;
+export function resolveMergedKey(
+  employees: Readonly<Record<string, { MergedInto?: string | null } | undefined>>,
+  key: string
+): string;
@@ -0,0 +1,143 @@
+// 重複員工偵測與合併：前端表單新增、重複清單與合併畫面，以及後端合併 CRDT 變更時共用
+// 判斷規則：電子郵件相同、電話號碼相同，或姓名相近且生日相同（任一符合即視為可能重複）
+
+import { isDeletedEmployee, toDateValue } from './employeeSchema.js';
+
+export const DUPLICATE_REASONS = {
+  email: '電子郵件相同',
+  phone: '電話號碼相同',
+  name: '姓名相近且生日相同'
+};
+
+// 合併時可以逐欄選擇的欄位（與前端 EMPLOYEE_FIELDS 相同）
+export const MERGE_FIELDS = [
+  'FirstName', 'LastName', 'Department', 'Position', 'HireDate', 'BirthDate',
+  'Gender', 'Email', 'PhoneNumber', 'Address', 'Status', 'ManagerID'
+];
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const normalizeEmail = (email) => text(email).toLowerCase();
+
+// 只比對數字；9 碼以上取最後 9 碼，+886 912… 與 0912… 視為相同，太短的號碼（分機）不比對
+function normalizePhone(phone) {
+  const digits = text(phone).replace(/\D/g, '');
+  if (digits.length < 7) return '';
+  return digits.length > 9 ? digits.slice(-9) : digits;
+}
+
+// 姓名去掉空白與標點後比對；名與姓填反、或整個姓名填在同一欄時也要找得到
+const normalizeName = (name) => text(name).toLowerCase().replace(/[\s.,'’\-_·・]/g, '');
+
+function nameVariants(employee) {
+  const first = normalizeName(employee?.FirstName);
+  const last = normalizeName(employee?.LastName);
+  return [...new Set([first + last, last + first])].filter(Boolean);
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// 姓名相近：相同，或錯一個字（6 個字以上的姓名容許錯兩個字）
+function similarNames(a, b) {
+  return nameVariants(a).some(x => nameVariants(b).some((y) => {
+    const allowed = Math.max(x.length, y.length) >= 6 ? 2 : 1;
+    return Math.abs(x.length - y.length) <= allowed && editDistance(x, y) <= allowed;
+  }));
+}
+
+// 兩位員工可能是同一人的原因（DUPLICATE_REASONS 的鍵），不重複時為空陣列
+export function duplicateReasons(a, b) {
+  const reasons = [];
+  const email = normalizeEmail(a?.Email);
+  if (email && email === normalizeEmail(b?.Email)) reasons.push('email');
+  const phone = normalizePhone(a?.PhoneNumber);
+  if (phone && phone === normalizePhone(b?.PhoneNumber)) reasons.push('phone');
+  const birthDate = toDateValue(a?.BirthDate);
+  if (birthDate && birthDate === toDateValue(b?.BirthDate) && similarNames(a, b)) reasons.push('name');
+  return reasons;
+}
+
+// 在 employees 中找出可能與 employee 重複的員工：[{ employee, reasons }]（略過自己與回收桶中的員工）
+export function findDuplicates(employee, employees) {
+  const matches = [];
+  for (const other of employees) {
+    if (!other || other.EmployeeUUID === employee?.EmployeeUUID || isDeletedEmployee(other)) continue;
+    const reasons = duplicateReasons(employee, other);
+    if (reasons.length > 0) matches.push({ employee: other, reasons });
+  }
+  return matches;
+}
+
+// 所有可能重複的組合：[{ employees: [a, b], reasons }]（a 的 UUID 較小，略過回收桶中的員工）
+// 先依電子郵件、電話與生日分組，只比對同一組內的員工
+export function findDuplicatePairs(employees) {
+  const active = employees.filter(employee => employee && !isDeletedEmployee(employee));
+  const buckets = new Map();
+  const addTo = (bucket, employee) => {
+    if (!bucket.endsWith(':')) buckets.set(bucket, [...(buckets.get(bucket) ?? []), employee]);
+  };
+  for (const employee of active) {
+    addTo(`email:${normalizeEmail(employee.Email)}`, employee);
+    addTo(`phone:${normalizePhone(employee.PhoneNumber)}`, employee);
+    addTo(`birth:${toDateValue(employee.BirthDate) || ''}`, employee);
+  }
+
+  const pairs = new Map();
+  for (const group of buckets.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i], group[j]].sort((x, y) => String(x.EmployeeUUID).localeCompare(String(y.EmployeeUUID)));
+        const key = `${a.EmployeeUUID}|${b.EmployeeUUID}`;
+        if (pairs.has(key) || a.EmployeeUUID === b.EmployeeUUID) continue;
+        const reasons = duplicateReasons(a, b);
+        if (reasons.length > 0) pairs.set(key, { employees: [a, b], reasons });
+      }
+    }
+  }
+  return [...pairs.values()];
+}
+
+// 合併畫面的預設選擇：保留的員工有值時用它的值，沒有值時改用被合併員工的值
+export function defaultMergeChoices(winner, loser) {
+  return Object.fromEntries(MERGE_FIELDS.map(field => [
+    field,
+    !text(winner?.[field]) && text(loser?.[field]) && field !== 'ManagerID' ? 'loser' : 'winner'
+  ]));
+}
+
+// 依逐欄選擇（'winner' | 'loser'）產生合併後的員工，識別碼沿用保留的員工
+// 被合併的員工原本是保留員工的主管時清除，避免主管指向 tombstone 或自己
+export function mergeEmployees(winner, loser, choices = {}) {
+  const merged = { ...winner };
+  for (const field of MERGE_FIELDS) {
+    if (choices[field] === 'loser') merged[field] = loser?.[field] ?? '';
+  }
+  if (merged.ManagerID === loser?.EmployeeUUID || merged.ManagerID === winner?.EmployeeUUID) merged.ManagerID = '';
+  return merged;
+}
+
+// 被合併的員工以 MergedInto 指向保留的員工；沿著合併紀錄找到最後保留的員工（沒有合併時回傳原本的鍵）
+// employees 為 { EmployeeUUID: { MergedInto } }
+export function resolveMergedKey(employees, key) {
+  const visited = new Set();
+  let current = key;
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const next = text(employees?.[current]?.MergedInto);
+    if (!next) return current;
+    current = next;
+  }
+  return key;
+}
@@ -0,0 +1,55 @@
+// shared/employeeImport.js 的型別宣告（前端 TypeScript 使用）
+
+import type { EmployeeFieldErrors } from './employeeSchema';
+import type { SpreadsheetCell } from './spreadsheet';
+
+export interface EmployeeImportField {
+  field: string;
+  label: string;
+  aliases: readonly string[];
+}
+
+export const EMPLOYEE_IMPORT_FIELDS: readonly EmployeeImportField[];
+export const EMPLOYEE_EXPORT_FIELDS: readonly string[];
+
+// 欄位對應：每一欄對應的欄位名稱，'' 表示略過這一欄
+export type EmployeeColumnMapping = string[];
+
+export interface ImportedEmployee {
+  EmployeeUUID: string;
+  EmployeeID: number;
+  FirstName: string;
+  LastName: string;
+  Department: string;
+  Position: string;
+  HireDate: string;
+  BirthDate: string;
+  Gender: string;
+  Email: string;
+  PhoneNumber: string;
+  Address: string;
+  Status: string;
+  ManagerID: string;
+}
+
+export interface EmployeeImportRow<T extends ImportedEmployee = ImportedEmployee> {
+  row: number; // 試算表上的列號（標題為第 1 列）
+  operation: 'create' | 'update';
+  employee: T;
+  errors: EmployeeFieldErrors;
+}
+
+export interface EmployeeImportContext<T extends ImportedEmployee = ImportedEmployee> {
+  employees?: readonly (T & { DeletedAt?: string; MergedInto?: string; Status?: string })[];
+  departmentCodes?: readonly string[] | ReadonlySet<string>;
+  createUuid: () => string;
+}
+
+export function suggestColumnMapping(headers: readonly unknown[]): EmployeeColumnMapping;
+export function mapRow(row: readonly SpreadsheetCell[], mapping: EmployeeColumnMapping): Partial<Record<string, string>>;
+export function prepareEmployeeImport<T extends ImportedEmployee>(
+  rows: readonly (readonly SpreadsheetCell[])[],
+  mapping: EmployeeColumnMapping,
+  context: EmployeeImportContext<T>
+): EmployeeImportRow<T>[];
+export function employeesToRows(employees: readonly object[]): (string | number)[][];
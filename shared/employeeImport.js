@@ -0,0 +1,176 @@
+// 員工批次匯入/匯出：欄位對應、列資料正規化與整份檔案的驗證
+// 前端匯入精靈（離線時也能使用）與後端 POST /api/employees/import、GET /api/employees/export 共用
+
+import { validateEmployee, isDeletedEmployee, toDateValue, hasFieldErrors } from './employeeSchema.js';
+import { excelDateToString } from './spreadsheet.js';
+
+// 可匯入的欄位；欄位標題比對時也接受中文名稱與資料庫欄位名稱（不分大小寫、忽略空白與底線）
+export const EMPLOYEE_IMPORT_FIELDS = [
+  { field: 'EmployeeUUID', label: 'UUID', aliases: ['employee_uuid', 'uuid'] },
+  { field: 'FirstName', label: '名', aliases: ['first_name', 'first name', '名字'] },
+  { field: 'LastName', label: '姓', aliases: ['last_name', 'last name', '姓氏'] },
+  { field: 'Department', label: '部門', aliases: ['department', 'dept', '部門代碼'] },
+  { field: 'Position', label: '職位', aliases: ['position', 'title', '職稱'] },
+  { field: 'HireDate', label: '到職日期', aliases: ['hire_date', '到職日'] },
+  { field: 'BirthDate', label: '生日', aliases: ['birth_date', 'birthday', '出生日期'] },
+  { field: 'Gender', label: '性別', aliases: ['gender', 'sex'] },
+  { field: 'Email', label: '電子郵件', aliases: ['email', 'e-mail', 'mail'] },
+  { field: 'PhoneNumber', label: '電話號碼', aliases: ['phone_number', 'phone', '電話'] },
+  { field: 'Address', label: '地址', aliases: ['address'] },
+  { field: 'Status', label: '狀態', aliases: ['status'] },
+  { field: 'ManagerID', label: '直屬主管', aliases: ['manager_id', 'manager', '主管', 'manager email', '主管電子郵件'] }
+];
+
+// 匯出的欄位順序（EmployeeID 只供參考，匯入時以 EmployeeUUID 比對）
+export const EMPLOYEE_EXPORT_FIELDS = ['EmployeeUUID', 'EmployeeID', ...EMPLOYEE_IMPORT_FIELDS.map(({ field }) => field).filter(field => field !== 'EmployeeUUID')];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[\s_\-*]/g, '');
+
+// 依標題推測每一欄對應的欄位，無法對應的欄為 ''；每個欄位只對應第一個符合的欄
+export function suggestColumnMapping(headers) {
+  const used = new Set();
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const match = EMPLOYEE_IMPORT_FIELDS.find(({ field, label, aliases }) =>
+      !used.has(field) && [field, label, ...aliases].some(name => normalizeHeader(name) === normalized));
+    if (!match) return '';
+    used.add(match.field);
+    return match.field;
+  });
+}
+
+const GENDER_ALIASES = { m: 'M', male: 'M', 男: 'M', f: 'F', female: 'F', 女: 'F' };
+const STATUS_ALIASES = { active: 'Active', 在職: 'Active', inactive: 'Inactive', 離職: 'Inactive' };
+
+// 試算表常見的日期寫法（Excel 序號、2024/3/5）換成 YYYY-MM-DD；無法辨識時保留原文交給驗證
+function normalizeDate(value) {
+  if (typeof value === 'number') return excelDateToString(value);
+  const text = String(value ?? '').trim();
+  const match = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/.exec(text);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : text;
+}
+
+// 一列試算表資料 → 員工欄位（只含有對應的欄位，值已正規化）
+export function mapRow(row, mapping) {
+  const values = {};
+  mapping.forEach((field, index) => {
+    if (!field) return;
+    const raw = row[index];
+    if (field === 'HireDate' || field === 'BirthDate') {
+      values[field] = normalizeDate(raw);
+      return;
+    }
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (field === 'Gender') values[field] = GENDER_ALIASES[text.toLowerCase()] ?? text;
+    else if (field === 'Status') values[field] = STATUS_ALIASES[text.toLowerCase()] ?? text;
+    else values[field] = text;
+  });
+  return values;
+}
+
+const EMPTY_EMPLOYEE = {
+  EmployeeID: 0, FirstName: '', LastName: '', Department: '', Position: '', HireDate: '', BirthDate: '',
+  Gender: '', Email: '', PhoneNumber: '', Address: '', Status: 'Active', ManagerID: ''
+};
+
+// 驗證整份匯入，回傳每一列的結果 [{ row, operation, employee, errors }]（errors 為空物件表示可以匯入）
+// rows 不含標題列，row 為試算表上的列號（標題為第 1 列）
+// EmployeeUUID 是既有員工時為修改（沒有對應的欄位保留原值），否則以 createUuid() 或檔案中的 UUID 新增
+// 回收桶中的員工（先還原）與合併時被合併的員工（不能還原）不能修改，該列回報錯誤
+// 直屬主管可以填 UUID 或主管的電子郵件（既有員工或同一份檔案中的員工）
+// context：{ employees: 既有員工（含回收桶）, departmentCodes, createUuid }
+export function prepareEmployeeImport(rows, mapping, { employees = [], departmentCodes, createUuid }) {
+  const existing = new Map(employees.map(employee => [employee.EmployeeUUID, employee]));
+  const seen = new Set();
+
+  const results = rows.map((row, index) => {
+    const values = mapRow(row, mapping);
+    const errors = {};
+    const uuid = values.EmployeeUUID ?? '';
+    const current = uuid ? existing.get(uuid) : undefined;
+
+    if (uuid && !UUID_PATTERN.test(uuid)) {
+      errors.EmployeeUUID = { code: 'format', message: 'UUID 格式不正確' };
+    } else if (uuid && seen.has(uuid)) {
+      errors.EmployeeUUID = { code: 'duplicate', message: '同一位員工在檔案中出現多次' };
+    } else if (current?.MergedInto) {
+      errors.EmployeeUUID = { code: 'reference', message: '員工已合併到其他員工，請改用保留的員工' };
+    } else if (current && isDeletedEmployee(current)) {
+      errors.EmployeeUUID = { code: 'reference', message: '員工在回收桶中，請先還原' };
+    }
+    if (uuid) seen.add(uuid);
+
+    const operation = current && !errors.EmployeeUUID ? 'update' : 'create';
+    const base = operation === 'update' ? { ...EMPTY_EMPLOYEE, ...current } : EMPTY_EMPLOYEE;
+    const employee = {
+      ...base,
+      ...values,
+      // 沒有填狀態時新員工預設在職，修改則保留原值
+      Status: values.Status || base.Status,
+      EmployeeUUID: uuid && !errors.EmployeeUUID ? uuid : createUuid(),
+      EmployeeID: Number(base.EmployeeID) || 0
+    };
+    delete employee.DeletedAt;
+    delete employee.DeletedBy;
+    return { row: index + 2, operation, employee, errors };
+  });
+
+  // 主管以電子郵件填寫時換成 UUID（既有的在職員工或同一份檔案中的員工）
+  const byEmail = new Map();
+  for (const employee of [...employees.filter(e => !isDeletedEmployee(e)), ...results.map(result => result.employee)]) {
+    const email = String(employee.Email ?? '').trim().toLowerCase();
+    if (email && !byEmail.has(email)) byEmail.set(email, employee.EmployeeUUID);
+  }
+  for (const result of results) {
+    const manager = result.employee.ManagerID;
+    if (!manager || !manager.includes('@')) continue;
+    const managerUUID = byEmail.get(manager.toLowerCase());
+    if (managerUUID) result.employee.ManagerID = managerUUID;
+    else result.errors.ManagerID = { code: 'reference', message: `找不到電子郵件為 ${manager} 的主管` };
+  }
+
+  const contextOf = (imported) => ({
+    departmentCodes,
+    employees: Object.fromEntries([...employees, ...imported.map(result => result.employee)]
+      .map(employee => [employee.EmployeeUUID, { ManagerID: employee.ManagerID ?? '' }]))
+  });
+
+  // 先以整份檔案驗證每一列，列出所有錯誤
+  const fileContext = contextOf(results);
+  for (const result of results) {
+    result.errors = { ...validateEmployee(result.employee, fileContext), ...result.errors };
+  }
+
+  // 主管是同一份檔案中有錯誤的列時，那一列也無法匯入：重複驗證直到結果不再改變
+  const importedUUIDs = new Set(results.map(result => result.employee.EmployeeUUID));
+  for (let changed = true; changed;) {
+    changed = false;
+    const valid = results.filter(result => !hasFieldErrors(result.errors));
+    const context = contextOf(valid);
+    for (const result of valid) {
+      const errors = validateEmployee(result.employee, context);
+      if (errors.ManagerID?.code === 'reference' && importedUUIDs.has(result.employee.ManagerID)) {
+        errors.ManagerID = { code: 'reference', message: '主管在這份檔案中的資料有錯誤' };
+      }
+      if (hasFieldErrors(errors)) {
+        result.errors = errors;
+        changed = true;
+      }
+    }
+  }
+  return results;
+}
+
+// 員工 → 匯出的試算表資料（第一列為欄位名稱，可直接再匯入）
+export function employeesToRows(employees) {
+  return [
+    EMPLOYEE_EXPORT_FIELDS,
+    ...employees.map(employee => EMPLOYEE_EXPORT_FIELDS.map((field) => {
+      if (field === 'EmployeeID') return Number(employee.EmployeeID) || '';
+      if (field === 'HireDate' || field === 'BirthDate') return toDateValue(employee[field]) || '';
+      return employee[field] ?? '';
+    }))
+  ];
+}
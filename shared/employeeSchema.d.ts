@@ -0,0 +1,51 @@
+// shared/employeeSchema.js 的型別宣告（前端 TypeScript 使用）
+
+export type EmployeeFieldErrorCode = 'required' | 'maxLength' | 'format' | 'enum' | 'date' | 'range' | 'reference' | 'duplicate' | 'cycle' | 'immutable';
+
+export interface EmployeeFieldError {
+  code: EmployeeFieldErrorCode;
+  message: string;
+}
+
+export type EmployeeFieldErrors = Partial<Record<string, EmployeeFieldError>>;
+
+export interface EmployeeFieldRule {
+  required?: boolean;
+  maxLength?: number;
+  type?: 'date';
+  enum?: readonly string[];
+  pattern?: RegExp;
+  patternMessage?: string;
+}
+
+export const GENDER_VALUES: readonly string[];
+export const STATUS_VALUES: readonly string[];
+export function isDeletedEmployee(employee: { DeletedAt?: string | null; Status?: string } | null | undefined): boolean;
+export const EMPLOYEE_SCHEMA: Readonly<Record<string, EmployeeFieldRule>>;
+
+export function toDateValue(value: unknown): string | null;
+export interface EmployeeValidationContext {
+  departmentCodes?: readonly string[] | ReadonlySet<string>;
+  employees?: Readonly<Record<string, { ManagerID?: string | null } | undefined>>;
+}
+
+export interface DepartmentValidationContext {
+  departments?: Record<string, { DepartmentUUID?: string; Code?: string; ParentDepartmentUUID?: string | null } | undefined>;
+  employeeUUIDs?: readonly string[] | ReadonlySet<string>;
+}
+
+export function findReportingCycle(
+  employees: Readonly<Record<string, { ManagerID?: string | null } | undefined>>,
+  employeeUUID: string
+): string[] | null;
+export function validateEmployee(employee: object | null | undefined, context?: EmployeeValidationContext): EmployeeFieldErrors;
+export function hasFieldErrors(errors: EmployeeFieldErrors | null | undefined): boolean;
+export function assertValidEmployee(employee: object | null | undefined, context?: EmployeeValidationContext): void;
+
+export const DEPARTMENT_SCHEMA: Readonly<Record<string, EmployeeFieldRule>>;
+export function validateDepartment(department: object | null | undefined, context?: DepartmentValidationContext): EmployeeFieldErrors;
+
+export class EmployeeValidationError extends Error {
+  constructor(fields: EmployeeFieldErrors, message?: string);
+  fields: EmployeeFieldErrors;
+}
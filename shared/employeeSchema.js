@@ -0,0 +1,199 @@
+// 員工與部門資料 schema：前端表單、IndexedDB 寫入與後端所有寫入路徑（REST、CRDT 合併）共用同一份規則
+// 根目錄 package.json 為 "type": "module"，這裡以 ESM 撰寫；後端（CommonJS）在啟動時以 import() 載入
+
+export const GENDER_VALUES = ['M', 'F'];
+export const STATUS_VALUES = ['Active', 'Inactive'];
+
+// 刪除的員工留在 CRDT 文檔與資料庫中（回收桶），以 DeletedAt / DeletedBy 標記，Status 保持刪除前的值
+// 舊版客戶端改以 Status = 'Deleted' 標記，伺服器合併後會換成 DeletedAt
+export const isDeletedEmployee = (employee) =>
+  !!employee?.DeletedAt || String(employee?.Status ?? '').toLowerCase() === 'deleted';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\d\-+()\s]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 欄位規則；maxLength 與資料表欄位長度一致
+export const EMPLOYEE_SCHEMA = {
+  FirstName: { required: true, maxLength: 50 },
+  LastName: { required: true, maxLength: 50 },
+  Department: { maxLength: 100 },
+  Position: { maxLength: 100 },
+  HireDate: { type: 'date' },
+  BirthDate: { type: 'date' },
+  Gender: { enum: GENDER_VALUES },
+  Email: { maxLength: 100, pattern: EMAIL_PATTERN, patternMessage: '電子郵件格式不正確' },
+  PhoneNumber: { maxLength: 20, pattern: PHONE_PATTERN, patternMessage: '電話號碼只能包含數字、空白與 + - ( )' },
+  Address: { maxLength: 255 },
+  Status: { required: true, enum: STATUS_VALUES },
+  // 直屬主管的 EmployeeUUID（離線新增的員工還沒有 EmployeeID，所以不用數字編號）
+  ManagerID: { pattern: UUID_PATTERN, patternMessage: '主管必須是員工的 UUID' }
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+};
+
+// 日期轉成 YYYY-MM-DD；空值回傳 ''，無法解析回傳 null
+export function toDateValue(value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  const match = DATE_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // 排除 2024-02-30 這類會被 Date 自動進位的日期
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return match[0];
+}
+
+const today = () => new Date().toISOString().split('T')[0];
+
+function validateField(field, rule, value) {
+  if (rule.type === 'date') {
+    const date = toDateValue(value);
+    if (date === null) return { code: 'date', message: '日期格式應為 YYYY-MM-DD' };
+    if (field === 'BirthDate' && date && date > today()) return { code: 'range', message: '生日不能晚於今天' };
+    return null;
+  }
+
+  const text = toText(value);
+  if (!text) {
+    return rule.required ? { code: 'required', message: '必填欄位' } : null;
+  }
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return { code: 'maxLength', message: `長度不能超過 ${rule.maxLength} 個字元` };
+  }
+  if (rule.pattern && !rule.pattern.test(text)) {
+    return { code: 'format', message: rule.patternMessage };
+  }
+  if (rule.enum && !rule.enum.includes(text)) {
+    return { code: 'enum', message: `必須是 ${rule.enum.join(', ')} 其中之一` };
+  }
+  return null;
+}
+
+// 由 ManagerID 往上追溯，回傳 employeeUUID 所在的匯報循環（依追溯順序的 UUID 陣列），不在循環中時回傳 null
+// employees 為 { EmployeeUUID: { ManagerID } }；只追到循環外的上層不算
+export function findReportingCycle(employees, employeeUUID) {
+  return walkReportingCycle((key) => toText(employees[key]?.ManagerID), employeeUUID);
+}
+
+function walkReportingCycle(managerOf, employeeUUID) {
+  const path = [];
+  for (let current = employeeUUID; current; current = managerOf(current)) {
+    const index = path.indexOf(current);
+    if (index !== -1) return index === 0 ? path : null;
+    path.push(current);
+  }
+  return null;
+}
+
+// 驗證員工資料，回傳 { 欄位: { code, message } }；沒有錯誤時為空物件
+// context.departmentCodes 有提供時，Department 必須是既有部門的代碼
+// context.employees 有提供時（{ EmployeeUUID: { ManagerID } }，含回收桶），主管必須存在且不能形成匯報循環
+export function validateEmployee(employee, context = {}) {
+  const errors = {};
+  for (const [field, rule] of Object.entries(EMPLOYEE_SCHEMA)) {
+    const error = validateField(field, rule, employee?.[field]);
+    if (error) errors[field] = error;
+  }
+
+  const department = toText(employee?.Department);
+  if (!errors.Department && department && context.departmentCodes && !hasCode(context.departmentCodes, department)) {
+    errors.Department = { code: 'reference', message: `部門 ${department} 不存在` };
+  }
+
+  const manager = toText(employee?.ManagerID);
+  const uuid = toText(employee?.EmployeeUUID);
+  if (!errors.ManagerID && manager) {
+    if (manager === uuid) {
+      errors.ManagerID = { code: 'cycle', message: '主管不能是自己' };
+    } else if (context.employees) {
+      if (!context.employees[manager]) {
+        errors.ManagerID = { code: 'reference', message: '主管不存在' };
+      } else if (uuid && walkReportingCycle((key) => (key === uuid ? manager : toText(context.employees[key]?.ManagerID)), uuid)) {
+        errors.ManagerID = { code: 'cycle', message: '主管不能是自己的下屬' };
+      }
+    }
+  }
+
+  // 生日必須早於到職日期
+  if (!errors.BirthDate && !errors.HireDate) {
+    const birthDate = toDateValue(employee?.BirthDate);
+    const hireDate = toDateValue(employee?.HireDate);
+    if (birthDate && hireDate && birthDate >= hireDate) {
+      errors.BirthDate = { code: 'range', message: '生日必須早於到職日期' };
+    }
+  }
+  return errors;
+}
+
+const hasCode = (codes, code) => (codes instanceof Set ? codes.has(code) : codes.includes(code));
+
+// 部門主檔：Code 為員工 Department 欄位參照的值（長度與 Department 欄位一致），建立後不可修改
+export const DEPARTMENT_SCHEMA = {
+  Code: { required: true, maxLength: 100 },
+  Name: { required: true, maxLength: 100 }
+};
+
+// 驗證部門資料；context.departments 為所有部門（以 DepartmentUUID 為 key，含這筆更新後的內容），
+// context.employeeUUIDs 有提供時，部門主管必須是在職名單中的員工
+export function validateDepartment(department, context = {}) {
+  const errors = {};
+  for (const [field, rule] of Object.entries(DEPARTMENT_SCHEMA)) {
+    const error = validateField(field, rule, department?.[field]);
+    if (error) errors[field] = error;
+  }
+
+  const departments = context.departments || {};
+  const uuid = department?.DepartmentUUID;
+  const code = toText(department?.Code);
+  if (!errors.Code && Object.values(departments).some((other) => other?.DepartmentUUID !== uuid && toText(other?.Code) === code)) {
+    errors.Code = { code: 'duplicate', message: `部門代碼 ${code} 已被使用` };
+  }
+
+  // 上層部門必須存在，且不能形成循環
+  const parent = department?.ParentDepartmentUUID;
+  if (parent) {
+    if (!departments[parent]) {
+      errors.ParentDepartmentUUID = { code: 'reference', message: '上層部門不存在' };
+    } else {
+      const visited = new Set([uuid]);
+      for (let current = parent; current; current = departments[current]?.ParentDepartmentUUID) {
+        if (visited.has(current)) {
+          errors.ParentDepartmentUUID = { code: 'cycle', message: '上層部門不能是自己或自己的下層部門' };
+          break;
+        }
+        visited.add(current);
+      }
+    }
+  }
+
+  const head = department?.HeadEmployeeUUID;
+  if (head && context.employeeUUIDs && !hasCode(context.employeeUUIDs, head)) {
+    errors.HeadEmployeeUUID = { code: 'reference', message: '部門主管不存在' };
+  }
+  return errors;
+}
+
+export const hasFieldErrors = (errors) => !!errors && Object.keys(errors).length > 0;
+
+// 寫入時驗證失敗；fields 與 validateEmployee 的回傳格式相同
+export class EmployeeValidationError extends Error {
+  constructor(fields, message = 'Employee validation failed') {
+    super(message);
+    this.name = 'EmployeeValidationError';
+    this.fields = fields;
+  }
+}
+
+// 驗證失敗時拋出 EmployeeValidationError
+export function assertValidEmployee(employee, context) {
+  const errors = validateEmployee(employee, context);
+  if (hasFieldErrors(errors)) throw new EmployeeValidationError(errors);
+}
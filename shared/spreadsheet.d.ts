@@ -0,0 +1,12 @@
+// shared/spreadsheet.js 的型別宣告（前端 TypeScript 使用）
+
+// 儲存格：CSV 一律為字串，XLSX 的數值儲存格（含日期序號）為數字
+export type SpreadsheetCell = string | number;
+export type SpreadsheetRow = SpreadsheetCell[];
+
+export function parseCsv(text: string, delimiter?: string): string[][];
+export function toCsv(rows: readonly (readonly unknown[])[]): string;
+export function toXlsx(rows: readonly (readonly unknown[])[], sheetName?: string): Uint8Array<ArrayBuffer>;
+export function parseXlsx(bytes: Uint8Array): Promise<SpreadsheetRow[]>;
+export function parseSpreadsheet(bytes: Uint8Array): Promise<SpreadsheetRow[]>;
+export function excelDateToString(serial: number): string;
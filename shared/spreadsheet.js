@@ -0,0 +1,316 @@
+// 試算表讀寫：CSV 與 XLSX（只處理第一個工作表的文字與數字），前端匯入精靈與後端匯入/匯出路由共用
+// 不依賴第三方套件：XLSX 是 zip 包著的 XML，寫入時不壓縮，讀取時以 DecompressionStream 解壓（瀏覽器與 Node 18+ 皆有）
+
+// ---------- CSV ----------
+
+// 依第一行在引號外出現最多次的字元決定分隔符號（Excel 在部分語系會存成分號）
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && char in counts) counts[char]++;
+  }
+  return Object.keys(counts).reduce((best, char) => (counts[char] > counts[best] ? char : best), ',');
+}
+
+// RFC 4180：欄位可用雙引號包住，引號內可含分隔符號與換行，"" 代表一個引號
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (source[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return trimEmptyRows(rows);
+}
+
+// 以 = + - @ 開頭的文字在試算表中會被當成公式執行，前面加上 ' 避免公式注入
+// 電話號碼（+886 …）、負數等以數字開頭的值不受影響
+const FORMULA_PATTERN = /^(?:[=@\t\r]|[+-](?![\d\s.(]))/;
+const escapeFormula = (text) => (FORMULA_PATTERN.test(text) ? `'${text}` : text);
+
+// 產生 CSV（CRLF 換行，前面加 BOM 讓 Excel 以 UTF-8 開啟）
+export function toCsv(rows) {
+  const quote = (value) => {
+    const text = escapeFormula(value === null || value === undefined ? '' : String(value));
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `\uFEFF${rows.map(row => row.map(quote).join(',')).join('\r\n')}\r\n`;
+}
+
+const trimEmptyRows = (rows) => {
+  let end = rows.length;
+  while (end > 0 && rows[end - 1].every(cell => String(cell).trim() === '')) end--;
+  return rows.slice(0, end);
+};
+
+// ---------- ZIP ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files 為 [{ name, data: Uint8Array }]，一律以 stored（不壓縮）寫入
+function writeZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // 檔名為 UTF-8
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.data.length, true);
+    entry.setUint32(24, file.data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + file.data.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return concatBytes([...parts, ...central, new Uint8Array(end.buffer)]);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// 讀出 zip 中的所有檔案（stored 與 deflate），回傳 Map<檔名, Uint8Array>
+async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('不是有效的 XLSX 檔案');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  let pointer = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, await inflateRaw(data));
+    else throw new Error(`不支援的壓縮方式：${method}`);
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+// ---------- XLSX ----------
+
+const escapeXml = (text) => text
+  // XML 1.0 不允許的控制字元
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+  switch (code.toLowerCase()) {
+    case 'amp': return '&';
+    case 'lt': return '<';
+    case 'gt': return '>';
+    case 'quot': return '"';
+    case 'apos': return "'";
+    default:
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+  }
+});
+
+// 欄位索引 ↔ 欄名（0 → A、26 → AA）
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+const columnIndex = (name) => [...name].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// 產生只有一個工作表的 XLSX；數字存成數值，其他一律存成文字（日期維持 YYYY-MM-DD，避免時區換算）
+export function toXlsx(rows, sheetName = 'Sheet1') {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      const text = value === null || value === undefined ? '' : String(value);
+      if (text === '') return '';
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  const encoder = new TextEncoder();
+  const file = (name, xml) => ({ name, data: encoder.encode(XML_HEADER + xml) });
+  return writeZip([
+    file('[Content_Types].xml',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>'),
+    file('_rels/.rels',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>'),
+    file('xl/workbook.xml',
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>'),
+    file('xl/_rels/workbook.xml.rels',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>'),
+    file('xl/worksheets/sheet1.xml',
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${sheetRows.join('')}</sheetData>`
+      + '</worksheet>')
+  ]);
+}
+
+// 文字節點：<t> 的內容，略過注音/拼音標示（<rPh>）
+const textOf = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+  .map(match => unescapeXml(match[1]))
+  .join('');
+
+const attribute = (attributes, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(attributes)?.[1];
+
+// 讀取 XLSX 第一個工作表，回傳二維陣列（文字儲存格為字串，數值儲存格為數字）
+export async function parseXlsx(bytes) {
+  const files = await readZip(bytes);
+  const decoder = new TextDecoder();
+  const read = (name) => (files.has(name) ? decoder.decode(files.get(name)) : null);
+
+  // 第一個工作表的路徑記在 workbook.xml 與它的關聯檔中
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('不是有效的 XLSX 檔案');
+  const sheetId = attribute(/<sheet\b([^>]*)\/?>/.exec(workbook)?.[1] ?? '', 'r:id');
+  const relations = read('xl/_rels/workbook.xml.rels') ?? '';
+  const target = [...relations.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(match => match[1])
+    .find(attributes => attribute(attributes, 'Id') === sheetId);
+  const targetPath = target ? attribute(target, 'Target') : 'worksheets/sheet1.xml';
+  const sheet = read(targetPath.startsWith('/') ? targetPath.slice(1) : `xl/${targetPath}`);
+  if (!sheet) throw new Error('XLSX 檔案中沒有工作表');
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') ?? '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const row = [];
+    for (const cellMatch of (rowMatch[2] ?? '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const [, attributes, content = ''] = cellMatch;
+      const ref = attribute(attributes, 'r');
+      const index = ref ? columnIndex(ref.replace(/\d+$/, '')) : row.length;
+      const type = attribute(attributes, 't');
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(content)?.[1];
+      let value = '';
+      if (type === 'inlineStr') value = textOf(content);
+      else if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'str' || type === 'e') value = unescapeXml(raw ?? '');
+      else if (raw !== undefined) value = Number(raw);
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = row;
+  }
+  return trimEmptyRows(rows);
+}
+
+// 依內容判斷格式（zip 開頭為 XLSX，其他視為 UTF-8 CSV）
+export async function parseSpreadsheet(bytes) {
+  const isZip = bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  return isZip ? await parseXlsx(bytes) : parseCsv(new TextDecoder().decode(bytes));
+}
+
+// Excel 的日期序號（1900 日期系統）→ YYYY-MM-DD
+export function excelDateToString(serial) {
+  if (!Number.isFinite(serial)) return '';
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial) * 24 * 60 * 60 * 1000);
+  return date.toISOString().split('T')[0];
+}
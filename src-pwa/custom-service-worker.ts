@@ -14,10 +14,42 @@ import {
   createHandlerBoundToURL,
 } from 'workbox-precaching';
 import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, NetworkOnly, StaleWhileRevalidate } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { Queue } from 'workbox-background-sync';
+import type { WorkboxPlugin } from 'workbox-core/types';
+import { db, isEmployeeUuid } from '../src/services/database';
+import { authService } from '../src/services/auth';
+import { syncService } from '../src/services/sync';
+import {
+  BACKGROUND_SYNC_TAG,
+  PERIODIC_SYNC_TAG,
+  EMPLOYEE_API_CACHE,
+  MUTATION_QUEUE,
+  isClearMutationQueueMessage,
+  type BackgroundSyncMessage,
+} from '../src/services/backgroundSync';
+import { isAppUpdateMessage } from '../src/services/appUpdate';
+import { CHANGELOG } from '../src/changelog';
 
-void self.skipWaiting();
+// 新版本安裝後停在 waiting，不立即接手：使用者可能正在編輯或還有未同步的修改
+// 由分頁的更新橫幅在使用者同意後送出 skip-waiting；啟用後接手所有分頁
 void clientsClaim();
 
+self.addEventListener('message', (event) => {
+  if (isClearMutationQueueMessage(event.data)) {
+    event.waitUntil(clearMutationQueue());
+    return;
+  }
+  if (!isAppUpdateMessage(event.data)) return;
+  if (event.data.type === 'skip-waiting') {
+    void self.skipWaiting();
+  } else {
+    event.ports[0]?.postMessage(CHANGELOG);
+  }
+});
+
 // Use with precache injection
 precacheAndRoute(self.__WB_MANIFEST);
 
@@ -33,3 +65,191 @@ if (process.env.MODE !== 'ssr' || process.env.PROD) {
     )
   );
 }
+
+registerRoute(
+  ({ request }) => request.mode === 'navigate',
+  new CacheFirst({ cacheName: 'pages' })
+);
+
+registerRoute(
+  /^https:\/\/fonts\.googleapis\.com/,
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+
+registerRoute(
+  /^https:\/\/fonts\.gstatic\.com/,
+  new CacheFirst({
+    cacheName: 'google-fonts-webfonts',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 30,
+        maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
+      })
+    ]
+  })
+);
+
+// REST API 執行期快取（參數見 quasar.config build.env）
+// 其餘 /api/ 路由（/sync/*、/auth/*）一律直接走網路：CRDT 同步與 SSE 串流不能使用快取內容
+const API_CACHE_MAX_AGE_SECONDS = Number(process.env.API_CACHE_MAX_AGE_SECONDS) || 24 * 60 * 60;
+const API_CACHE_MAX_ENTRIES = Number(process.env.API_CACHE_MAX_ENTRIES) || 20;
+const API_MUTATION_RETENTION_MINUTES = Number(process.env.API_MUTATION_RETENTION_MINUTES) || 24 * 60;
+
+// 員工列表：先回快取再背景更新，上線過一次後即使 IndexedDB 被清除也能離線顯示
+// 快取是明文：啟用本機資料加密後不再寫入（分頁啟用、鎖定與登出時刪除既有的快取）
+registerRoute(
+  ({ url }) => /\/api\/employees$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: EMPLOYEE_API_CACHE,
+    plugins: [
+      {
+        cacheWillUpdate: async ({ response }) => (await db.hasKeyring() ? null : response),
+      },
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({
+        maxEntries: API_CACHE_MAX_ENTRIES,
+        maxAgeSeconds: API_CACHE_MAX_AGE_SECONDS
+      })
+    ]
+  })
+);
+
+// 健康檢查：優先取得最新狀態，離線時回最後一次結果
+registerRoute(
+  ({ url }) => url.pathname.endsWith('/api/health'),
+  new NetworkFirst({
+    cacheName: 'api-health',
+    networkTimeoutSeconds: 3,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({
+        maxEntries: 1,
+        maxAgeSeconds: API_CACHE_MAX_AGE_SECONDS
+      })
+    ]
+  })
+);
+
+// 新增/修改/刪除：只走網路，失敗時排入佇列，連線恢復後由 Background Sync 依序重送
+// 只排隊可以重複送出的路由：POST /api/employees（UUID 已存在時伺服器回 409）與 PUT/DELETE /api/employees/:id；
+// 匯入、合併與還原失敗時不重送，由畫面提示使用者
+// 佇列不保存登入 token，重送時才附上當時的 token；啟用本機資料加密後不排隊（佇列內容是明文），
+// 同一位員工在排隊之後有新的本機變更時放棄重送，避免舊的修改或刪除蓋掉之後的編輯或還原
+const mutationQueue = new Queue(MUTATION_QUEUE, {
+  maxRetentionTime: API_MUTATION_RETENTION_MINUTES,
+  onSync: replayMutations,
+});
+
+const mutationQueuePlugin: WorkboxPlugin = {
+  fetchDidFail: async ({ request }) => {
+    if (await db.hasKeyring()) return;
+    const headers = new Headers(request.headers);
+    headers.delete('Authorization');
+    await mutationQueue.pushRequest({ request: new Request(request, { headers }) });
+  },
+};
+
+registerRoute(
+  ({ url }) => /\/api\/employees$/.test(url.pathname),
+  new NetworkOnly({ plugins: [mutationQueuePlugin] }),
+  'POST'
+);
+for (const method of ['PUT', 'DELETE'] as const) {
+  registerRoute(
+    ({ url }) => /\/api\/employees\/[^/]+$/.test(url.pathname),
+    new NetworkOnly({ plugins: [mutationQueuePlugin] }),
+    method
+  );
+}
+
+// 排隊的請求修改的員工：PUT/DELETE 取路徑中的 UUID，POST 取 body 的 EmployeeUUID（以數字 EmployeeID 呼叫時為 null）
+async function mutationTarget(request: Request): Promise<string | null> {
+  if (request.method === 'POST') {
+    const body = (await request.clone().json().catch(() => null)) as { EmployeeUUID?: unknown } | null;
+    return typeof body?.EmployeeUUID === 'string' ? body.EmployeeUUID : null;
+  }
+  const id = decodeURIComponent(new URL(request.url).pathname.split('/').pop() ?? '');
+  return isEmployeeUuid(id) ? id : null;
+}
+
+async function replayMutations({ queue }: { queue: Queue }): Promise<void> {
+  for (let entry = await queue.shiftRequest(); entry; entry = await queue.shiftRequest()) {
+    if (await db.hasKeyring()) continue;
+    const target = await mutationTarget(entry.request);
+    if (target && entry.timestamp && await db.hasEmployeeChangeSince(target, entry.timestamp)) {
+      console.warn('已有較新的本機變更，放棄重送:', entry.request.method, entry.request.url);
+      continue;
+    }
+
+    // 沒有登入或 token 失效時留在佇列，等下次連線或重新登入後的同步事件
+    const session = await db.getAuthSession();
+    if (!session?.token) {
+      await queue.unshiftRequest(entry);
+      return;
+    }
+    const headers = new Headers(entry.request.headers);
+    headers.set('Authorization', `Bearer ${session.token}`);
+    let response: Response;
+    try {
+      response = await fetch(new Request(entry.request, { headers }));
+    } catch (error) {
+      await queue.unshiftRequest(entry);
+      throw error;
+    }
+    if (response.status === 401) {
+      await queue.unshiftRequest(entry);
+      return;
+    }
+    // 其他錯誤（404、409、400）重送也不會成功，丟棄；這次的修改仍由 changes 表經 CRDT 同步
+    if (!response.ok) {
+      console.warn('重送 REST 修改失敗，已丟棄:', entry.request.method, entry.request.url, response.status);
+    }
+  }
+}
+
+async function clearMutationQueue(): Promise<void> {
+  while (await mutationQueue.shiftRequest()) {
+    // 逐筆取出即刪除
+  }
+}
+
+// 背景同步：分頁關閉後仍把 changes 表送出，完成後通知所有開啟中的分頁
+async function runBackgroundSync(tag: string): Promise<void> {
+  // Service Worker 讀不到 localStorage，改用分頁寫入 IndexedDB 的登入狀態
+  const session = await db.getAuthSession();
+  authService.restoreSession(session?.token ?? null, session?.user ?? null);
+
+  const result = await syncService.syncInBackground();
+  const message: BackgroundSyncMessage = {
+    type: 'background-sync',
+    tag,
+    ...result,
+    timestamp: Date.now(),
+  };
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  for (const client of clients) {
+    client.postMessage(message);
+  }
+
+  // 丟出錯誤讓瀏覽器稍後重試；需要登入或本機資料加密時重試也沒用，留給分頁同步
+  if (tag === BACKGROUND_SYNC_TAG && !result.ok && !result.authRequired && !result.locked && result.pendingChanges > 0) {
+    throw new Error(`背景同步失敗，尚有 ${result.pendingChanges} 筆變更未同步`);
+  }
+}
+
+// lib.webworker 尚未收錄 SyncEvent / PeriodicSyncEvent
+type SyncTagEvent = ExtendableEvent & { tag: string };
+
+self.addEventListener('sync', (event) => {
+  const syncEvent = event as SyncTagEvent;
+  if (syncEvent.tag === BACKGROUND_SYNC_TAG) {
+    syncEvent.waitUntil(runBackgroundSync(syncEvent.tag));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  const syncEvent = event as SyncTagEvent;
+  if (syncEvent.tag === PERIODIC_SYNC_TAG) {
+    syncEvent.waitUntil(runBackgroundSync(syncEvent.tag));
+  }
+});
@@ -3,5 +3,8 @@ declare namespace NodeJS {
     SERVICE_WORKER_FILE: string;
     PWA_FALLBACK_HTML: string;
     PWA_SERVICE_WORKER_REGEX: string;
+    API_CACHE_MAX_AGE_SECONDS: string;
+    API_CACHE_MAX_ENTRIES: string;
+    API_MUTATION_RETENTION_MINUTES: string;
   }
 }
@@ -1,4 +1,6 @@
 import { register } from 'register-service-worker';
+import { registerPeriodicSync, requestBackgroundSync } from '../src/services/backgroundSync';
+import { appUpdateService } from '../src/services/appUpdate';
 
 // The ready(), registered(), cached(), updatefound() and updated()
 // events passes a ServiceWorkerRegistration instance in their arguments.
@@ -15,8 +17,11 @@ register(process.env.SERVICE_WORKER_FILE || '/sw.js', {
     // console.log('Service worker is active.')
   },
 
-  registered (/* registration */) {
+  registered (registration) {
     // console.log('Service worker has been registered.')
+    void registerPeriodicSync(registration);
+    // 上次關閉前可能有尚未同步的變更
+    void requestBackgroundSync();
   },
 
   cached (/* registration */) {
@@ -24,15 +29,16 @@ register(process.env.SERVICE_WORKER_FILE || '/sw.js', {
   },
 
   updatefound (/* registration */) {
-    // console.log('New content is downloading.')
+    console.log('正在下載新版本...');
   },
 
-  updated (/* registration */) {
-    // console.log('New content is available; please refresh.')
+  updated (registration) {
+    // 新版本已安裝並在等待：顯示更新橫幅，經使用者同意才啟用
+    appUpdateService.setWaiting(registration);
   },
 
   offline () {
-    // console.log('No internet connection found. App is running in offline mode.')
+    console.log('離線中，應用程式以快取內容執行');
   },
 
   error (/* err */) {
@@ -0,0 +1,39 @@
+// 更新內容：新版本放在最前面，version 與 package.json 一致
+// 打包進前端與 Service Worker，等待中的新版 Service Worker 可以回報自己的更新內容（見 services/appUpdate.ts）
+
+export interface ChangelogEntry {
+  version: string;
+  changes: string[];
+}
+
+export const CHANGELOG: ChangelogEntry[] = [
+  {
+    version: '0.1.0',
+    changes: [
+      '瀏覽器中的個人資料以登入密碼加密保存，可以鎖定，登出時也可以清除本機資料',
+      '有新版本時顯示提示，等待本機修改同步完成後再更新，不會在編輯中途切換版本',
+      '偵測可能重複的員工（電子郵件、電話，或姓名相近且生日相同），可逐欄合併',
+      '以 CSV 或 Excel 批次匯入員工，匯入前預覽並檢查每一列；可匯出 CSV、Excel 或 JSON',
+    ],
+  },
+  {
+    version: '0.0.1',
+    changes: ['第一個版本：員工管理、離線編輯與 CRDT 同步'],
+  },
+];
+
+export const APP_VERSION = CHANGELOG[0]!.version;
+
+const compareVersions = (a: string, b: string) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// 比 version 新的更新內容（新的在前）
+export const changesSince = (version: string, changelog: ChangelogEntry[] = CHANGELOG) =>
+  changelog.filter(entry => compareVersions(entry.version, version) > 0);
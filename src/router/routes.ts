@@ -4,7 +4,12 @@ const routes: RouteRecordRaw[] = [
   {
     path: '/',
     component: () => import('layouts/MainLayout.vue'),
-    children: [{ path: '', component: () => import('pages/IndexPage.vue') }],
+    children: [
+      { path: '', component: () => import('pages/IndexPage.vue') },
+      { path: 'departments', component: () => import('pages/DepartmentsPage.vue') },
+      { path: 'org-chart', component: () => import('pages/OrgChartPage.vue') },
+      { path: 'sync', component: () => import('pages/SyncPage.vue') },
+    ],
   },
 
   // Always leave this as last one,
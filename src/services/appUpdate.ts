@@ -0,0 +1,96 @@
+// 應用程式更新：新版 Service Worker 安裝後停在 waiting，經使用者同意才啟用（見 MainLayout 的更新橫幅）
+import type { ChangelogEntry } from '../changelog';
+
+// 分頁與 Service Worker 之間的訊息
+export type AppUpdateMessage =
+  | { type: 'skip-waiting' } // 請等待中的 Service Worker 立即啟用
+  | { type: 'get-changelog' }; // 詢問等待中的 Service Worker 的更新內容，以 MessageChannel 回覆 ChangelogEntry[]
+
+export const isAppUpdateMessage = (data: unknown): data is AppUpdateMessage =>
+  typeof data === 'object' && data !== null &&
+  ['skip-waiting', 'get-changelog'].includes(String((data as { type?: unknown }).type));
+
+// 舊版 Service Worker 不回覆 get-changelog，超過這個時間視為沒有更新內容
+const CHANGELOG_TIMEOUT_MS = 3000;
+
+export type AppUpdateState =
+  | 'none'
+  | 'available' // 新版本已下載，等待使用者同意
+  | 'activating' // 已送出 skip-waiting，等待新版本接手後重新載入
+  | 'reload-required'; // 其他分頁已啟用新版本，這個分頁需要重新載入
+
+export class AppUpdateService {
+  private registration: ServiceWorkerRegistration | null = null;
+  private state: AppUpdateState = 'none';
+  private listeners = new Set<() => void>();
+
+  constructor() {
+    // Service Worker 也會載入這個模組（使用訊息格式），只在分頁中監聽
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+    // 新版本接手：自己要求的就重新載入，其他分頁要求的則提示使用者（可能正在編輯）
+    const hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.state === 'activating') {
+        window.location.reload();
+      } else if (hadController) {
+        this.setState('reload-required');
+      }
+    });
+  }
+
+  getState(): AppUpdateState {
+    return this.state;
+  }
+
+  // register-service-worker 的 updated：新版 Service Worker 已安裝並在等待
+  setWaiting(registration: ServiceWorkerRegistration) {
+    this.registration = registration;
+    if (this.state === 'none') this.setState('available');
+  }
+
+  // 訂閱更新狀態，回傳取消訂閱函數
+  onChange(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  // 等待中版本的更新內容；舊版 Service Worker 不支援時回傳空陣列
+  async getWaitingChangelog(): Promise<ChangelogEntry[]> {
+    const waiting = this.registration?.waiting;
+    if (!waiting) return [];
+    return await new Promise<ChangelogEntry[]>((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve([]), CHANGELOG_TIMEOUT_MS);
+      channel.port1.onmessage = (event: MessageEvent<unknown>) => {
+        clearTimeout(timer);
+        resolve(Array.isArray(event.data) ? event.data as ChangelogEntry[] : []);
+      };
+      const message: AppUpdateMessage = { type: 'get-changelog' };
+      waiting.postMessage(message, [channel.port2]);
+    });
+  }
+
+  // 啟用新版本：新版 Service Worker 接手（controllerchange）後重新載入
+  activate() {
+    const waiting = this.registration?.waiting;
+    if (!waiting) {
+      // 其他分頁已經啟用，直接重新載入即可
+      window.location.reload();
+      return;
+    }
+    this.setState('activating');
+    const message: AppUpdateMessage = { type: 'skip-waiting' };
+    waiting.postMessage(message);
+  }
+
+  private setState(state: AppUpdateState) {
+    this.state = state;
+    for (const listener of this.listeners) {
+      listener();
+    }
+  }
+}
+
+export const appUpdateService = new AppUpdateService();
@@ -0,0 +1,140 @@
+import type { AuthUser, Permission, UserRole } from '../types/auth';
+
+const TOKEN_KEY = 'auth.token';
+const USER_KEY = 'auth.user';
+
+// Service Worker 沒有 localStorage，改由 restoreSession 帶入 IndexedDB 中的副本
+const storage: Storage | null = typeof localStorage !== 'undefined' ? localStorage : null;
+
+// 與後端 services/auth.js 的角色權限一致（實際權限仍以後端為準）
+const ROLE_PERMISSIONS: Record<UserRole, Permission[]> = {
+  viewer: ['read'],
+  editor: ['read', 'write'],
+  admin: ['read', 'write', 'delete'],
+};
+
+// 後端回 401：需要重新登入（未同步的變更保留在佇列中）
+export class AuthRequiredError extends Error {
+  constructor(message = '登入已過期，請重新登入') {
+    super(message);
+    this.name = 'AuthRequiredError';
+  }
+}
+
+export class AuthService {
+  private token: string | null = storage?.getItem(TOKEN_KEY) ?? null;
+  private user: AuthUser | null = (() => {
+    try {
+      return JSON.parse(storage?.getItem(USER_KEY) ?? 'null') as AuthUser | null;
+    } catch {
+      return null;
+    }
+  })();
+  private changeListeners = new Set<() => void>();
+  private authRequiredListeners = new Set<() => void>();
+  private apiBaseUrl = (() => {
+    const raw = (import.meta.env?.VITE_API_BASE as string) || 'http://localhost:3001/api';
+    if (raw.endsWith('/api')) return raw;
+    return `${String(raw).replace(/\/+$/, '')}/api`;
+  })(); // 後端 API URL
+
+  getToken(): string | null {
+    return this.token;
+  }
+
+  getUser(): AuthUser | null {
+    return this.user;
+  }
+
+  // 附加到 fetch 的標頭
+  authHeaders(): Record<string, string> {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  can(permission: Permission): boolean {
+    return !!this.user && ROLE_PERMISSIONS[this.user.role]?.includes(permission);
+  }
+
+  async login(username: string, password: string): Promise<AuthUser> {
+    const response = await fetch(`${this.apiBaseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const json = (await response.json().catch(() => ({}))) as { token?: string; user?: AuthUser; error?: string };
+    if (!response.ok || !json.token || !json.user) {
+      throw new Error(json.error || `登入失敗: HTTP ${response.status}`);
+    }
+    this.setSession(json.token, json.user);
+    return json.user;
+  }
+
+  logout() {
+    this.setSession(null, null);
+  }
+
+  // 不經 localStorage 直接帶入登入狀態（Service Worker 使用）
+  restoreSession(token: string | null, user: AuthUser | null) {
+    this.token = token;
+    this.user = user;
+  }
+
+  // 向後端確認目前身分（後端停用驗證時會回傳開發用 admin）
+  async refreshUser(): Promise<AuthUser | null> {
+    if (!navigator.onLine) return this.user;
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/auth/me`, { headers: this.authHeaders() });
+      if (response.status === 401) {
+        this.handleUnauthorized();
+        return null;
+      }
+      if (!response.ok) return this.user;
+      const { user } = (await response.json()) as { user: AuthUser };
+      this.setSession(this.token, user);
+      return user;
+    } catch (error) {
+      console.warn('無法確認登入狀態，沿用本地紀錄:', error);
+      return this.user;
+    }
+  }
+
+  // 後端回 401 時呼叫：清除 token 並請使用者重新登入
+  handleUnauthorized() {
+    if (this.token || this.user) {
+      this.setSession(null, null);
+    }
+    for (const listener of this.authRequiredListeners) {
+      listener();
+    }
+  }
+
+  // 訂閱登入/登出，回傳取消訂閱函數
+  onChange(listener: () => void): () => void {
+    this.changeListeners.add(listener);
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  // 訂閱「需要登入」，回傳取消訂閱函數
+  onAuthRequired(listener: () => void): () => void {
+    this.authRequiredListeners.add(listener);
+    return () => {
+      this.authRequiredListeners.delete(listener);
+    };
+  }
+
+  private setSession(token: string | null, user: AuthUser | null) {
+    this.token = token;
+    this.user = user;
+    if (token) storage?.setItem(TOKEN_KEY, token);
+    else storage?.removeItem(TOKEN_KEY);
+    if (user) storage?.setItem(USER_KEY, JSON.stringify(user));
+    else storage?.removeItem(USER_KEY);
+    for (const listener of this.changeListeners) {
+      listener();
+    }
+  }
+}
+
+export const authService = new AuthService();
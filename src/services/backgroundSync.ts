@@ -0,0 +1,71 @@
+// Service Worker 背景同步：分頁與 Service Worker 共用的 tag 與訊息格式
+
+// 有本地變更時註冊的一次性 Background Sync tag
+export const BACKGROUND_SYNC_TAG = 'employee-changes';
+// Periodic Background Sync tag（僅已安裝的 PWA 且瀏覽器支援時有效）
+export const PERIODIC_SYNC_TAG = 'employee-periodic-sync';
+// 瀏覽器實際間隔由使用頻率決定，這裡只是下限
+export const PERIODIC_SYNC_MIN_INTERVAL_MS = 15 * 60 * 1000;
+// Service Worker 快取 GET /api/employees 回應的 Cache Storage 名稱（清除本機資料時一併刪除）
+export const EMPLOYEE_API_CACHE = 'api-employees';
+// 離線時失敗的 REST 新增/修改/刪除的重送佇列（Workbox Background Sync）
+export const MUTATION_QUEUE = 'api-employee-mutations';
+
+// 分頁請 Service Worker 清空重送佇列：佇列內容是明文，啟用本機加密、鎖定、登出與清除本機資料時送出
+export interface ClearMutationQueueMessage {
+  type: 'clear-mutation-queue';
+}
+
+export const isClearMutationQueueMessage = (data: unknown): data is ClearMutationQueueMessage =>
+  typeof data === 'object' && data !== null && (data as { type?: unknown }).type === 'clear-mutation-queue';
+
+export function requestClearMutationQueue(): void {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+  const message: ClearMutationQueueMessage = { type: 'clear-mutation-queue' };
+  navigator.serviceWorker.controller?.postMessage(message);
+}
+
+// Service Worker 同步完成後 postMessage 給所有分頁的內容
+export interface BackgroundSyncMessage {
+  type: 'background-sync';
+  tag: string;
+  ok: boolean;
+  syncedChanges: number; // 這次送出的本地變更筆數
+  pendingChanges: number; // 仍未同步的變更筆數
+  authRequired: boolean; // token 失效，需要在分頁中重新登入
+  locked: boolean; // 本機資料加密，Service Worker 沒有資料金鑰，留給分頁同步
+  timestamp: number;
+}
+
+// lib.dom 尚未收錄 Background Sync / Periodic Background Sync
+type SyncCapableRegistration = ServiceWorkerRegistration & {
+  sync?: { register(tag: string): Promise<void> };
+  periodicSync?: { register(tag: string, options: { minInterval: number }): Promise<void> };
+};
+
+export const isBackgroundSyncMessage = (data: unknown): data is BackgroundSyncMessage =>
+  typeof data === 'object' && data !== null && (data as { type?: unknown }).type === 'background-sync';
+
+// 記錄本地變更後呼叫：交給 Service Worker 在連線恢復時同步（即使分頁已關閉）
+export async function requestBackgroundSync(): Promise<void> {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.getRegistration() as SyncCapableRegistration | undefined;
+    await registration?.sync?.register(BACKGROUND_SYNC_TAG);
+  } catch (error) {
+    console.warn('無法註冊 Background Sync，改由分頁在連線時同步:', error);
+  }
+}
+
+// Service Worker 註冊後呼叫：支援時定期在背景拉取伺服器變更
+export async function registerPeriodicSync(registration: ServiceWorkerRegistration): Promise<void> {
+  const periodicSync = (registration as SyncCapableRegistration).periodicSync;
+  if (!periodicSync) return;
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' as PermissionName });
+    if (status.state !== 'granted') return;
+    await periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_MIN_INTERVAL_MS });
+  } catch (error) {
+    console.warn('無法註冊 Periodic Background Sync:', error);
+  }
+}
@@ -1,11 +1,159 @@
 import Dexie, { type Table } from 'dexie';
-import type { Employee, EmployeeChange, SyncState } from '../types/employee';
+import type {
+  Employee,
+  EmployeeChange,
+  ChangeRetryState,
+  EmployeePage,
+  EmployeeQuery,
+  SyncState,
+  SyncAttempt,
+  DatabaseExport,
+  CrdtSyncRecord,
+  FieldConflict,
+  FieldConflictValue,
+  EncryptionState,
+  KeyringRecord,
+  StoredEmployee
+} from '../types/employee';
+import type { Department, DepartmentChange } from '../types/department';
+import type { AuthSessionRecord, AuthUser } from '../types/auth';
+import { authService, AuthRequiredError } from './auth';
+import { requestBackgroundSync, requestClearMutationQueue, EMPLOYEE_API_CACHE } from './backgroundSync';
+import {
+  KEYRING_ID,
+  LocalDataLockedError,
+  createDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  encryptBytes,
+  decryptBytes,
+  encryptJson,
+  decryptJson
+} from './localCrypto';
+import {
+  assertValidEmployee,
+  validateDepartment,
+  hasFieldErrors,
+  EmployeeValidationError
+} from '../../shared/employeeSchema';
+
+// 可編輯的員工欄位（不含識別碼 EmployeeUUID / EmployeeID）
+export const EMPLOYEE_FIELDS: (keyof Employee)[] = [
+  'FirstName',
+  'LastName',
+  'Department',
+  'Position',
+  'HireDate',
+  'BirthDate',
+  'Gender',
+  'Email',
+  'PhoneNumber',
+  'Address',
+  'Status',
+  'ManagerID',
+];
+
+// 部門可編輯的欄位（不含 DepartmentUUID）
+export const DEPARTMENT_FIELDS: (keyof Department)[] = ['Code', 'Name', 'ParentDepartmentUUID', 'HeadEmployeeUUID'];
+
+const AUTH_SESSION_ID = 'current';
+// 同步診斷保留的同步紀錄筆數
+const SYNC_ATTEMPT_LIMIT = 50;
+// 匯出檔不含登入 token 與 keyring；匯入時保留本機的登入狀態與資料金鑰
+const EXPORT_EXCLUDED_TABLES = ['authSession', 'keyring'];
+export const DATABASE_EXPORT_FORMAT = 'employee-database-export';
+// 待同步變更被伺服器拒絕幾次後進入 dead letter，不再自動重送
+export const MAX_CHANGE_ATTEMPTS = 5;
+// 送出失敗後的重送間隔：5 秒起每次加倍，最長 10 分鐘
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const retryDelay = (attempts: number) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+// 退避中或 dead letter 的變更暫不送出；同一筆資料較新的變更也一起保留，不跳過前面的變更先送後面的
+function sendableChanges<T extends ChangeRetryState>(changes: T[], keyOf: (change: T) => string, now: number): T[] {
+  const held = new Set<string>();
+  return changes.filter(change => {
+    const key = keyOf(change);
+    if (held.has(key) || change.deadLetter || (change.nextRetryAt ?? 0) > now) {
+      held.add(key);
+      return false;
+    }
+    return true;
+  });
+}
+
+const employeeChangeKey = (change: EmployeeChange) => change.employee.EmployeeUUID || `id:${change.employee.EmployeeID}`;
+
+const isHeld = (change: ChangeRetryState) => !!change.deadLetter || !!change.nextRetryAt;
+const RELEASED: ChangeRetryState = { deadLetter: false, nextRetryAt: 0 };
+
+type RetryTable = Table<ChangeRetryState & { id?: number; synced: boolean }, number>;
+
+// JSON 不能直接存 Uint8Array（CRDT 文檔與 sync state），匯出時轉成 { $bytes: base64 }
+const encodeBytes = (_key: string, value: unknown) => {
+  if (!(value instanceof Uint8Array)) return value;
+  let binary = '';
+  for (let i = 0; i < value.length; i += 0x8000) {
+    binary += String.fromCharCode(...value.subarray(i, i + 0x8000));
+  }
+  return { $bytes: btoa(binary) };
+};
+const decodeBytes = (_key: string, value: unknown) => {
+  const bytes = (value as { $bytes?: unknown } | null)?.$bytes;
+  if (typeof bytes !== 'string') return value;
+  return Uint8Array.from(atob(bytes), c => c.charCodeAt(0));
+};
+
+// 本機加密時員工表與回收桶加密的欄位（不建索引）；其餘欄位保留明文，索引、篩選與排序照常使用
+const SEALED_EMPLOYEE_FIELDS: (keyof Employee)[] = ['Email', 'PhoneNumber', 'Address', 'BirthDate'];
+
+// 分頁之間同步加密狀態：鎖定與清除通知所有分頁；已解鎖的分頁把資料金鑰交給尚未解鎖的分頁
+// （CryptoKey 可以經 BroadcastChannel 傳遞，不必匯出），createdAt 用來確認是同一把資料金鑰
+const ENCRYPTION_CHANNEL = 'employee-local-encryption';
+type EncryptionMessage =
+  | { type: 'lock' }
+  | { type: 'wipe' }
+  | { type: 'key-request' }
+  | { type: 'key'; key: CryptoKey; createdAt: number };
+
+type StoredChange = EmployeeChange & { employee: StoredEmployee };
+
+// keyring 為 null 表示沒有啟用加密；key 為 null 表示已鎖定
+interface EncryptionContext {
+  keyring: KeyringRecord | null;
+  key: CryptoKey | null;
+}
+
+// 升級前已存在於伺服器、但本地還不知道 UUID 的員工，先以此 key 暫存，下次同步後由 CRDT 文檔取代
+export const legacyEmployeeKey = (employeeId: number) => `legacy-${employeeId}`;
+
+export const isEmployeeUuid = (key: string) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key);
 
 export class EmployeeDatabase extends Dexie {
   //先創三個本地的表，分別是員工表、變更表、同步狀態表
-  employees!: Table<Employee>;
-  changes!: Table<EmployeeChange>;
+  employees!: Table<StoredEmployee>;
+  changes!: Table<StoredChange>;
   syncState!: Table<SyncState>;
+  crdtSync!: Table<CrdtSyncRecord>;
+  conflicts!: Table<FieldConflict>;
+  authSession!: Table<AuthSessionRecord>;
+  recycleBin!: Table<StoredEmployee>;
+  departments!: Table<Department>;
+  departmentChanges!: Table<DepartmentChange>;
+  syncAttempts!: Table<SyncAttempt>;
+  keyring!: Table<KeyringRecord>;
+
+  // 由 SyncService 提供目前本地 CRDT 文檔的 heads，記錄在每筆變更上
+  private baseHeadsProvider: (() => string[]) | null = null;
+  // 本地記錄變更後通知（SyncService 以 BroadcastChannel 轉告其他分頁）
+  private localChangeListeners = new Set<() => void>();
+  // 本機加密狀態：第一次用到時讀取 keyring；資料金鑰只存在記憶體
+  private encryption: Promise<EncryptionContext> | null = null;
+  private encryptionListeners = new Set<() => void>();
+  // 等待解鎖的讀寫（分頁開啟後在解鎖前就開始載入資料）
+  private unlockWaiters = new Set<() => void>();
+  private encryptionChannel: BroadcastChannel | null = null;
 
   constructor() {
     super('EmployeeDatabase');
@@ -53,51 +201,589 @@ export class EmployeeDatabase extends Dexie {
           await tx.table('employees').bulkPut(migrated);
         }
       });
+
+    // v3: 新增 crdtSync，保存本地 CRDT 文檔與每個同步對象的 sync state
+    this.version(3).stores({
+      employees: 'EmployeeID, FirstName, LastName, Department, Position, Email',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId'
+    });
+
+    // v4: 新增 conflicts，保存同步後偵測到的欄位衝突
+    this.version(4).stores({
+      employees: 'EmployeeID, FirstName, LastName, Department, Position, Email',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, EmployeeID, field, detectedAt'
+    });
+
+    // v5/v6: 主鍵改為 EmployeeUUID。Dexie 不能直接改主鍵，先搬到暫存表再搬回
+    this.version(5)
+      .stores({
+        employees: null,
+        employeesByUuid: 'EmployeeUUID, EmployeeID, FirstName, LastName, Department, Position, Email',
+        changes: '++id, EmployeeID, timestamp, operation, synced',
+        syncState: '++id, lastSyncTimestamp',
+        crdtSync: 'peerId',
+        conflicts: '++id, employeeKey, field, detectedAt'
+      })
+      .upgrade(async (tx) => {
+        // 同一個暫時負數 ID 的員工與其所有待同步變更使用同一個 UUID
+        const uuidByTempId = new Map<number, string>();
+        const keyFor = (employeeId: number) => {
+          if (employeeId > 0) return legacyEmployeeKey(employeeId);
+          if (!uuidByTempId.has(employeeId)) uuidByTempId.set(employeeId, crypto.randomUUID());
+          return uuidByTempId.get(employeeId)!;
+        };
+
+        const employees = await tx.table('employees').toArray() as Employee[];
+        await tx.table('employeesByUuid').bulkPut(employees.map((e) => ({
+          ...e,
+          EmployeeUUID: keyFor(Number(e.EmployeeID)),
+          EmployeeID: Math.max(Number(e.EmployeeID) || 0, 0),
+        })));
+
+        // 已存在員工的變更不填 UUID，套用時由 SyncService 依 EmployeeID 找回文檔中的 key
+        await tx.table('changes').toCollection().modify((change: EmployeeChange) => {
+          const employeeId = Number(change.employee?.EmployeeID ?? 0);
+          change.employee = {
+            ...change.employee,
+            EmployeeUUID: employeeId > 0 ? '' : keyFor(employeeId),
+            EmployeeID: Math.max(employeeId, 0),
+          };
+        });
+
+        // 衝突會在下次同步時重新偵測
+        await tx.table('conflicts').clear();
+      });
+
+    this.version(6)
+      .stores({
+        employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, Department, Position, Email',
+        employeesByUuid: null,
+        changes: '++id, EmployeeID, timestamp, operation, synced',
+        syncState: '++id, lastSyncTimestamp',
+        crdtSync: 'peerId',
+        conflicts: '++id, employeeKey, field, detectedAt'
+      })
+      .upgrade(async (tx) => {
+        const employees = await tx.table('employeesByUuid').toArray();
+        await tx.table('employees').bulkPut(employees);
+      });
+
+    // v7: 新增 authSession，供 Service Worker 背景同步取得 token
+    this.version(7).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, Department, Position, Email',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id'
+    });
+
+    // v8: 新增 Status、HireDate 與 [FirstName+LastName] 索引，供離線列表篩選與排序
+    this.version(8).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Email, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id'
+    });
+
+    // v9: 新增 recycleBin，保存 CRDT 文檔中已刪除（帶 DeletedAt）的員工，離線也能檢視與還原
+    this.version(9).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Email, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id',
+      recycleBin: 'EmployeeUUID, DeletedAt'
+    });
+
+    // v10: 新增部門主檔與其待同步變更（與員工共用同一份 CRDT 文檔）
+    this.version(10).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Email, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id',
+      recycleBin: 'EmployeeUUID, DeletedAt',
+      departments: 'DepartmentUUID, Code, Name, ParentDepartmentUUID',
+      departmentChanges: '++id, timestamp, synced'
+    });
+
+    // v11: 新增 syncAttempts，保存最近幾次同步的耗時與錯誤，供同步診斷頁面檢視
+    this.version(11).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Email, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id',
+      recycleBin: 'EmployeeUUID, DeletedAt',
+      departments: 'DepartmentUUID, Code, Name, ParentDepartmentUUID',
+      departmentChanges: '++id, timestamp, synced',
+      syncAttempts: '++id, startedAt'
+    });
+
+    // v12: 新增 keyring，保存以登入密碼包裝的本機資料金鑰
+    this.version(12).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Email, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id',
+      recycleBin: 'EmployeeUUID, DeletedAt',
+      departments: 'DepartmentUUID, Code, Name, ParentDepartmentUUID',
+      departmentChanges: '++id, timestamp, synced',
+      syncAttempts: '++id, startedAt',
+      keyring: 'id'
+    });
+
+    // v13: 移除 Email 索引：啟用加密後索引裡只會是空字串，依 Email 排序與搜尋一律解密後在記憶體中比對
+    this.version(13).stores({
+      employees: 'EmployeeUUID, EmployeeID, FirstName, LastName, [FirstName+LastName], Department, Position, Status, HireDate',
+      changes: '++id, EmployeeID, timestamp, operation, synced',
+      syncState: '++id, lastSyncTimestamp',
+      crdtSync: 'peerId',
+      conflicts: '++id, employeeKey, field, detectedAt',
+      authSession: 'id',
+      recycleBin: 'EmployeeUUID, DeletedAt',
+      departments: 'DepartmentUUID, Code, Name, ParentDepartmentUUID',
+      departmentChanges: '++id, timestamp, synced',
+      syncAttempts: '++id, startedAt',
+      keyring: 'id'
+    });
+
+    // Service Worker 拿不到資料金鑰，只在分頁中交換
+    if (typeof window !== 'undefined' && typeof BroadcastChannel !== 'undefined') {
+      this.encryptionChannel = new BroadcastChannel(ENCRYPTION_CHANNEL);
+      this.encryptionChannel.onmessage = (event: MessageEvent<EncryptionMessage>) => {
+        void this.handleEncryptionMessage(event.data);
+      };
+    }
+  }
+
+  setBaseHeadsProvider(provider: () => string[]): void {
+    this.baseHeadsProvider = provider;
+  }
+
+  // 訂閱本地變更，回傳取消訂閱函數
+  onLocalChange(listener: () => void): () => void {
+    this.localChangeListeners.add(listener);
+    return () => {
+      this.localChangeListeners.delete(listener);
+    };
+  }
+
+  // 記錄本地變更後呼叫：交給 Service Worker 在連線恢復時同步，並通知訂閱者
+  private changesRecorded(): void {
+    void requestBackgroundSync();
+    for (const listener of this.localChangeListeners) {
+      listener();
+    }
+  }
+
+  private currentBaseHeads(): string[] {
+    try {
+      return this.baseHeadsProvider?.() ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  private loadEncryption(): Promise<EncryptionContext> {
+    this.encryption ??= this.keyring.get(KEYRING_ID).then((keyring) => {
+      // 其他分頁已解鎖時直接取得資料金鑰，不必再輸入密碼
+      if (keyring) this.postEncryptionMessage({ type: 'key-request' });
+      return { keyring: keyring ?? null, key: null };
+    });
+    return this.encryption;
+  }
+
+  async getEncryptionState(): Promise<EncryptionState> {
+    const { keyring, key } = await this.loadEncryption();
+    return !keyring ? 'disabled' : key ? 'unlocked' : 'locked';
+  }
+
+  async isLocked(): Promise<boolean> {
+    return (await this.getEncryptionState()) === 'locked';
+  }
+
+  // 是否已啟用本機加密：每次直接讀 keyring 表，Service Worker 也能得知分頁中的啟用與清除
+  async hasKeyring(): Promise<boolean> {
+    return (await this.keyring.count()) > 0;
+  }
+
+  // since 之後這位員工是否有新的本機變更；Service Worker 重送排隊的 REST 修改前檢查，較新的修改以 changes 表為準
+  // 只比對 EmployeeUUID，加密的變更也能直接讀原始紀錄
+  async hasEmployeeChangeSince(employeeUUID: string, since: number): Promise<boolean> {
+    const count = await this.changes
+      .where('timestamp')
+      .above(since)
+      .filter(change => change.employee.EmployeeUUID === employeeUUID)
+      .count();
+    return count > 0;
+  }
+
+  // 啟用加密的使用者（解鎖畫面顯示）
+  async getKeyringOwner(): Promise<string | null> {
+    return (await this.loadEncryption()).keyring?.userName ?? null;
+  }
+
+  // 訂閱加密狀態（鎖定、解鎖、清除），回傳取消訂閱函數
+  onEncryptionChange(listener: () => void): () => void {
+    this.encryptionListeners.add(listener);
+    return () => {
+      this.encryptionListeners.delete(listener);
+    };
+  }
+
+  // 登入成功後以登入密碼解鎖本機資料；尚未啟用加密時建立資料金鑰並加密既有的本機資料
+  // 已解鎖時（登入過期後重新登入）若密碼已變更，改以新密碼包裝資料金鑰
+  // 密碼解不開資料金鑰（密碼在其他裝置變更過，或是其他使用者）時拋出 WrongPassphraseError
+  async unlockWithLogin(password: string, user: AuthUser): Promise<void> {
+    const state = await this.loadEncryption();
+    const owner = { userId: user.id, userName: user.name };
+    if (!state.keyring) {
+      const key = await createDataKey();
+      const keyring = await wrapDataKey(key, password, owner);
+      await this.keyring.put(keyring);
+      state.keyring = keyring;
+      this.setDataKey(state, key);
+      await this.sealStoredData();
+      // 啟用後 Service Worker 不再快取員工 API 也不排隊重送（見 custom-service-worker.ts），啟用前的明文副本一併刪除
+      await this.clearServiceWorkerData();
+      return;
+    }
+    if (!state.key) {
+      await this.unlock(password);
+      return;
+    }
+    if (state.keyring.userId !== user.id) return;
+    try {
+      await unwrapDataKey(state.keyring, password);
+    } catch {
+      // createdAt 不變：其他分頁手上的資料金鑰仍然有效
+      const keyring = { ...await wrapDataKey(state.key, password, owner), createdAt: state.keyring.createdAt };
+      await this.keyring.put(keyring);
+      state.keyring = keyring;
+    }
+  }
+
+  // 以密碼解開資料金鑰（解鎖畫面）；密碼錯誤時拋出 WrongPassphraseError
+  async unlock(passphrase: string): Promise<void> {
+    const state = await this.loadEncryption();
+    if (!state.keyring || state.key) return;
+    const key = await unwrapDataKey(state.keyring, passphrase);
+    this.setDataKey(state, key);
+    this.postEncryptionMessage({ type: 'key', key, createdAt: state.keyring.createdAt });
+  }
+
+  // 鎖定：所有分頁忘記資料金鑰（畫面上已解密的資料由呼叫端重新載入頁面清除）
+  // 員工 API 快取與重送佇列是明文，鎖定（含登出）時也刪除
+  async lock(): Promise<void> {
+    const state = await this.loadEncryption();
+    this.postEncryptionMessage({ type: 'lock' });
+    this.setDataKey(state, null);
+    await this.clearServiceWorkerData();
+  }
+
+  // 清除本機所有資料（含 keyring、登入狀態副本與 Service Worker 的員工 API 快取），所有分頁回到未啟用加密
+  // 尚未同步的變更會一併刪除，呼叫端應先提醒使用者
+  async wipeLocalData(): Promise<void> {
+    await this.transaction('rw', this.tables, async () => {
+      for (const table of this.tables) {
+        await table.clear();
+      }
+    });
+    await this.clearServiceWorkerData();
+    this.postEncryptionMessage({ type: 'wipe' });
+    this.setDataKey(await this.resetEncryption(), null);
+  }
+
+  // Service Worker 保存的明文副本：員工 API 快取與 REST 修改的重送佇列
+  private async clearServiceWorkerData(): Promise<void> {
+    if (typeof caches !== 'undefined') await caches.delete(EMPLOYEE_API_CACHE);
+    requestClearMutationQueue();
+  }
+
+  private async resetEncryption(): Promise<EncryptionContext> {
+    this.encryption = Promise.resolve({ keyring: null, key: null });
+    return await this.encryption;
+  }
+
+  private async handleEncryptionMessage(message: EncryptionMessage): Promise<void> {
+    const state = await this.loadEncryption();
+    switch (message.type) {
+      case 'lock':
+        if (state.key) this.setDataKey(state, null);
+        break;
+      case 'wipe':
+        this.setDataKey(await this.resetEncryption(), null);
+        break;
+      case 'key-request':
+        if (state.keyring && state.key) {
+          this.postEncryptionMessage({ type: 'key', key: state.key, createdAt: state.keyring.createdAt });
+        }
+        break;
+      case 'key':
+        if (!state.key && state.keyring?.createdAt === message.createdAt) this.setDataKey(state, message.key);
+        break;
+    }
+  }
+
+  private postEncryptionMessage(message: EncryptionMessage) {
+    this.encryptionChannel?.postMessage(message);
+  }
+
+  // 更新資料金鑰並通知訂閱者；解鎖或清除後繼續等待中的讀寫
+  private setDataKey(state: EncryptionContext, key: CryptoKey | null) {
+    state.key = key;
+    if (key || !state.keyring) {
+      const waiters = [...this.unlockWaiters];
+      this.unlockWaiters.clear();
+      waiters.forEach(resume => resume());
+    }
+    for (const listener of this.encryptionListeners) {
+      listener();
+    }
+  }
+
+  // 目前的資料金鑰；沒有啟用加密時為 null（讀寫明文）
+  // 已鎖定時分頁等待使用者解鎖；Service Worker 拿不到資料金鑰，直接拋出 LocalDataLockedError
+  private async dataKey(): Promise<CryptoKey | null> {
+    const state = await this.loadEncryption();
+    if (!state.keyring || state.key) return state.key;
+    if (typeof window === 'undefined') throw new LocalDataLockedError();
+    await new Promise<void>(resolve => this.unlockWaiters.add(resolve));
+    return await this.dataKey();
+  }
+
+  // 加密 fields 並把原欄位清空，密文放在 sealed；沒有啟用加密時原樣回傳
+  private async sealEmployee(employee: Employee, fields = SEALED_EMPLOYEE_FIELDS): Promise<StoredEmployee> {
+    const key = await this.dataKey();
+    if (!key) return employee;
+    const stored: Record<string, unknown> = { ...employee };
+    const values: Record<string, unknown> = {};
+    for (const field of fields) {
+      values[field] = employee[field];
+      stored[field] = '';
+    }
+    stored.sealed = await encryptJson(key, values);
+    return stored as unknown as StoredEmployee;
   }
 
-  // 新增員工
+  private async openEmployee(employee: StoredEmployee): Promise<Employee> {
+    if (!employee.sealed) return employee;
+    const key = await this.dataKey();
+    if (!key) throw new LocalDataLockedError();
+    const { sealed, ...rest } = employee;
+    return { ...rest, ...await decryptJson<Partial<Employee>>(key, sealed) };
+  }
+
+  private async openEmployees(employees: StoredEmployee[]): Promise<Employee[]> {
+    return await Promise.all(employees.map(employee => this.openEmployee(employee)));
+  }
+
+  // 變更記錄的員工資料整筆加密（只留識別碼供同步排序與重送判斷）
+  private async sealChange(change: EmployeeChange): Promise<StoredChange> {
+    return { ...change, employee: await this.sealEmployee(change.employee, EMPLOYEE_FIELDS) };
+  }
+
+  private async openChange(change: StoredChange): Promise<EmployeeChange> {
+    return change.employee.sealed ? { ...change, employee: await this.openEmployee(change.employee) } : change;
+  }
+
+  private async sealConflict(conflict: FieldConflict): Promise<FieldConflict> {
+    const key = await this.dataKey();
+    return key ? { ...conflict, values: [], sealed: await encryptJson(key, conflict.values) } : conflict;
+  }
+
+  private async openConflict(conflict: FieldConflict): Promise<FieldConflict> {
+    if (!conflict.sealed) return conflict;
+    const key = await this.dataKey();
+    if (!key) throw new LocalDataLockedError();
+    const { sealed, ...rest } = conflict;
+    return { ...rest, values: await decryptJson<FieldConflictValue[]>(key, sealed) };
+  }
+
+  // CRDT 文檔包含所有員工的完整歷史，整份加密；sync state 只有 heads 與 bloom filter，保留明文
+  private async sealCrdtSync(record: CrdtSyncRecord): Promise<CrdtSyncRecord> {
+    const key = await this.dataKey();
+    return key ? { ...record, document: new Uint8Array(0), sealed: await encryptBytes(key, new Uint8Array(record.document)) } : record;
+  }
+
+  private async openCrdtSync<T extends CrdtSyncRecord | undefined>(record: T): Promise<T> {
+    if (!record?.sealed) return record;
+    const key = await this.dataKey();
+    if (!key) throw new LocalDataLockedError();
+    const { sealed, ...rest } = record;
+    return { ...rest, document: await decryptBytes(key, sealed) } as T;
+  }
+
+  // 含個人資料的資料表：讀出時解密、寫入時加密（匯出/匯入與啟用加密時逐表處理）
+  private sealedTables(): { table: Table; open(row: unknown): Promise<unknown>; seal(row: unknown): Promise<unknown> }[] {
+    return [
+      { table: this.employees, open: row => this.openEmployee(row as StoredEmployee), seal: row => this.sealEmployee(row as Employee) },
+      { table: this.recycleBin, open: row => this.openEmployee(row as StoredEmployee), seal: row => this.sealEmployee(row as Employee) },
+      { table: this.changes, open: row => this.openChange(row as StoredChange), seal: row => this.sealChange(row as EmployeeChange) },
+      { table: this.conflicts, open: row => this.openConflict(row as FieldConflict), seal: row => this.sealConflict(row as FieldConflict) },
+      { table: this.crdtSync, open: row => this.openCrdtSync(row as CrdtSyncRecord), seal: row => this.sealCrdtSync(row as CrdtSyncRecord) }
+    ];
+  }
+
+  // 啟用加密時加密既有的明文資料（IndexedDB 可能仍留有舊的明文頁面，直到瀏覽器壓縮資料庫）
+  private async sealStoredData(): Promise<void> {
+    for (const { table, open, seal } of this.sealedTables()) {
+      const rows = await Promise.all((await table.toArray()).map(async row => await seal(await open(row))));
+      await table.bulkPut(rows);
+    }
+  }
+
+  // 員工的部門必須是本地已知的部門代碼；主管必須是本地已知的員工（含回收桶），且不能形成匯報循環
+  private async employeeValidationContext() {
+    const [departmentCodes, employees, deleted] = await Promise.all([
+      this.departments.orderBy('Code').keys(),
+      this.employees.toArray(),
+      this.recycleBin.toArray()
+    ]);
+    return {
+      departmentCodes: departmentCodes.map(String),
+      employees: Object.fromEntries([...deleted, ...employees].map(e => [e.EmployeeUUID, { ManagerID: e.ManagerID ?? '' }]))
+    };
+  }
+
+  // 新增員工（不符合 schema 時拋出 EmployeeValidationError，不寫入也不記錄變更）
   async addEmployee(employee: Employee): Promise<void> {
-    await this.transaction('rw', this.employees, this.changes, async () => {
-      await this.employees.put(employee);
-      await this.changes.add({
+    assertValidEmployee(employee, await this.employeeValidationContext());
+    const [stored, change] = await Promise.all([
+      this.sealEmployee(employee),
+      this.sealChange({
         employee,
         timestamp: Date.now(),
         operation: 'create',
-        synced: false
-      });
+        synced: false,
+        baseHeads: this.currentBaseHeads()
+      })
+    ]);
+    await this.transaction('rw', this.employees, this.changes, async () => {
+      await this.employees.put(stored);
+      await this.changes.add(change);
     });
+    this.changesRecorded();
   }
 
-  // 更新員工
-  async updateEmployee(employee: Employee): Promise<void> {
-    await this.transaction('rw', this.employees, this.changes, async () => {
-      await this.employees.put(employee);
-      await this.changes.add({
+  // 更新員工（只記錄實際修改的欄位，讓不同欄位的並行修改可以各自合併）
+  // restoredFrom：還原歷史版本時帶入來源版本的 change hash，記錄在變更歷史中
+  async updateEmployee(employee: Employee, changedFields?: (keyof Employee)[], restoredFrom?: string): Promise<void> {
+    assertValidEmployee(employee, await this.employeeValidationContext());
+    const previous = await this.getEmployee(employee.EmployeeUUID);
+    const fields = changedFields ?? EMPLOYEE_FIELDS.filter(field => !previous || previous[field] !== employee[field]);
+    const [stored, change] = await Promise.all([
+      this.sealEmployee(employee),
+      this.sealChange({
         employee,
         timestamp: Date.now(),
         operation: 'update',
-        synced: false
-      });
+        synced: false,
+        changedFields: fields,
+        baseHeads: this.currentBaseHeads(),
+        ...(restoredFrom ? { restoredFrom } : {})
+      })
+    ]);
+    await this.transaction('rw', this.employees, this.changes, async () => {
+      await this.releaseEmployeeChanges(employee.EmployeeUUID);
+      await this.employees.put(stored);
+      await this.changes.add(change);
+    });
+    this.changesRecorded();
+  }
+
+  // 批次匯入（匯入精靈）：整批驗證後在同一個交易中寫入，每位員工一筆變更，之後與一般編輯一樣同步
+  // 任一位不符合 schema（例如匯入期間主管被刪除）時拋出 EmployeeValidationError，整批都不寫入
+  // 本地已有的員工記錄為修改（只記錄實際修改的欄位，沒有差異的略過），回傳新增與修改的人數
+  async importEmployees(employees: Employee[]): Promise<{ created: number; updated: number }> {
+    const context = await this.employeeValidationContext();
+    for (const employee of employees) {
+      context.employees[employee.EmployeeUUID] = { ManagerID: employee.ManagerID ?? '' };
+    }
+    for (const employee of employees) {
+      assertValidEmployee(employee, context);
+    }
+
+    const result = { created: 0, updated: 0 };
+    const timestamp = Date.now();
+    const baseHeads = this.currentBaseHeads();
+    const previous = await this.getEmployees(employees.map(employee => employee.EmployeeUUID));
+    const changes: EmployeeChange[] = [];
+    const written: Employee[] = [];
+    employees.forEach((employee, index) => {
+      const existing = previous[index];
+      if (!existing) {
+        changes.push({ employee, timestamp, operation: 'create', synced: false, baseHeads });
+        result.created++;
+      } else {
+        const changedFields = EMPLOYEE_FIELDS.filter(field => existing[field] !== employee[field]);
+        if (changedFields.length === 0) return;
+        changes.push({ employee, timestamp, operation: 'update', synced: false, changedFields, baseHeads });
+        result.updated++;
+      }
+      written.push(employee);
+    });
+
+    const updatedUUIDs = new Set(changes.filter(change => change.operation === 'update').map(change => change.employee.EmployeeUUID));
+    const [storedEmployees, storedChanges] = await Promise.all([
+      Promise.all(written.map(employee => this.sealEmployee(employee))),
+      Promise.all(changes.map(change => this.sealChange(change)))
+    ]);
+    await this.transaction('rw', this.employees, this.changes, async () => {
+      await this.changes
+        .filter(change => !change.synced && updatedUUIDs.has(change.employee.EmployeeUUID) && isHeld(change))
+        .modify(RELEASED);
+      await this.employees.bulkPut(storedEmployees);
+      await this.changes.bulkAdd(storedChanges);
     });
+    if (result.created + result.updated > 0) this.changesRecorded();
+    return result;
   }
 
-  // 刪除員工
-  async deleteEmployee(employeeId: number): Promise<void> {
-    const employee = await this.employees.where('EmployeeID').equals(employeeId).first();
+  // 刪除員工：移到回收桶（帶 DeletedAt / DeletedBy），同步後伺服器同樣保留，之後仍可還原
+  async deleteEmployee(employeeUUID: string): Promise<void> {
+    const employee = await this.getEmployee(employeeUUID);
+    const tombstone = {
+      DeletedAt: new Date().toISOString(),
+      DeletedBy: authService.getUser()?.name ?? ''
+    };
     if (employee) {
-      await this.transaction('rw', this.employees, this.changes, async () => {
-        await this.employees.where('EmployeeID').equals(employeeId).delete();
-        await this.changes.add({
-          employee,
+      const deleted: Employee = { ...employee, ...tombstone };
+      const [stored, change] = await Promise.all([
+        this.sealEmployee(deleted),
+        this.sealChange({
+          employee: deleted,
           timestamp: Date.now(),
           operation: 'delete',
-          synced: false
-        });
+          synced: false,
+          baseHeads: this.currentBaseHeads()
+        })
+      ]);
+      await this.transaction('rw', this.employees, this.recycleBin, this.changes, async () => {
+        await this.releaseEmployeeChanges(employeeUUID);
+        await this.employees.delete(employeeUUID);
+        await this.recycleBin.put(stored);
+        await this.changes.add(change);
       });
     } else {
       // Tombstone: 即使本地沒有該員工，也記錄刪除意圖，確保回線後可同步
-      const tombstone: Employee = {
-        EmployeeID: Number(employeeId),
+      const placeholder: Employee = {
+        EmployeeUUID: employeeUUID,
+        EmployeeID: 0,
         FirstName: '',
         LastName: '',
         Department: '',
@@ -108,25 +794,320 @@ export class EmployeeDatabase extends Dexie {
         Email: '',
         PhoneNumber: '',
         Address: '',
-        Status: 'Deleted'
+        Status: 'Deleted',
+        ManagerID: '',
+        ...tombstone
       };
-      await this.changes.add({
-        employee: tombstone,
+      await this.releaseEmployeeChanges(employeeUUID);
+      await this.changes.add(await this.sealChange({
+        employee: placeholder,
+        timestamp: Date.now(),
+        operation: 'delete',
+        synced: false,
+        baseHeads: this.currentBaseHeads()
+      }));
+    }
+    this.changesRecorded();
+  }
+
+  // 合併重複員工：merged 為逐欄合併後的保留員工，被合併的員工移到回收桶並以 MergedInto 指向保留的員工
+  // 直屬主管或部門主管是被合併員工的，一併改為保留的員工；整批在同一個交易中記錄，之後與一般編輯一樣同步
+  // 合併後會形成匯報循環等不符合 schema 的情況拋出 EmployeeValidationError，不寫入也不記錄變更
+  async mergeEmployees(merged: Employee, loserUUID: string): Promise<void> {
+    const winnerUUID = merged.EmployeeUUID;
+    const [winner, loser, subordinates] = await Promise.all([
+      this.getEmployee(winnerUUID),
+      this.getEmployee(loserUUID),
+      this.employees.filter(employee => employee.ManagerID === loserUUID).toArray().then(rows => this.openEmployees(rows))
+    ]);
+    if (!winner || !loser || winnerUUID === loserUUID) {
+      throw new Error('找不到要合併的員工，可能已被刪除或合併');
+    }
+    const redirected = subordinates
+      .filter(employee => employee.EmployeeUUID !== winnerUUID)
+      .map(employee => ({ ...employee, ManagerID: winnerUUID }));
+
+    const context = await this.employeeValidationContext();
+    for (const employee of [merged, ...redirected]) {
+      context.employees[employee.EmployeeUUID] = { ManagerID: employee.ManagerID ?? '' };
+    }
+    for (const employee of [merged, ...redirected]) {
+      assertValidEmployee(employee, context);
+    }
+
+    const tombstone: Employee = {
+      ...loser,
+      DeletedAt: new Date().toISOString(),
+      DeletedBy: authService.getUser()?.name ?? '',
+      MergedInto: winnerUUID
+    };
+    const timestamp = Date.now();
+    const baseHeads = this.currentBaseHeads();
+    const changes: EmployeeChange[] = [];
+    const changedFields = EMPLOYEE_FIELDS.filter(field => winner[field] !== merged[field]);
+    if (changedFields.length > 0) {
+      changes.push({ employee: merged, timestamp, operation: 'update', synced: false, changedFields, baseHeads });
+    }
+    changes.push({ employee: tombstone, timestamp, operation: 'delete', synced: false, baseHeads });
+    for (const employee of redirected) {
+      changes.push({ employee, timestamp, operation: 'update', synced: false, changedFields: ['ManagerID'], baseHeads });
+    }
+    const touched = new Set(changes.map(change => change.employee.EmployeeUUID));
+    const [storedTombstone, storedEmployees, storedChanges] = await Promise.all([
+      this.sealEmployee(tombstone),
+      Promise.all([merged, ...redirected].map(employee => this.sealEmployee(employee))),
+      Promise.all(changes.map(change => this.sealChange(change)))
+    ]);
+
+    await this.transaction('rw', [this.employees, this.recycleBin, this.changes, this.departments, this.departmentChanges], async () => {
+      await this.changes
+        .filter(change => !change.synced && touched.has(change.employee.EmployeeUUID) && isHeld(change))
+        .modify(RELEASED);
+      await this.employees.delete(loserUUID);
+      await this.recycleBin.put(storedTombstone);
+      await this.employees.bulkPut(storedEmployees);
+      await this.changes.bulkAdd(storedChanges);
+
+      const headed = await this.departments.filter(department => department.HeadEmployeeUUID === loserUUID).toArray();
+      for (const department of headed) {
+        const updated: Department = { ...department, HeadEmployeeUUID: winnerUUID };
+        await this.releaseDepartmentChanges(department.DepartmentUUID);
+        await this.departments.put(updated);
+        await this.departmentChanges.add({
+          department: updated,
+          timestamp,
+          operation: 'upsert',
+          synced: false,
+          changedFields: ['HeadEmployeeUUID']
+        });
+      }
+    });
+    this.changesRecorded();
+  }
+
+  // 單一員工（不含回收桶）
+  async getEmployee(employeeUUID: string): Promise<Employee | undefined> {
+    const row = await this.employees.get(employeeUUID);
+    return row && await this.openEmployee(row);
+  }
+
+  // 多位員工，順序與 employeeUUIDs 相同，找不到的為 undefined
+  async getEmployees(employeeUUIDs: string[]): Promise<(Employee | undefined)[]> {
+    const rows = await this.employees.bulkGet(employeeUUIDs);
+    return await Promise.all(rows.map(row => row && this.openEmployee(row)));
+  }
+
+  // 回收桶中的單一員工
+  async getDeletedEmployee(employeeUUID: string): Promise<Employee | undefined> {
+    const row = await this.recycleBin.get(employeeUUID);
+    return row && await this.openEmployee(row);
+  }
+
+  // 同步後以 CRDT 文檔的內容取代本地員工表與回收桶（不記錄變更）
+  async replaceLocalEmployees(active: Employee[], deleted: Employee[]): Promise<void> {
+    const [storedActive, storedDeleted] = await Promise.all([
+      Promise.all(active.map(employee => this.sealEmployee(employee))),
+      Promise.all(deleted.map(employee => this.sealEmployee(employee)))
+    ]);
+    await this.transaction('rw', this.employees, this.recycleBin, async () => {
+      await this.employees.clear();
+      await this.recycleBin.clear();
+      await this.employees.bulkPut(storedActive);
+      await this.recycleBin.bulkPut(storedDeleted);
+    });
+  }
+
+  // 把一位員工寫入本地員工表，帶 DeletedAt 的寫入回收桶（不記錄變更，同步後疊回未同步的變更時使用）
+  async putLocalEmployee(employee: Employee): Promise<void> {
+    const stored = await this.sealEmployee(employee);
+    await this.transaction('rw', this.employees, this.recycleBin, async () => {
+      if (employee.DeletedAt) {
+        await this.employees.delete(employee.EmployeeUUID);
+        await this.recycleBin.put(stored);
+      } else {
+        await this.recycleBin.delete(employee.EmployeeUUID);
+        await this.employees.put(stored);
+      }
+    });
+  }
+
+  // 回收桶中的員工，最近刪除的在前
+  async getRecycleBin(): Promise<Employee[]> {
+    return await this.openEmployees(await this.recycleBin.orderBy('DeletedAt').reverse().toArray());
+  }
+
+  // 從回收桶還原：移除刪除標記，欄位維持刪除前的值
+  async restoreEmployee(employeeUUID: string): Promise<Employee> {
+    const deleted = await this.getDeletedEmployee(employeeUUID);
+    if (!deleted) {
+      throw new Error(`回收桶中找不到員工 ${employeeUUID}`);
+    }
+    if (deleted.MergedInto) {
+      throw new Error('已合併到其他員工，不能還原');
+    }
+    const employee: Employee = { ...deleted };
+    delete employee.DeletedAt;
+    delete employee.DeletedBy;
+
+    const [stored, change] = await Promise.all([
+      this.sealEmployee(employee),
+      this.sealChange({
+        employee,
+        timestamp: Date.now(),
+        operation: 'restore',
+        synced: false,
+        baseHeads: this.currentBaseHeads()
+      })
+    ]);
+    await this.transaction('rw', this.employees, this.recycleBin, this.changes, async () => {
+      await this.releaseEmployeeChanges(employeeUUID);
+      await this.recycleBin.delete(employeeUUID);
+      await this.employees.put(stored);
+      await this.changes.add(change);
+    });
+    this.changesRecorded();
+    return employee;
+  }
+
+  // 所有部門，依代碼排序
+  async getDepartments(): Promise<Department[]> {
+    return await this.departments.orderBy('Code').toArray();
+  }
+
+  // 新增或修改部門（不符合 schema 時拋出 EmployeeValidationError）：代碼不可修改、上層部門不可循環、主管必須是現有員工
+  async saveDepartment(department: Department): Promise<void> {
+    await this.transaction('rw', this.departments, this.departmentChanges, this.employees, async () => {
+      const previous = await this.departments.get(department.DepartmentUUID);
+      const departments = Object.fromEntries((await this.departments.toArray()).map(d => [d.DepartmentUUID, d]));
+      departments[department.DepartmentUUID] = department;
+      const errors = validateDepartment(department, {
+        departments,
+        employeeUUIDs: (await this.employees.toCollection().primaryKeys()).map(String)
+      });
+      if (previous && previous.Code !== department.Code) {
+        errors.Code = { code: 'immutable', message: '部門代碼建立後不能修改' };
+      }
+      if (hasFieldErrors(errors)) throw new EmployeeValidationError(errors);
+
+      const fields = previous
+        ? DEPARTMENT_FIELDS.filter(field => previous[field] !== department[field])
+        : undefined;
+      await this.releaseDepartmentChanges(department.DepartmentUUID);
+      await this.departments.put(department);
+      await this.departmentChanges.add({
+        department,
+        timestamp: Date.now(),
+        operation: 'upsert',
+        synced: false,
+        ...(fields ? { changedFields: fields } : {})
+      });
+    });
+    this.changesRecorded();
+  }
+
+  // 刪除部門：仍有員工或下層部門時拋出錯誤
+  async deleteDepartment(departmentUUID: string): Promise<void> {
+    await this.transaction('rw', this.departments, this.departmentChanges, this.employees, async () => {
+      const department = await this.departments.get(departmentUUID);
+      if (!department) return;
+      const [employees, children] = await Promise.all([
+        this.employees.where('Department').equals(department.Code).count(),
+        this.departments.where('ParentDepartmentUUID').equals(departmentUUID).count()
+      ]);
+      if (employees > 0 || children > 0) {
+        throw new Error(`部門 ${department.Name} 仍有 ${employees} 位員工、${children} 個下層部門，不能刪除`);
+      }
+      await this.releaseDepartmentChanges(departmentUUID);
+      await this.departments.delete(departmentUUID);
+      await this.departmentChanges.add({
+        department,
         timestamp: Date.now(),
         operation: 'delete',
         synced: false
       });
-    }
+    });
+    this.changesRecorded();
   }
 
   // 獲取所有員工
   async getAllEmployees(): Promise<Employee[]> {
-    return await this.employees.toArray();
+    return await this.openEmployees(await this.employees.toArray());
+  }
+
+  // 依查詢條件分頁讀取本地員工（離線或有未同步變更時使用，規則與後端 GET /api/employees 一致）
+  async queryEmployees(query: EmployeeQuery): Promise<EmployeePage> {
+    const offset = (query.page - 1) * query.limit;
+    const hasFilter = !!(query.department || query.status || query.position ||
+      query.hireDateFrom || query.hireDateTo || query.q);
+
+    // 加密的欄位沒有索引（加密時索引裡只會是空字串），依這些欄位排序時要解密後在記憶體中排序
+    const sealedSort = SEALED_EMPLOYEE_FIELDS.includes(query.sortBy);
+
+    // 沒有篩選條件：直接用索引排序分頁，不必載入全部資料
+    if (!hasFilter && !sealedSort) {
+      const index = query.sortBy === 'FirstName' ? '[FirstName+LastName]' : query.sortBy;
+      const ordered = query.descending
+        ? this.employees.orderBy(index).reverse()
+        : this.employees.orderBy(index);
+      const [items, total] = await Promise.all([
+        ordered.offset(offset).limit(query.limit).toArray().then(rows => this.openEmployees(rows)),
+        this.employees.count()
+      ]);
+      return this.toPage(items, total, query);
+    }
+
+    // 先用索引縮小範圍，其餘條件在記憶體中比對
+    const collection = query.department
+      ? this.employees.where('Department').equals(query.department)
+      : query.status
+        ? this.employees.where('Status').equals(query.status)
+        : query.position
+          ? this.employees.where('Position').equals(query.position)
+          : query.hireDateFrom || query.hireDateTo
+            ? this.employees.where('HireDate').between(query.hireDateFrom ?? '', query.hireDateTo ?? '\uffff', true, true)
+            : this.employees.toCollection();
+
+    const q = query.q?.trim().toLowerCase();
+    const searchFields: (keyof Employee)[] = ['FirstName', 'LastName', 'Department', 'Position', 'Email'];
+    const matched = (await this.openEmployees(await collection.toArray()))
+      .filter(e =>
+        (!query.department || e.Department === query.department) &&
+        (!query.status || e.Status === query.status) &&
+        (!query.position || e.Position === query.position) &&
+        (!query.hireDateFrom || (!!e.HireDate && e.HireDate >= query.hireDateFrom)) &&
+        (!query.hireDateTo || (!!e.HireDate && e.HireDate <= query.hireDateTo)) &&
+        (!q || searchFields.some(field => String(e[field]).toLowerCase().includes(q)))
+      );
+
+    const direction = query.descending ? -1 : 1;
+    const compare = (a: Employee, b: Employee, field: keyof Employee) => {
+      const x = a[field];
+      const y = b[field];
+      return typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    };
+    matched.sort((a, b) =>
+      direction * compare(a, b, query.sortBy) ||
+      (query.sortBy === 'FirstName' ? direction * compare(a, b, 'LastName') : 0) ||
+      compare(a, b, 'EmployeeUUID')
+    );
+
+    return this.toPage(matched.slice(offset, offset + query.limit), matched.length, query);
+  }
+
+  private toPage(items: Employee[], total: number, query: EmployeeQuery): EmployeePage {
+    return {
+      items,
+      total,
+      page: query.page,
+      limit: query.limit,
+      totalPages: Math.max(Math.ceil(total / query.limit), 1)
+    };
   }
 
   // 獲取未同步的變更
   async getUnsyncedChanges(): Promise<EmployeeChange[]> {
-    return await this.changes.filter(change => change.synced === false).toArray();
+    const changes = await this.changes.filter(change => change.synced === false).toArray();
+    return await Promise.all(changes.map(change => this.openChange(change)));
   }
 
   // 標記變更為已同步
@@ -134,6 +1115,106 @@ export class EmployeeDatabase extends Dexie {
     await this.changes.where('id').anyOf(changeIds).modify({ synced: true });
   }
 
+  // 待同步的員工與部門變更總數
+  async countUnsyncedChanges(): Promise<number> {
+    const [employees, departments] = await Promise.all([
+      this.changes.filter(change => change.synced === false).count(),
+      this.departmentChanges.filter(change => change.synced === false).count()
+    ]);
+    return employees + departments;
+  }
+
+  // 獲取未同步的部門變更
+  async getUnsyncedDepartmentChanges(): Promise<DepartmentChange[]> {
+    return await this.departmentChanges.filter(change => change.synced === false).toArray();
+  }
+
+  // 標記部門變更為已同步
+  async markDepartmentChangesSynced(changeIds: number[]): Promise<void> {
+    await this.departmentChanges.where('id').anyOf(changeIds).modify({ synced: true });
+  }
+
+  // 這次同步可以送出的員工變更（略過退避中與 dead letter 的變更）
+  async getSendableChanges(now = Date.now()): Promise<EmployeeChange[]> {
+    return sendableChanges(await this.getUnsyncedChanges(), employeeChangeKey, now);
+  }
+
+  // 這次同步可以送出的部門變更
+  async getSendableDepartmentChanges(now = Date.now()): Promise<DepartmentChange[]> {
+    return sendableChanges(await this.getUnsyncedDepartmentChanges(), change => change.department.DepartmentUUID, now);
+  }
+
+  // 現在可以送出的員工與部門變更總數（定期同步只在有變更可送時觸發）
+  // 只用到識別碼，不必解密（本機資料鎖定時也能計算）
+  async countSendableChanges(): Promise<number> {
+    const [employees, departments] = await Promise.all([
+      this.changes.filter(change => change.synced === false).toArray(),
+      this.getSendableDepartmentChanges()
+    ]);
+    return sendableChanges(employees, employeeChangeKey, Date.now()).length + departments.length;
+  }
+
+  // 記錄送出失敗：rejected 為伺服器明確拒絕，累計 MAX_CHANGE_ATTEMPTS 次後進入 dead letter；
+  // 連線或伺服器錯誤只延後重送
+  async recordChangeFailures(
+    kind: 'employee' | 'department',
+    failures: { id: number; error: string }[],
+    rejected: boolean
+  ): Promise<void> {
+    const table = (kind === 'employee' ? this.changes : this.departmentChanges) as unknown as RetryTable;
+    const now = Date.now();
+    await this.transaction('rw', table, async () => {
+      for (const { id, error } of failures) {
+        const change = await table.get(id);
+        if (!change || change.synced) continue;
+        const attempts = (change.attempts ?? 0) + 1;
+        await table.update(id, {
+          attempts,
+          lastError: error,
+          nextRetryAt: now + retryDelay(attempts),
+          deadLetter: rejected && attempts >= MAX_CHANGE_ATTEMPTS
+        });
+      }
+    });
+  }
+
+  // 解除所有變更的退避與 dead letter，下次同步立即重送（同步診斷的「重試同步」）
+  async releaseHeldChanges(): Promise<void> {
+    await this.transaction('rw', this.changes, this.departmentChanges, async () => {
+      await this.changes.filter(change => !change.synced && isHeld(change)).modify(RELEASED);
+      await this.departmentChanges.filter(change => !change.synced && isHeld(change)).modify(RELEASED);
+    });
+  }
+
+  // 同一員工寫入新變更時，先前延後或進入 dead letter 的變更一起重送（使用者可能已修正資料）；
+  // attempts 保留，仍被拒絕時很快再進入 dead letter
+  private async releaseEmployeeChanges(employeeUUID: string): Promise<void> {
+    await this.changes
+      .filter(change => !change.synced && change.employee.EmployeeUUID === employeeUUID && isHeld(change))
+      .modify(RELEASED);
+  }
+
+  private async releaseDepartmentChanges(departmentUUID: string): Promise<void> {
+    await this.departmentChanges
+      .filter(change => !change.synced && change.department.DepartmentUUID === departmentUUID && isHeld(change))
+      .modify(RELEASED);
+  }
+
+  // 捨棄某位員工所有未同步的變更（員工列表中無法同步的資料）
+  async discardEmployeeChanges(employeeUUID: string): Promise<void> {
+    await this.changes.filter(change => !change.synced && change.employee.EmployeeUUID === employeeUUID).delete();
+  }
+
+  // 捨棄一筆未同步的員工變更（同步診斷使用，變更不會送到伺服器）
+  async discardChange(changeId: number): Promise<void> {
+    await this.changes.delete(changeId);
+  }
+
+  // 捨棄一筆未同步的部門變更
+  async discardDepartmentChange(changeId: number): Promise<void> {
+    await this.departmentChanges.delete(changeId);
+  }
+
   // 清除所有未同步的變更記錄（用於重置）
   async clearAllUnsyncedChanges(): Promise<void> {
     await this.changes.filter(change => change.synced === false).delete();
@@ -141,7 +1222,7 @@ export class EmployeeDatabase extends Dexie {
 
   // 根據員工資料清除變更記錄（用於離線新增後）
   async clearChangesByEmployeeData(employeeData: Partial<Employee>): Promise<void> {
-    const changes = await this.changes.filter(change => change.synced === false).toArray();
+    const changes = await this.getUnsyncedChanges();
     
     const matchingChanges = changes.filter(change => {
       const emp = change.employee;
@@ -189,6 +1270,127 @@ export class EmployeeDatabase extends Dexie {
     }
   }
   
+  // syncState 表的所有紀錄，新的在前
+  async getSyncStateHistory(): Promise<SyncState[]> {
+    return await this.syncState.orderBy('id').reverse().toArray();
+  }
+
+  // 記錄一次同步結果，只保留最近 SYNC_ATTEMPT_LIMIT 筆
+  async recordSyncAttempt(attempt: SyncAttempt): Promise<void> {
+    await this.transaction('rw', this.syncAttempts, async () => {
+      await this.syncAttempts.add(attempt);
+      const stale = await this.syncAttempts.orderBy('id').reverse().offset(SYNC_ATTEMPT_LIMIT).primaryKeys();
+      if (stale.length) await this.syncAttempts.bulkDelete(stale);
+    });
+  }
+
+  // 最近的同步紀錄，新的在前
+  async getSyncAttempts(): Promise<SyncAttempt[]> {
+    return await this.syncAttempts.orderBy('id').reverse().toArray();
+  }
+
+  // 匯出整個本地資料庫（登入 token 與 keyring 除外）為 JSON 字串；加密的資料解密後匯出，匯出檔為明文
+  async exportDatabase(): Promise<string> {
+    const tables: Record<string, unknown[]> = {};
+    await this.transaction('r', this.tables.filter(t => !EXPORT_EXCLUDED_TABLES.includes(t.name)), async () => {
+      for (const table of this.tables) {
+        if (EXPORT_EXCLUDED_TABLES.includes(table.name)) continue;
+        tables[table.name] = await table.toArray();
+      }
+    });
+    for (const { table, open } of this.sealedTables()) {
+      tables[table.name] = await Promise.all((tables[table.name] ?? []).map(row => open(row)));
+    }
+    const dump: DatabaseExport = {
+      format: DATABASE_EXPORT_FORMAT,
+      version: this.verno,
+      exportedAt: new Date().toISOString(),
+      tables
+    };
+    return JSON.stringify(dump, encodeBytes);
+  }
+
+  // 以匯出檔取代本地資料庫（登入狀態與 keyring 除外），啟用加密時以本機的資料金鑰加密；只接受同一個 schema 版本的匯出檔
+  async importDatabase(json: string): Promise<void> {
+    let dump: Partial<DatabaseExport>;
+    try {
+      dump = JSON.parse(json, decodeBytes) as Partial<DatabaseExport>;
+    } catch {
+      throw new Error('檔案不是有效的 JSON');
+    }
+    if (dump?.format !== DATABASE_EXPORT_FORMAT || typeof dump.tables !== 'object' || !dump.tables) {
+      throw new Error('檔案不是本系統匯出的資料庫');
+    }
+    if (dump.version !== this.verno) {
+      throw new Error(`匯出檔的資料庫版本 ${String(dump.version)} 與目前版本 ${this.verno} 不同，請以相同版本的應用程式匯入`);
+    }
+    const tables = dump.tables;
+    const unknown = Object.keys(tables).filter(name => !this.tables.some(t => t.name === name));
+    if (unknown.length) {
+      throw new Error(`匯出檔包含未知的資料表：${unknown.join(', ')}`);
+    }
+
+    for (const { table, seal } of this.sealedTables()) {
+      const rows = tables[table.name];
+      if (Array.isArray(rows)) tables[table.name] = await Promise.all(rows.map(row => seal(row)));
+    }
+
+    const targets = this.tables.filter(t => !EXPORT_EXCLUDED_TABLES.includes(t.name));
+    await this.transaction('rw', targets, async () => {
+      for (const table of targets) {
+        await table.clear();
+        const rows = tables[table.name];
+        if (Array.isArray(rows) && rows.length) await table.bulkAdd(rows);
+      }
+    });
+  }
+
+  // 獲取所有欄位衝突
+  async getConflicts(): Promise<FieldConflict[]> {
+    const conflicts = await this.conflicts.orderBy('detectedAt').toArray();
+    return await Promise.all(conflicts.map(conflict => this.openConflict(conflict)));
+  }
+
+  // 以最新偵測結果取代衝突清單（同一員工同一欄位保留原本的 id 與偵測時間）
+  async replaceConflicts(detected: FieldConflict[]): Promise<void> {
+    const sealed = await Promise.all(detected.map(conflict => this.sealConflict(conflict)));
+    await this.transaction('rw', this.conflicts, async () => {
+      const existing = await this.conflicts.toArray();
+      const byKey = new Map(existing.map(c => [`${c.employeeKey}|${c.field}`, c]));
+      const next = sealed.map(c => {
+        const previous = byKey.get(`${c.employeeKey}|${c.field}`);
+        return previous ? { ...c, id: previous.id, detectedAt: previous.detectedAt } : c;
+      });
+      await this.conflicts.clear();
+      if (next.length) await this.conflicts.bulkPut(next);
+    });
+  }
+
+  // 移除已解決的衝突
+  async deleteConflict(conflictId: number): Promise<void> {
+    await this.conflicts.delete(conflictId);
+  }
+
+  // 獲取 CRDT 同步紀錄
+  async getCrdtSync(peerId: string): Promise<CrdtSyncRecord | undefined> {
+    return await this.openCrdtSync(await this.crdtSync.get(peerId));
+  }
+
+  // 保存 CRDT 同步紀錄
+  async saveCrdtSync(record: CrdtSyncRecord): Promise<void> {
+    await this.crdtSync.put(await this.sealCrdtSync(record));
+  }
+
+  // 獲取登入狀態副本
+  async getAuthSession(): Promise<AuthSessionRecord | undefined> {
+    return await this.authSession.get(AUTH_SESSION_ID);
+  }
+
+  // 保存登入狀態副本
+  async saveAuthSession(token: string | null, user: AuthUser | null): Promise<void> {
+    await this.authSession.put({ id: AUTH_SESSION_ID, token, user, updatedAt: Date.now() });
+  }
+  
   private normalizeEmployee(raw: unknown): Employee {
     const toDate = (d: unknown): string => {
       if (d == null) return '';
@@ -200,8 +1402,11 @@ export class EmployeeDatabase extends Dexie {
 
     const obj = (typeof raw === 'object' && raw !== null) ? (raw as Record<string, unknown>) : {};
 
+    const employeeId = Number(obj.EmployeeID ?? 0);
+
     return {
-      EmployeeID: Number(obj.EmployeeID ?? 0),
+      EmployeeUUID: String(obj.EmployeeUUID || legacyEmployeeKey(employeeId)),
+      EmployeeID: employeeId,
       FirstName: String(obj.FirstName ?? ''),
       LastName: String(obj.LastName ?? ''),
       Department: String(obj.Department ?? ''),
@@ -212,24 +1417,61 @@ export class EmployeeDatabase extends Dexie {
       Email: String(obj.Email ?? ''),
       PhoneNumber: String(obj.PhoneNumber ?? ''),
       Address: String(obj.Address ?? ''),
-      Status: String(obj.Status ?? 'Active')
+      Status: String(obj.Status ?? 'Active'),
+      ManagerID: String(obj.ManagerID ?? '')
     };
   }
-  // 直接從 API 獲取員工數據（測試用）
-  async fetchEmployeesFromAPI(): Promise<Employee[]> {
+  private apiBase(): string {
     const rawBase = import.meta.env?.VITE_API_BASE || 'http://localhost:3001/api';
-    const normalizedBase = rawBase.endsWith('/api')
+    return rawBase.endsWith('/api')
       ? rawBase
       : `${String(rawBase).replace(/\/+$/, '')}/api`;
-    const response = await fetch(`${normalizedBase}/employees`);
+  }
+
+  // 由後端分頁查詢員工（不寫入本地資料庫，本地資料仍由 CRDT 同步維護）
+  async fetchEmployeePage(query: EmployeeQuery): Promise<EmployeePage> {
+    const params = new URLSearchParams({
+      page: String(query.page),
+      limit: String(query.limit),
+      sort: query.sortBy,
+      order: query.descending ? 'desc' : 'asc'
+    });
+    for (const key of ['department', 'status', 'position', 'hireDateFrom', 'hireDateTo', 'q'] as const) {
+      const value = query[key]?.trim();
+      if (value) params.set(key, value);
+    }
+
+    const response = await fetch(`${this.apiBase()}/employees?${params.toString()}`, {
+      headers: authService.authHeaders()
+    });
+    if (response.status === 401) {
+      authService.handleUnauthorized();
+      throw new AuthRequiredError();
+    }
+    if (!response.ok) {
+      throw new Error(`API 請求失敗: ${response.status} ${response.statusText}`);
+    }
+    const json = await response.json() as Partial<EmployeePage>;
+    const items = Array.isArray(json.items) ? json.items.map((r) => this.normalizeEmployee(r)) : [];
+    return this.toPage(items, Number(json.total ?? items.length), query);
+  }
+
+  // 直接從 API 獲取員工數據（測試用）
+  async fetchEmployeesFromAPI(): Promise<Employee[]> {
+    const response = await fetch(`${this.apiBase()}/employees`, { headers: authService.authHeaders() });
+    if (response.status === 401) {
+      authService.handleUnauthorized();
+      throw new AuthRequiredError();
+    }
     if (!response.ok) {
       throw new Error(`API 請求失敗: ${response.status} ${response.statusText}`);
     }
     const json = await response.json() as unknown;
     const arr = Array.isArray(json) ? json : [];
     const normalized = arr.map((r) => this.normalizeEmployee(r));
+    const stored = await Promise.all(normalized.map(employee => this.sealEmployee(employee)));
     await this.employees.clear();
-    await this.employees.bulkPut(normalized);
+    await this.employees.bulkPut(stored);
     return normalized; // 回傳已正規化的資料
   }
   }
@@ -0,0 +1,97 @@
+// 本機資料加密（WebCrypto）：隨機產生的資料金鑰（AES-GCM 256）加密 IndexedDB 中的敏感資料，
+// 資料金鑰再以密碼經 PBKDF2 衍生的金鑰包裝後保存在 keyring 表；沒有密碼就無法解開資料金鑰
+import type { EncryptedPayload, KeyringRecord } from '../types/employee';
+
+export const KEYRING_ID = 'current';
+// PBKDF2 迭代次數（OWASP 建議的 SHA-256 下限），解鎖一次約需 0.5～1 秒
+const PBKDF2_ITERATIONS = 600_000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class LocalDataLockedError extends Error {
+  constructor(message = '本機資料已鎖定，請先解鎖') {
+    super(message);
+    this.name = 'LocalDataLockedError';
+  }
+}
+
+export class WrongPassphraseError extends Error {
+  constructor(message = '密碼不正確，無法解鎖本機資料') {
+    super(message);
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+const randomBytes = (length: number) => crypto.getRandomValues(new Uint8Array(length));
+
+async function deriveWrappingKey(passphrase: string, salt: Uint8Array<ArrayBuffer>, iterations: number): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+// 新的資料金鑰；可匯出只為了在密碼變更時重新包裝
+export async function createDataKey(): Promise<CryptoKey> {
+  return await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+// 以密碼包裝資料金鑰，產生要保存的 keyring 紀錄
+export async function wrapDataKey(
+  key: CryptoKey,
+  passphrase: string,
+  owner: Pick<KeyringRecord, 'userId' | 'userName'>
+): Promise<KeyringRecord> {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+  return {
+    id: KEYRING_ID,
+    ...owner,
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    iv,
+    wrappedKey: new Uint8Array(wrapped),
+    createdAt: Date.now()
+  };
+}
+
+// 以密碼解開資料金鑰；密碼錯誤時 AES-GCM 驗證失敗，拋出 WrongPassphraseError
+export async function unwrapDataKey(keyring: KeyringRecord, passphrase: string): Promise<CryptoKey> {
+  const wrappingKey = await deriveWrappingKey(passphrase, keyring.salt, keyring.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      keyring.wrappedKey,
+      wrappingKey,
+      { name: 'AES-GCM', iv: keyring.iv },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch {
+    throw new WrongPassphraseError();
+  }
+}
+
+export async function encryptBytes(key: CryptoKey, bytes: Uint8Array<ArrayBuffer>): Promise<EncryptedPayload> {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv, data: new Uint8Array(data) };
+}
+
+export async function decryptBytes(key: CryptoKey, payload: EncryptedPayload): Promise<Uint8Array<ArrayBuffer>> {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data));
+}
+
+export const encryptJson = (key: CryptoKey, value: unknown) =>
+  encryptBytes(key, encoder.encode(JSON.stringify(value)));
+
+export const decryptJson = async <T>(key: CryptoKey, payload: EncryptedPayload): Promise<T> =>
+  JSON.parse(decoder.decode(await decryptBytes(key, payload))) as T;
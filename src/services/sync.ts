@@ -1,21 +1,170 @@
 import { 
   init, 
   change, 
+  changeAt,
+  clone,
   merge, 
   save, 
   load, 
-  type Doc 
+  initSyncState,
+  generateSyncMessage,
+  receiveSyncMessage,
+  encodeSyncState,
+  decodeSyncState,
+  hasHeads,
+  getHeads,
+  getConflicts,
+  getActorId,
+  getHistory,
+  diff,
+  view,
+  type DecodedChange,
+  type Doc,
+  type SyncState as AutomergeSyncState
 } from '@automerge/automerge';
-import { db } from './database';
-import type { Employee } from '../types/employee';
+import { db, EMPLOYEE_FIELDS, DEPARTMENT_FIELDS, isEmployeeUuid } from './database';
+import { authService, AuthRequiredError } from './auth';
+import { isBackgroundSyncMessage, type BackgroundSyncMessage } from './backgroundSync';
+import { LocalDataLockedError } from './localCrypto';
+import type { Employee, EmployeeChange, EmployeeHistoryEntry, FieldConflict, SyncAttempt } from '../types/employee';
+import type { Department, DepartmentChange } from '../types/department';
+import { isDeletedEmployee, type EmployeeFieldErrors } from '../../shared/employeeSchema';
+import {
+  DOCUMENT_SCHEMA_VERSION,
+  documentSchemaVersion,
+  isNewerDocument,
+  migrateDocument
+} from '../../shared/documentSchema';
 
 export interface EmployeeDocument {
+  // 文檔結構版本（shared/documentSchema.js），由伺服器升級時寫入；舊文檔沒有，視為第 1 版
+  schemaVersion?: number;
   employees: Record<string, Employee>;
+  // 部門主檔；由伺服器建立，舊文檔同步到伺服器版本之前沒有這個 map
+  departments?: Record<string, Department>;
   lastModified: number;
 }
 
+// 伺服器在 crdtSync 表中的 peerId
+const SERVER_PEER_ID = 'server';
+// 單次同步最多來回幾輪 sync message，避免異常時無限循環
+const MAX_SYNC_ROUNDS = 20;
+// 即時更新斷線重連的退避範圍
+const REALTIME_MIN_RETRY_MS = 1000;
+const REALTIME_MAX_RETRY_MS = 30000;
+// 分頁與 Service Worker 共用同一份 Dexie 資料，以 Web Lock 確保同一時間只有一方在同步
+const SYNC_LOCK_NAME = 'employee-sync';
+// 多個分頁只由持有此 Web Lock 的分頁（leader）與伺服器同步，其他分頁把同步請求轉給 leader
+const LEADER_LOCK_NAME = 'employee-sync-leader';
+// 分頁之間的同步協調頻道
+const SYNC_CHANNEL_NAME = 'employee-sync';
+// 轉給 leader 的同步請求最多等待多久（leader 關閉時由下一個 leader 接手）
+const SYNC_FORWARD_TIMEOUT_MS = 60000;
+
+// 寫在 change message 中的本地變更編號，伺服器拒絕時據此回報是哪一筆變更
+interface LocalChangeRef {
+  kind: 'employee' | 'department';
+  id: number;
+}
+
+// 伺服器拒絕的單一變更與它造成的欄位錯誤
+export interface RejectedChange {
+  hash: string;
+  localChange: LocalChangeRef | null;
+  employees: Record<string, EmployeeFieldErrors>;
+  departments: Record<string, EmployeeFieldErrors>;
+}
+
+// 伺服器回覆錯誤狀態
+export class SyncRequestError extends Error {
+  constructor(readonly status: number, message: string) {
+    super(message);
+    this.name = 'SyncRequestError';
+  }
+}
+
+// 伺服器以共用 schema 拒絕合併（HTTP 422）；employees / departments 為 { UUID: 欄位錯誤 }
+// changes 為逐筆變更的拒絕原因（舊版伺服器沒有，為 null）
+export class SyncValidationError extends SyncRequestError {
+  constructor(
+    readonly employees: Record<string, EmployeeFieldErrors>,
+    readonly departments: Record<string, EmployeeFieldErrors> = {},
+    readonly changes: RejectedChange[] | null = null,
+    message = '伺服器拒絕不符合格式的員工資料'
+  ) {
+    super(422, message);
+    this.name = 'SyncValidationError';
+  }
+}
+
+// 伺服器上的文檔版本比本機程式新（或伺服器不再接受這個版本，HTTP 426）：需要更新應用程式才能繼續同步
+export class SchemaOutdatedError extends Error {
+  constructor(readonly documentVersion: number) {
+    super(`文檔版本 ${documentVersion} 比應用程式支援的版本 ${DOCUMENT_SCHEMA_VERSION} 新，請更新應用程式`);
+    this.name = 'SchemaOutdatedError';
+  }
+}
+
+// 403 與 422 是在寫入前檢查權限與 schema 後拒絕，可以確定這次送出的變更沒有被伺服器採用
+const isRejection = (error: unknown): error is SyncRequestError =>
+  error instanceof SyncRequestError && (error.status === 403 || error.status === 422);
+
+const describeFieldErrors = (errors: Record<string, EmployeeFieldErrors>) =>
+  Object.values(errors)
+    .flatMap(fields => Object.entries(fields).map(([field, error]) => `${field}：${error?.message ?? ''}`))
+    .join('；');
+
+export type BackgroundSyncResult = Pick<BackgroundSyncMessage, 'ok' | 'syncedChanges' | 'pendingChanges' | 'authRequired' | 'locked'>;
+
+// 分頁之間的 BroadcastChannel 訊息
+// sync-request：非 leader 分頁請 leader 同步；sync-result：leader 每次同步後的結果（id 對應 sync-request，自行觸發時為 null）
+// local-change：某個分頁寫入了本地變更，其他分頁重新載入畫面
+type SyncChannelMessage =
+  | { type: 'sync-request'; id: string; fullDocument: boolean }
+  | {
+      type: 'sync-result';
+      id: string | null;
+      ok: boolean;
+      employees: Record<string, EmployeeFieldErrors>;
+      departments: Record<string, EmployeeFieldErrors>;
+      updateRequired: boolean;
+    }
+  | { type: 'local-change' };
+
+// 同步診斷：本地與伺服器 CRDT 文檔的狀態
+export interface SyncDiagnostics {
+  clientId: string;
+  isLeader: boolean | null; // 本分頁是否為負責同步的 leader（不支援分頁協調時為 null）
+  localHeads: string[];
+  schemaVersion: number; // 本地文檔的版本（應用程式支援到 DOCUMENT_SCHEMA_VERSION）
+  lastModified: number | null;
+  employeesCount: number;
+  departmentsCount: number | null; // 文檔尚未有 departments map 時為 null
+  // 文檔中舊格式（非 UUID）的 key，伺服器換成 UUID 之前不會出現在本地資料表
+  tempKeys: { key: string; EmployeeID: number; name: string }[];
+  server: {
+    heads: string[];
+    schemaVersion: number | null;
+    employeesCount: number;
+    departmentsCount: number;
+    store: string | null;
+    dbConnected: boolean;
+  } | null;
+  serverError: string | null;
+  hasServerHeads: boolean | null; // 本地文檔是否已包含伺服器的所有變更（無法連線時為 null）
+}
+
 export class SyncService {
   private document: Doc<EmployeeDocument>;
+  private serverSyncState: AutomergeSyncState = initSyncState();
+  private clientId = '';
+  private persistedAt = 0; // 最後一次讀寫 crdtSync 紀錄的 updatedAt，用來判斷是否被其他分頁或 Service Worker 更新過
+  private validationErrors: Record<string, EmployeeFieldErrors> = {}; // 最近一次同步被伺服器拒絕的欄位錯誤
+  private departmentValidationErrors: Record<string, EmployeeFieldErrors> = {};
+  private pendingServerWrites = 0; // 這次同步中，伺服器已合併但尚未寫入資料庫的變更數
+  private updateRequired = false; // 伺服器的文檔版本比本機程式新，停止送出變更直到更新
+  private updateRequiredListeners = new Set<() => void>();
+  private ready: Promise<void>;
   private apiBaseUrl = (() => {
     const raw = (import.meta.env?.VITE_API_BASE as string) || 'http://localhost:3001/api';
     if (raw.endsWith('/api')) return raw;
@@ -23,27 +172,182 @@ export class SyncService {
   })(); // 後端 API URL
 
   constructor() {
-    // 初始化 Automerge 文檔
+    // 初始化 Automerge 文檔（空文檔，employees 由伺服器同步或第一筆本地變更建立，避免兩邊各建一個 map 而衝突）
     this.document = init<EmployeeDocument>();
-    this.initializeDocument();
+    this.ready = this.restoreDocument();
     this.setupNetworkListeners();
+    // 每筆本地變更記下編輯當下的文檔版本
+    db.setBaseHeadsProvider(() => getHeads(this.document));
+    if (typeof window !== 'undefined') {
+      this.setupPageListeners();
+      this.setupTabCoordination();
+    }
+  }
+
+  // 分頁協調：以 Web Lock 選出 leader，只有 leader 與伺服器同步（含 online 事件、定期同步與即時更新），
+  // 其他分頁透過 BroadcastChannel 轉送同步請求並接收結果；不支援時每個分頁各自同步（同步本身仍以 SYNC_LOCK_NAME 互斥）
+  private channel?: BroadcastChannel;
+  private isLeader = false;
+  private forwardedSyncs = new Map<string, (ok: boolean) => void>();
+  private periodicSyncTimer?: ReturnType<typeof setInterval>;
+
+  private setupTabCoordination() {
+    if (!navigator.locks || typeof BroadcastChannel === 'undefined') return;
+    this.channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    this.channel.onmessage = (event: MessageEvent<SyncChannelMessage>) => {
+      void this.handleChannelMessage(event.data);
+    };
+    db.onLocalChange(() => this.channel?.postMessage({ type: 'local-change' } satisfies SyncChannelMessage));
+
+    // 持有到分頁關閉為止；leader 關閉後由排隊中的下一個分頁接手
+    void navigator.locks.request(LEADER_LOCK_NAME, async () => {
+      this.isLeader = true;
+      console.log('此分頁成為同步 leader');
+      await this.takeOverSync();
+      await new Promise<never>(() => {});
+    });
+  }
+
+  // 不需要協調（Service Worker、不支援 Web Locks 的瀏覽器）或本分頁是 leader 時，由本分頁同步
+  private get syncsHere(): boolean {
+    return !this.channel || this.isLeader;
+  }
+
+  // 成為 leader：接手即時更新，並補一次同步（前一個 leader 可能在同步途中關閉，轉給它的請求也由這次同步回覆）
+  private async takeOverSync(): Promise<void> {
+    this.connectRealtime();
+    const ok = navigator.onLine ? await this.syncHere(false, null) : false;
+    for (const resolve of this.forwardedSyncs.values()) {
+      resolve(ok);
+    }
+    this.forwardedSyncs.clear();
+  }
+
+  private async handleChannelMessage(message: SyncChannelMessage): Promise<void> {
+    switch (message.type) {
+      case 'sync-request':
+        if (this.isLeader) await this.syncHere(message.fullDocument, message.id);
+        break;
+      case 'sync-result': {
+        this.validationErrors = message.employees;
+        this.departmentValidationErrors = message.departments;
+        if (message.updateRequired) this.requireUpdate();
+        if (message.ok) {
+          // leader 已更新 Dexie，合併它保存的文檔後通知畫面
+          await this.mergeStoredDocument();
+          this.notifyRemoteChange();
+        }
+        const resolve = message.id ? this.forwardedSyncs.get(message.id) : undefined;
+        if (resolve && message.id) {
+          this.forwardedSyncs.delete(message.id);
+          resolve(message.ok);
+        }
+        break;
+      }
+      case 'local-change':
+        this.notifyRemoteChange();
+        break;
+    }
+  }
+
+  // 把同步請求轉給 leader，等待它回報結果
+  private forwardSync(fullDocument: boolean): Promise<boolean> {
+    const id = crypto.randomUUID();
+    return new Promise<boolean>((resolve) => {
+      const timer = setTimeout(() => {
+        this.forwardedSyncs.delete(id);
+        console.warn('同步 leader 沒有回應');
+        resolve(false);
+      }, SYNC_FORWARD_TIMEOUT_MS);
+      this.forwardedSyncs.set(id, (ok) => {
+        clearTimeout(timer);
+        resolve(ok);
+      });
+      this.channel!.postMessage({ type: 'sync-request', id, fullDocument } satisfies SyncChannelMessage);
+    });
+  }
+
+  // 目前是否有其他分頁持有 leader lock（分頁剛開啟、還在排隊時由本分頁自行同步）
+  private async hasOtherLeader(): Promise<boolean> {
+    const { held } = await navigator.locks.query();
+    return !!held?.some(lock => lock.name === LEADER_LOCK_NAME);
   }
 
-  private initializeDocument() {
-    this.document = change(this.document, (doc: EmployeeDocument) => {
-      doc.employees = {};
-      doc.lastModified = Date.now();
+  // 分頁專用：登入狀態複製到 IndexedDB 給 Service Worker，並接收背景同步結果
+  private setupPageListeners() {
+    const saveAuthSession = () => void db.saveAuthSession(authService.getToken(), authService.getUser());
+    saveAuthSession();
+    authService.onChange(saveAuthSession);
+
+    navigator.serviceWorker?.addEventListener('message', (event: MessageEvent<unknown>) => {
+      if (isBackgroundSyncMessage(event.data)) {
+        void this.handleBackgroundSyncMessage(event.data);
+      }
     });
   }
 
+  // 從 IndexedDB 還原上次的 CRDT 文檔與 sync state
+  private async restoreDocument(): Promise<void> {
+    try {
+      const record = await db.getCrdtSync(SERVER_PEER_ID);
+      if (record) {
+        this.document = load<EmployeeDocument>(record.document);
+        this.serverSyncState = record.syncState ? decodeSyncState(record.syncState) : initSyncState();
+        this.clientId = record.clientId;
+        this.persistedAt = record.updatedAt;
+      }
+    } catch (error) {
+      // Service Worker 讀不到加密的文檔，背景同步本來就會略過，不必警告
+      if (!(error instanceof LocalDataLockedError)) console.warn('還原本地 CRDT 文檔失敗，改用空文檔:', error);
+      this.document = init<EmployeeDocument>();
+      this.serverSyncState = initSyncState();
+    }
+    if (!this.clientId) {
+      this.clientId = crypto.randomUUID();
+    }
+  }
+
+  // 保存 CRDT 文檔與 sync state（兩者必須一致，所以一起寫入）
+  private async persistDocument(): Promise<void> {
+    const updatedAt = Date.now();
+    await db.saveCrdtSync({
+      peerId: SERVER_PEER_ID,
+      clientId: this.clientId,
+      document: save(this.document),
+      syncState: encodeSyncState(this.serverSyncState),
+      updatedAt,
+    });
+    this.persistedAt = updatedAt;
+  }
+
+  // 其他分頁或 Service Worker 寫入較新的文檔時合併進來（同時採用其 sync state，較舊的 sync state 只會多傳一些變更）
+  private async mergeStoredDocument(): Promise<void> {
+    const record = await db.getCrdtSync(SERVER_PEER_ID);
+    if (!record || record.updatedAt <= this.persistedAt) return;
+    this.document = merge(this.document, load<EmployeeDocument>(record.document));
+    if (record.syncState) this.serverSyncState = decodeSyncState(record.syncState);
+    this.persistedAt = record.updatedAt;
+  }
+
+  // 即時更新（SSE）
+  private eventSource?: EventSource;
+  private realtimeEnabled = false;
+  private realtimeRetryMs = REALTIME_MIN_RETRY_MS;
+  private realtimeTimer?: number;
+  private queuedRemoteHeads: string[] | null = null; // 同步進行中收到的通知，結束後再處理
+  private remoteChangeListeners = new Set<() => void>();
+
   // 設置網路狀態監聽器
   private isSyncInProgress: boolean = false; // 防止重複同步
-  private onlineSyncTimer?: number;  // 去抖定時器
+  private onlineSyncTimer?: ReturnType<typeof setTimeout>;  // 去抖定時器
   
   private setupNetworkListeners() {
-    window.addEventListener('online', () => {
+    globalThis.addEventListener('online', () => {
       console.log('Network online - starting sync');
   
+      // 只有 leader 分頁在連線恢復時同步
+      if (!this.syncsHere) return;
+
       // 防止重複同步
       if (this.isSyncInProgress) {
         console.log('同步已在進行中，跳過此次觸發');
@@ -56,13 +360,13 @@ export class SyncService {
       }
   
       // 去抖處理：延遲500ms後開始同步，避免頻繁觸發
-      this.onlineSyncTimer = window.setTimeout(() => {
-        this.syncWithServer();
+      this.onlineSyncTimer = setTimeout(() => {
+        void this.syncWithServer();
       }, 500); // 去抖延遲時間，可以根據需要調整
   
     });
   
-    window.addEventListener('offline', () => {
+    globalThis.addEventListener('offline', () => {
       console.log('Network offline');
       void db.updateSyncState({ isOnline: false });
     });
@@ -72,70 +376,104 @@ export class SyncService {
   
 
   // 將本地變更應用到 CRDT 文檔
-  async applyLocalChanges(): Promise<number[]> {
-    const unsyncedChanges = await db.getUnsyncedChanges();
+  async applyLocalChanges(unsyncedChanges: EmployeeChange[]): Promise<number[]> {
     console.log('應用本地變更:', unsyncedChanges.length, '個變更');
     if (unsyncedChanges.length === 0) return [];
   
     const processedChangeIds: number[] = [];
+    // 這批本地變更產生的 heads：後面的變更要接在前面之後，避免和自己的修改衝突
+    let localHeads: string[] = [];
   
     for (const ch of unsyncedChanges) {
       console.log('處理變更:', ch.operation, ch.employee);
   
-      this.document = change(this.document, (doc: EmployeeDocument) => {
+      const applyChange = (doc: EmployeeDocument) => {
+        if (!doc.employees) doc.employees = {};
+        const key = this.resolveEmployeeKey(doc, ch.employee);
+        const existing = doc.employees[key] as unknown as Record<string, unknown> | undefined;
         switch (ch.operation) {
           case 'create': {
-            // 新增：CRDT 內用 new- key；EmployeeID 先設 0 代表待分配
-            const { EmployeeID: _unusedEmployeeId, ...rest } = ch.employee;
-            void _unusedEmployeeId;
-            const newEmployee = { ...rest, EmployeeID: 0 };
-            const createKey = `new-${ch.employee.FirstName}-${ch.employee.LastName}-${ch.timestamp}`;
-            doc.employees[createKey] = newEmployee;
-            console.log('已添加新員工到 CRDT:', createKey);
+            // 新增：直接以客戶端產生的 UUID 為 key，EmployeeID 由伺服器寫入資料庫後回填
+            // 文檔中已有這位員工（伺服器已合併、但回覆途中斷線而重送）時逐欄寫入，
+            // 不整個替換 map，以免蓋掉其他客戶端的並行欄位修改與伺服器回填的 EmployeeID
+            if (existing) {
+              for (const field of EMPLOYEE_FIELDS) {
+                if (existing[field] !== ch.employee[field]) existing[field] = ch.employee[field];
+              }
+            } else {
+              doc.employees[key] = { ...ch.employee, EmployeeUUID: key, EmployeeID: 0 };
+            }
+            console.log('已添加新員工到 CRDT:', key);
             break;
           }
           case 'update': {
-            const idNum = Number(ch.employee.EmployeeID);
-            if (!Number.isInteger(idNum) || idNum <= 0) {
-              // ID 不合法時，改用 create 流（避免後端誤判 INSERT，造成重複）
-              const { EmployeeID: _unused, ...rest } = ch.employee;
-              void _unused;
-              const newEmployee = { ...rest, EmployeeID: 0 };
-              const createKey = `new-${rest.FirstName ?? ''}-${rest.LastName ?? ''}-${ch.timestamp}`;
-              doc.employees[createKey] = newEmployee;
-              console.log('update 轉 create（ID 非法）:', createKey);
+            if (!existing) {
+              doc.employees[key] = { ...ch.employee, EmployeeUUID: key };
+            } else if (ch.changedFields) {
+              // 逐欄寫入，只動使用者實際修改的欄位；不同欄位的並行修改因此能各自保留
+              for (const field of ch.changedFields) {
+                existing[field] = ch.employee[field];
+              }
             } else {
-              const key = String(idNum);
-              doc.employees[key] = ch.employee;
-              console.log('已更新員工到 CRDT:', key);
+              for (const field of EMPLOYEE_FIELDS) {
+                if (existing[field] !== ch.employee[field]) existing[field] = ch.employee[field];
+              }
             }
+            console.log('已更新員工到 CRDT:', key, ch.changedFields ?? '（全部欄位）');
             break;
           }
           case 'delete': {
-            const key = String(ch.employee.EmployeeID); // 一律字串 key
-            const existed = doc.employees[key] as unknown as Partial<Employee> | undefined;
-            // 無論 existed 與否，都產生刪除意圖，確保後端會做硬刪
-            const deleted: Employee = {
-              EmployeeID: Number(existed?.EmployeeID ?? ch.employee.EmployeeID),
-              FirstName: String(existed?.FirstName ?? ch.employee.FirstName ?? ''),
-              LastName: String(existed?.LastName ?? ch.employee.LastName ?? ''),
-              Department: String(existed?.Department ?? ch.employee.Department ?? ''),
-              Position: String(existed?.Position ?? ch.employee.Position ?? ''),
-              HireDate: String(existed?.HireDate ?? ch.employee.HireDate ?? ''),
-              BirthDate: String(existed?.BirthDate ?? ch.employee.BirthDate ?? ''),
-              Gender: String(existed?.Gender ?? ch.employee.Gender ?? ''),
-              Email: String(existed?.Email ?? ch.employee.Email ?? ''),
-              PhoneNumber: String(existed?.PhoneNumber ?? ch.employee.PhoneNumber ?? ''),
-              Address: String(existed?.Address ?? ch.employee.Address ?? ''),
-              Status: 'Deleted',
-            };
-            doc.employees[key] = deleted;
-            console.log('已寫入刪除意圖（Deleted）以同步到後端:', key);
+            // 移到回收桶：只寫入刪除標記，其他欄位維持原值（升級前記錄的變更沒有 DeletedAt，以變更時間補上）
+            const deletedAt = ch.employee.DeletedAt || new Date(ch.timestamp).toISOString();
+            const deletedBy = ch.employee.DeletedBy ?? '';
+            if (existing) {
+              existing.DeletedAt = deletedAt;
+              existing.DeletedBy = deletedBy;
+              // 合併重複員工：被合併的一方指向保留的員工
+              if (ch.employee.MergedInto) existing.MergedInto = ch.employee.MergedInto;
+            } else {
+              doc.employees[key] = { ...ch.employee, EmployeeUUID: key, DeletedAt: deletedAt, DeletedBy: deletedBy };
+            }
+            console.log('已移到回收桶:', key);
+            break;
+          }
+          case 'restore': {
+            // 從回收桶還原：移除刪除標記
+            if (existing) {
+              delete existing.DeletedAt;
+              delete existing.DeletedBy;
+              delete existing.MergedInto;
+              if (existing.Status === 'Deleted') existing.Status = 'Active';
+            } else {
+              doc.employees[key] = { ...ch.employee, EmployeeUUID: key };
+            }
+            console.log('已從回收桶還原:', key);
             break;
           }
         }
         doc.lastModified = ch.timestamp;
-      });
+      };
+
+      // 套用在編輯當下的版本上，讓離線期間他人的修改成為「並行」修改，才能偵測到衝突
+      const options = {
+        message: this.changeMessage({ localChange: this.localChangeRef('employee', ch.id), restoredFrom: ch.restoredFrom }),
+      };
+      let applied = false;
+      if (ch.baseHeads?.length) {
+        try {
+          const scope = [...new Set([...ch.baseHeads, ...localHeads])];
+          const { newDoc, newHeads } = changeAt(this.document, scope, options, applyChange);
+          this.document = newDoc;
+          if (newHeads) localHeads = newHeads;
+          applied = true;
+        } catch (error) {
+          console.warn('無法套用在編輯當下的版本，改為套用在最新版本:', error);
+        }
+      }
+      if (!applied) {
+        this.document = change(this.document, options, applyChange);
+        localHeads = getHeads(this.document);
+      }
   
       if (ch.id !== undefined) processedChangeIds.push(ch.id);
     }
@@ -143,57 +481,231 @@ export class SyncService {
     // ⚠️ 重點：不要在這裡標記 synced，等 push 成功後再標
     return processedChangeIds;
   }
+
+  // 將本地部門變更應用到 CRDT 文檔
+  // departments map 由伺服器建立：本地文檔還沒有時保留在佇列，等同步到伺服器的 map 再套用，避免兩邊各建一個而互相覆蓋
+  async applyDepartmentChanges(unsyncedChanges: DepartmentChange[]): Promise<number[]> {
+    if (unsyncedChanges.length === 0) return [];
+    if (!this.document.departments) {
+      console.log('文檔尚未有部門資料，部門變更留待下次同步');
+      return [];
+    }
+
+    const processedChangeIds: number[] = [];
+    for (const ch of unsyncedChanges) {
+      const message = this.changeMessage({ localChange: this.localChangeRef('department', ch.id) });
+      this.document = change(this.document, { message }, (doc) => {
+        const departments = doc.departments!;
+        const key = ch.department.DepartmentUUID;
+        const existing = departments[key] as unknown as Record<string, unknown> | undefined;
+        if (ch.operation === 'delete') {
+          delete departments[key];
+        } else if (!existing) {
+          departments[key] = { ...ch.department };
+        } else {
+          // 逐欄寫入，不同欄位的並行修改各自保留
+          for (const field of ch.changedFields ?? DEPARTMENT_FIELDS) {
+            if (existing[field] !== ch.department[field]) existing[field] = ch.department[field];
+          }
+        }
+        doc.lastModified = ch.timestamp;
+      });
+      if (ch.id !== undefined) processedChangeIds.push(ch.id);
+    }
+    console.log('已套用部門變更:', processedChangeIds.length, '個');
+    return processedChangeIds;
+  }
+
+  // 寫入 change message 的來源與使用者，供變更歷史顯示（伺服器另以稽核紀錄記錄驗證過的身分）
+  private changeMessage(meta: { localChange?: LocalChangeRef; restoredFrom?: string } = {}): string {
+    const user = authService.getUser();
+    return JSON.stringify({
+      source: 'client',
+      user: user ? { id: user.id, name: user.name, role: user.role } : undefined,
+      restoredFrom: meta.restoredFrom,
+      localChange: meta.localChange,
+    });
+  }
+
+  private localChangeRef(kind: LocalChangeRef['kind'], id: number | undefined): LocalChangeRef | undefined {
+    return id === undefined ? undefined : { kind, id };
+  }
+
+  // 員工變更歷史：線上向伺服器查詢（含稽核紀錄），離線或失敗時由本地 CRDT 文檔產生
+  async getEmployeeHistory(employeeUUID: string): Promise<EmployeeHistoryEntry[]> {
+    if (navigator.onLine) {
+      try {
+        const response = await this.authorizedFetch(`/employees/${encodeURIComponent(employeeUUID)}/history`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const json = (await response.json()) as { entries?: EmployeeHistoryEntry[] };
+        return json.entries ?? [];
+      } catch (error) {
+        if (error instanceof AuthRequiredError) throw error;
+        console.warn('無法取得伺服器變更歷史，改用本地文檔:', error);
+      }
+    }
+    await this.ready;
+    return this.buildLocalHistory(employeeUUID);
+  }
+
+  // 與後端 services/history.js 相同：逐一比對每個變更前後的員工資料
+  private buildLocalHistory(employeeUUID: string): EmployeeHistoryEntry[] {
+    const doc = this.document;
+    const entries: EmployeeHistoryEntry[] = [];
+    for (const state of getHistory(doc)) {
+      const ch: DecodedChange = state.change;
+      const touched = new Set<string>();
+      let affected = false;
+      for (const patch of diff(doc, ch.deps, [ch.hash])) {
+        if (patch.path[0] !== 'employees' || patch.path[1] !== employeeUUID) continue;
+        affected = true;
+        if (patch.path[2] !== undefined) touched.add(String(patch.path[2]));
+      }
+      if (!affected) continue;
+
+      const toPlain = (e: Employee | undefined) => (e ? JSON.parse(JSON.stringify(e)) as Partial<Employee> : null);
+      const previous = toPlain(view(doc, ch.deps).employees?.[employeeUUID]);
+      const next = toPlain(view(doc, [ch.hash]).employees?.[employeeUUID]);
+      const fields = (previous && next ? [...touched] : Object.keys({ ...previous, ...next })) as (keyof Employee)[];
+      const changes = fields
+        .filter(field => EMPLOYEE_FIELDS.includes(field))
+        .map(field => ({ field, from: previous?.[field] ?? null, to: next?.[field] ?? null }))
+        .filter(c => c.from !== c.to);
+
+      let operation: EmployeeHistoryEntry['operation'] = 'update';
+      if (!previous) operation = 'create';
+      else if (!next || (isDeletedEmployee(next) && !isDeletedEmployee(previous))) operation = 'delete';
+      else if (isDeletedEmployee(previous) && !isDeletedEmployee(next)) operation = 'restore';
+      if (isDeletedEmployee(previous) && (!next || isDeletedEmployee(next))) continue;
+      if (operation === 'update' && changes.length === 0) continue;
+
+      let meta: { source?: string; user?: EmployeeHistoryEntry['user']; restoredFrom?: string } = {};
+      try {
+        meta = JSON.parse(ch.message ?? '{}') as typeof meta;
+      } catch {
+        // 舊變更沒有 JSON message
+      }
+      entries.push({
+        hash: ch.hash,
+        actor: ch.actor,
+        timestamp: ch.time ? ch.time * 1000 : null,
+        source: meta.source ?? 'sync',
+        user: meta.user ?? null,
+        verified: false,
+        restoredFrom: meta.restoredFrom ?? null,
+        operation: meta.restoredFrom ? 'restore' : operation,
+        changes,
+        snapshot: next,
+      });
+    }
+    return entries.reverse();
+  }
   
   
 
   // 與伺服器同步
-  async syncWithServer(): Promise<boolean> {
+  // fullDocument：Service Worker 與分頁共用 clientId，背景同步改用完整文檔路由，避免打亂伺服器端該 clientId 的 sync state
+  async syncWithServer(options: { fullDocument?: boolean } = {}): Promise<boolean> {
     if (!navigator.onLine) {
       console.log('Offline - skipping sync');
       return false;
     }
-  
+    // 本機資料鎖定時讀不到變更與文檔，解鎖後再同步
+    if (await db.isLocked()) {
+      console.log('本機資料已鎖定 - skipping sync');
+      return false;
+    }
+    const fullDocument = options.fullDocument ?? false;
+    if (!this.syncsHere && await this.hasOtherLeader()) {
+      return await this.forwardSync(fullDocument);
+    }
+    return await this.syncHere(fullDocument, null);
+  }
+
+  // 在本分頁同步，結果廣播給其他分頁（requestId 為轉送來的請求）
+  private async syncHere(fullDocument: boolean, requestId: string | null): Promise<boolean> {
+    this.isSyncInProgress = true;
+    let ok = false;
+    try {
+      ok = await this.withSyncLock(() => this.syncLocked(fullDocument));
+      return ok;
+    } finally {
+      this.isSyncInProgress = false;
+      this.channel?.postMessage({
+        type: 'sync-result',
+        id: requestId,
+        ok,
+        employees: this.validationErrors,
+        departments: this.departmentValidationErrors,
+        updateRequired: this.updateRequired,
+      } satisfies SyncChannelMessage);
+      if (this.queuedRemoteHeads) {
+        const heads = this.queuedRemoteHeads;
+        this.queuedRemoteHeads = null;
+        setTimeout(() => void this.handleRemoteHeads(heads), 0);
+      }
+    }
+  }
+
+  private async withSyncLock<T>(task: () => Promise<T>): Promise<T> {
+    if (!navigator.locks) return await task();
+    return await navigator.locks.request(SYNC_LOCK_NAME, task);
+  }
+
+  // retry：被伺服器拒絕部分變更時，其餘變更立即再送一次（只重試一次）
+  private async syncLocked(fullDocument: boolean, retry = true): Promise<boolean> {
+    const startedAt = Date.now();
+    let mode: SyncAttempt['mode'] = fullDocument ? 'document' : 'incremental';
+    let pendingChanges = 0;
+    let pending: EmployeeChange[] = [];
+    let pendingDepartments: DepartmentChange[] = [];
+    let processedChangeIds: number[] = [];
+    let processedDepartmentChangeIds: number[] = [];
+    let documentBeforeLocal = null as Doc<EmployeeDocument> | null;
+    this.pendingServerWrites = 0;
     try {
       await db.updateSyncState({ isSyncing: true });
   
-      // 1) 讀未同步變更
-      const pending = await db.getUnsyncedChanges();
-      console.log('找到未同步變更:', pending.length, '個');
+      // 1) 讀可以送出的未同步變更（退避中與 dead letter 的變更留在佇列）
+      pending = await db.getSendableChanges();
+      pendingDepartments = await db.getSendableDepartmentChanges();
+      pendingChanges = pending.length + pendingDepartments.length;
+      console.log('找到未同步變更:', pending.length, '個，部門:', pendingDepartments.length, '個');
       // 移除過早返回：即使沒有本地待同步變更，也要抓伺服器 CRDT 並更新本地
   
-      // 1.5) 抵銷「對同一暫時 ID 的 create 與 delete」
-      // 規則：EmployeeID < 0 視為暫時 ID，若有 delete(暫時ID) → 移除該暫時ID的 create/delete 兩筆變更
-      const tempIdsToDrop = new Set<number>();
-      for (const ch of pending) {
-        if (ch.operation === 'delete' && typeof ch.employee?.EmployeeID === 'number' && ch.employee.EmployeeID < 0) {
-          tempIdsToDrop.add(ch.employee.EmployeeID);
+      await this.ready;
+      await this.mergeStoredDocument();
+      // 3) 套用本地員工與部門變更到 CRDT（拿到這批處理的 changeIds）；先記下套用前的文檔，送出或標記失敗時退回
+      const applyPending = async () => {
+        // 本機程式看不懂較新版本的文檔，不送出變更也不覆寫本地資料表
+        if (isNewerDocument(this.document)) {
+          throw new SchemaOutdatedError(documentSchemaVersion(this.document));
         }
-      }
-      if (tempIdsToDrop.size > 0) {
-        const toRemoveIds: number[] = [];
-        for (const ch of pending) {
-          if (typeof ch.employee?.EmployeeID === 'number' && tempIdsToDrop.has(ch.employee.EmployeeID)) {
-            if (ch.id != null) toRemoveIds.push(ch.id);
-          }
+        // change/changeAt 會讓原本的文檔物件失效，要退回必須先複製（沿用同一個 actor）
+        documentBeforeLocal = clone(this.document, getActorId(this.document));
+        processedChangeIds = await this.applyLocalChanges(pending);
+        processedDepartmentChangeIds = await this.applyDepartmentChanges(pendingDepartments);
+        return processedChangeIds.length + processedDepartmentChangeIds.length > 0;
+      };
+
+      // 2) 先以 sync message 拉取伺服器的增量（只傳雙方缺少的變更）
+      if (!fullDocument && await this.exchangeSyncMessages()) {
+        // 4) 若有本地變更，再交換一次 sync message 推送到 server
+        if (await applyPending()) {
+          await this.exchangeSyncMessages();
         }
-        if (toRemoveIds.length) {
-          await db.changes.where('id').anyOf(toRemoveIds).delete();
-          console.log('已抵銷暫時ID的 create/delete 變更筆數：', toRemoveIds.length);
+      } else {
+        // 背景同步或舊版伺服器沒有 /sync/messages：退回完整文檔的拉取/合併/推送
+        mode = 'document';
+        // 先合併伺服器文檔，部門變更才能寫進伺服器建立的 departments map
+        const serverDocument = await this.fetchServerDocument();
+        if (serverDocument) {
+          this.document = merge(this.document, serverDocument);
+        }
+
+        if (await applyPending()) {
+          await this.pushDocumentToServer();
         }
-      }
-  
-      // 2) 套用本地變更到 CRDT（拿到這批處理的 changeIds）
-      const processedChangeIds = pending.length > 0 ? await this.applyLocalChanges() : [];
-  
-      // 3) 拉 server 文檔並合併
-      const serverDocument = await this.fetchServerDocument();
-      if (serverDocument) {
-        this.document = merge(this.document, serverDocument);
-      }
-  
-      // 4) 若有本地變更才推送合併後的結果到 server（避免無意義上傳）
-      if (processedChangeIds.length > 0) {
-        await this.pushDocumentToServer();
       }
   
       // 5) 推送成功 → 標記這批變更為 synced
@@ -201,28 +713,266 @@ export class SyncService {
         await db.markChangesSynced(processedChangeIds);
         console.log('已標記變更為已同步:', processedChangeIds.length, '個');
       }
+      if (processedDepartmentChangeIds.length) {
+        await db.markDepartmentChangesSynced(processedDepartmentChangeIds);
+      }
+      // 變更已送出並標記為已同步，之後的步驟失敗也不必退回
+      documentBeforeLocal = null;
   
-      // 6) 依 CRDT 覆寫本地資料庫（略過 Deleted/暫時 key/暫時 ID）
+      // 6) 依 CRDT 覆寫本地資料庫（已刪除的放進回收桶，略過舊格式 key），並記錄欄位衝突
       await this.updateLocalDatabase();
+      await this.detectConflicts();
+      await this.persistDocument();
   
-      // 7) 清理 CRDT 臨時 key
-      this.cleanCRDTDocument();
-  
+      this.validationErrors = {};
+      this.departmentValidationErrors = {};
       await db.updateSyncState({ isSyncing: false, lastSyncTimestamp: Date.now() });
+      await this.recordAttempt({
+        startedAt, mode, pendingChanges, ok: true,
+        durationMs: Date.now() - startedAt,
+        syncedChanges: processedChangeIds.length + processedDepartmentChangeIds.length,
+        pendingWrites: this.pendingServerWrites,
+      });
       console.log('Sync completed successfully');
       return true;
     } catch (error) {
-      console.error('Sync failed:', error);
+      if (error instanceof AuthRequiredError) {
+        console.warn('需要重新登入，本地變更保留待同步');
+      } else if (error instanceof SchemaOutdatedError) {
+        console.warn('需要更新應用程式，本地變更保留待同步:', error.message);
+        this.requireUpdate();
+      } else if (error instanceof SyncValidationError) {
+        // 被拒絕的變更保留在佇列並延後重送，修正資料後再同步時一併送出
+        this.validationErrors = error.employees;
+        this.departmentValidationErrors = error.departments;
+        console.warn('伺服器拒絕不符合 schema 的資料:', error.employees, error.departments);
+      } else {
+        console.error('Sync failed:', error);
+      }
+
+      // 套用後任何失敗（拒絕、連線中斷、伺服器錯誤）都退回套用前的文檔：變更仍未標記同步，下次會重新套用，
+      // 留在文檔中會被套用兩次。伺服器其實已合併的部分（回覆途中斷線）在重新協商 sync state 後會再傳回來
+      if (documentBeforeLocal) {
+        this.document = documentBeforeLocal;
+        this.serverSyncState = initSyncState();
+      }
+      const retryRest = error instanceof AuthRequiredError || error instanceof SchemaOutdatedError ? false : await this.recordChangeFailures(
+        error,
+        pending.filter(ch => ch.id !== undefined && processedChangeIds.includes(ch.id)),
+        pendingDepartments.filter(ch => ch.id !== undefined && processedDepartmentChangeIds.includes(ch.id))
+      );
+
       await db.updateSyncState({ isSyncing: false });
+      await this.recordAttempt({
+        startedAt, mode, pendingChanges, ok: false,
+        durationMs: Date.now() - startedAt,
+        syncedChanges: 0,
+        error: this.describeSyncError(error),
+      });
+
+      if (retry && retryRest) {
+        // 其他變更不必等被拒絕的變更修正；保留這次的欄位錯誤給畫面顯示
+        await this.syncLocked(fullDocument, false);
+        if (error instanceof SyncValidationError) {
+          this.validationErrors = error.employees;
+          this.departmentValidationErrors = error.departments;
+        }
+      }
       return false;
     }
   }
+
+  // 記錄這批送出失敗的變更：422 只算伺服器指出的變更（舊版伺服器依員工與部門比對），403 整批被拒絕，
+  // 其他錯誤（連線中斷、伺服器錯誤）整批延後重送但不會進入 dead letter
+  // 回傳是否還有沒被拒絕的變更可以立即重送
+  private async recordChangeFailures(
+    error: unknown,
+    employeeChanges: EmployeeChange[],
+    departmentChanges: DepartmentChange[]
+  ): Promise<boolean> {
+    if (employeeChanges.length + departmentChanges.length === 0) return false;
+    const message = this.describeSyncError(error);
+    const all = <T extends { id?: number }>(changes: T[]) => changes.map(ch => ({ id: ch.id!, error: message }));
+
+    if (!isRejection(error)) {
+      await db.recordChangeFailures('employee', all(employeeChanges), false);
+      await db.recordChangeFailures('department', all(departmentChanges), false);
+      return false;
+    }
+
+    let employees = all(employeeChanges);
+    let departments = all(departmentChanges);
+    if (error instanceof SyncValidationError) {
+      const errorsOf = (kind: LocalChangeRef['kind'], id: number | undefined, key: string) => {
+        if (error.changes) {
+          const rejected = error.changes.find(ch => ch.localChange?.kind === kind && ch.localChange.id === id);
+          return rejected ? { ...rejected.employees, ...rejected.departments } : null;
+        }
+        const errors = kind === 'employee' ? error.employees[key] : error.departments[key];
+        return errors ? { [key]: errors } : null;
+      };
+      const rejectedOf = <T extends { id?: number }>(changes: T[], kind: LocalChangeRef['kind'], keyOf: (ch: T) => string) =>
+        changes.flatMap(ch => {
+          const errors = errorsOf(kind, ch.id, keyOf(ch));
+          return errors ? [{ id: ch.id!, error: describeFieldErrors(errors) }] : [];
+        });
+      const rejectedEmployees = rejectedOf(employeeChanges, 'employee', ch => ch.employee.EmployeeUUID);
+      const rejectedDepartments = rejectedOf(departmentChanges, 'department', ch => ch.department.DepartmentUUID);
+      // 對不上任何變更時（例如錯誤來自伺服器端的換鍵）整批視為被拒絕，避免同一批變更一再重送
+      if (rejectedEmployees.length + rejectedDepartments.length > 0) {
+        employees = rejectedEmployees;
+        departments = rejectedDepartments;
+      }
+    }
+
+    await db.recordChangeFailures('employee', employees, true);
+    await db.recordChangeFailures('department', departments, true);
+    console.warn('被伺服器拒絕的變更:', employees.length + departments.length, '個，延後重送');
+    return employees.length + departments.length < employeeChanges.length + departmentChanges.length;
+  }
+
+  // 記錄同步結果；寫入失敗不影響同步本身
+  private async recordAttempt(attempt: SyncAttempt): Promise<void> {
+    try {
+      await db.recordSyncAttempt(attempt);
+    } catch (error) {
+      console.warn('無法記錄同步結果:', error);
+    }
+  }
+
+  private describeSyncError(error: unknown): string {
+    if (error instanceof AuthRequiredError) return '需要重新登入';
+    if (error instanceof SyncValidationError) {
+      const keys = [...Object.keys(error.employees), ...Object.keys(error.departments)];
+      return `${error.message}：${keys.join(', ')}`;
+    }
+    return error instanceof Error ? error.message : String(error);
+  }
+
+  // Service Worker 的 Background Sync / Periodic Sync 呼叫：送出 changes 表中的變更並回報結果
+  // 本機資料加密時 Service Worker 拿不到資料金鑰，只回報待同步筆數，留給分頁解鎖後同步
+  async syncInBackground(): Promise<BackgroundSyncResult> {
+    if (await db.isLocked()) {
+      const pendingChanges = await db.countUnsyncedChanges();
+      return { ok: false, syncedChanges: 0, pendingChanges, authRequired: false, locked: true };
+    }
+    await this.ready;
+    const before = await db.countUnsyncedChanges();
+    const ok = await this.syncWithServer({ fullDocument: true });
+    const pendingChanges = await db.countUnsyncedChanges();
+    return {
+      ok,
+      syncedChanges: Math.max(before - pendingChanges, 0),
+      pendingChanges,
+      authRequired: !ok && !authService.getToken(),
+      locked: false,
+    };
+  }
+
+  // 分頁收到 Service Worker 的同步結果：合併它寫入的文檔並通知畫面
+  private async handleBackgroundSyncMessage(message: BackgroundSyncMessage): Promise<void> {
+    console.log('背景同步結果:', message);
+    if (message.authRequired) {
+      authService.handleUnauthorized();
+      return;
+    }
+    if (!message.ok) return;
+    await this.mergeStoredDocument();
+    this.notifyRemoteChange();
+  }
   
 
+  // 與伺服器交換 sync message 直到雙方都沒有要傳送的內容
+  // 回傳 false 代表伺服器不支援增量同步（舊版），由呼叫端改用完整文檔
+  // 中途失敗時伺服器可能已合併部分變更：syncLocked 退回本地套用前的文檔並重置 sync state，
+  // 重新套用的變更必須可以重複執行（見 applyLocalChanges 的 create）
+  private async exchangeSyncMessages(): Promise<boolean> {
+    for (let round = 0; round < MAX_SYNC_ROUNDS; round++) {
+      const [nextState, message] = generateSyncMessage(this.document, this.serverSyncState);
+      this.serverSyncState = nextState;
+
+      const response = await this.authorizedFetch('/sync/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Client-Id': this.clientId,
+        },
+        body: message ? this.toBlob(message) : new Blob([], { type: 'application/octet-stream' }),
+      });
+
+      if (response.status === 404) {
+        return false;
+      }
+      if (!response.ok) {
+        // 伺服器端狀態已重置，本地也重新協商
+        this.serverSyncState = initSyncState();
+        await this.throwRequestError(response, 'Failed to exchange sync message');
+      }
+
+      this.pendingServerWrites += Number(response.headers.get('X-Pending-Changes')) || 0;
+      const reply = new Uint8Array(await response.arrayBuffer());
+      if (reply.byteLength > 0) {
+        [this.document, this.serverSyncState] = receiveSyncMessage(this.document, this.serverSyncState, reply);
+      } else if (!message) {
+        // 雙方都沒有要傳送的內容：同步完成
+        break;
+      }
+    }
+
+    await this.persistDocument();
+    return true;
+  }
+
+  // 附加登入 token 的 fetch；401 時請使用者重新登入並中止此次同步（本地變更仍保留在佇列）
+  private async authorizedFetch(path: string, init: RequestInit = {}): Promise<Response> {
+    const response = await fetch(`${this.apiBaseUrl}${path}`, {
+      ...init,
+      headers: {
+        ...(init.headers as Record<string, string> | undefined),
+        ...authService.authHeaders(),
+        // 伺服器據此拒絕太舊的客戶端
+        'X-Schema-Version': String(DOCUMENT_SCHEMA_VERSION),
+        // 伺服器日誌以此追蹤這次請求（錯誤訊息中的 request 即此值）
+        'X-Request-Id': crypto.randomUUID(),
+      },
+    });
+    if (response.status === 401) {
+      authService.handleUnauthorized();
+      throw new AuthRequiredError();
+    }
+    return response;
+  }
+
+  // 伺服器回覆錯誤：422 帶各員工與部門的欄位錯誤及被拒絕的變更，其他狀態以 { error } 說明原因
+  private async throwRequestError(response: Response, action: string): Promise<never> {
+    const body = (await response.json().catch(() => null)) as {
+      error?: string;
+      employees?: Record<string, EmployeeFieldErrors>;
+      departments?: Record<string, EmployeeFieldErrors>;
+      changes?: RejectedChange[];
+      schemaVersion?: number;
+    } | null;
+    if (response.status === 426) {
+      throw new SchemaOutdatedError(Number(body?.schemaVersion) || DOCUMENT_SCHEMA_VERSION + 1);
+    }
+    if (response.status === 422) {
+      throw new SyncValidationError(
+        body?.employees ?? {},
+        body?.departments ?? {},
+        Array.isArray(body?.changes) ? body.changes : null
+      );
+    }
+    const reason = typeof body?.error === 'string' ? `：${body.error}` : '';
+    // 附上 request ID，同步診斷頁面的錯誤可以對照伺服器日誌
+    const requestId = response.headers.get('X-Request-Id');
+    const trace = requestId ? ` (request ${requestId})` : '';
+    throw new SyncRequestError(response.status, `${action}: HTTP ${response.status}${reason}${trace}`);
+  }
+
   // 從伺服器獲取文檔
   private async fetchServerDocument(): Promise<Doc<EmployeeDocument> | null> {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/sync/document`);
+      const response = await this.authorizedFetch('/sync/document');
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}`);
       }
@@ -230,15 +980,14 @@ export class SyncService {
       const data = await response.arrayBuffer();
       return load(new Uint8Array(data));
     } catch (error) {
+      if (error instanceof AuthRequiredError) throw error;
       console.warn('Failed to fetch server document:', error);
       return null;
     }
   }
 
-  // 將文檔推送到伺服器
-  private async pushDocumentToServer(): Promise<void> {
-    const documentBytes = save(this.document);
-    
+  // 將 Automerge 位元組包成可送出的 Blob
+  private toBlob(documentBytes: Uint8Array): Blob {
     // 安全地處理 ArrayBufferLike 類型，確保轉換為 ArrayBuffer
     let arrayBuffer: ArrayBuffer;
     
@@ -247,6 +996,10 @@ export class SyncService {
       // 將 SharedArrayBuffer 轉換為 ArrayBuffer
       arrayBuffer = new ArrayBuffer(documentBytes.buffer.byteLength);
       new Uint8Array(arrayBuffer).set(new Uint8Array(documentBytes.buffer));
+    } else if (documentBytes.byteOffset !== 0 || documentBytes.byteLength !== documentBytes.buffer.byteLength) {
+      // 只是大 buffer 中的一段（例如 sync message），複製出實際範圍
+      arrayBuffer = new ArrayBuffer(documentBytes.byteLength);
+      new Uint8Array(arrayBuffer).set(documentBytes);
     } else {
       // 直接使用 ArrayBuffer 或創建新的 ArrayBuffer
       try {
@@ -258,9 +1011,14 @@ export class SyncService {
       }
     }
     
-    const body = new Blob([arrayBuffer], { type: 'application/octet-stream' });
+    return new Blob([arrayBuffer], { type: 'application/octet-stream' });
+  }
 
-    const response = await fetch(`${this.apiBaseUrl}/sync/document`, {
+  // 將文檔推送到伺服器
+  private async pushDocumentToServer(): Promise<void> {
+    const body = this.toBlob(save(this.document));
+
+    const response = await this.authorizedFetch('/sync/document', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/octet-stream',
@@ -269,73 +1027,126 @@ export class SyncService {
     });
 
     if (!response.ok) {
-      throw new Error(`Failed to push document: HTTP ${response.status}`);
+      await this.throwRequestError(response, 'Failed to push document');
     }
+    const result = (await response.json().catch(() => null)) as { database?: { pending?: string[] } } | null;
+    this.pendingServerWrites += result?.database?.pending?.length ?? 0;
   }
 
   // 更新本地資料庫
   private async updateLocalDatabase(): Promise<void> {
     console.log('開始更新本地資料庫...');
     
-    // 從 CRDT 文檔中獲取員工資料，過濾掉臨時 ID 和臨時 key
-    const documentEmployees = this.document.employees;
+    // 從 CRDT 文檔中獲取員工資料；舊格式 key（數字 ID、new-/temp-）由伺服器換成 UUID 後才會出現
+    const document = this.readDocument();
+    const documentEmployees = document.employees ?? {};
     const validEmployees: Employee[] = [];
+    const deletedEmployees: Employee[] = [];
     
     for (const [key, employee] of Object.entries(documentEmployees)) {
-      // 跳過臨時 key
-      if (key.startsWith('new-') || key.startsWith('temp-')) {
-        continue;
-      }
-      // 跳過暫時 ID
-      if (employee.EmployeeID <= 0) {
+      if (!isEmployeeUuid(key)) {
         continue;
       }
-      // 跳過已標記刪除
-      if ((employee as Partial<Employee>).Status === 'Deleted') {
-        console.log('跳過已刪除員工:', employee.EmployeeID);
+      const plain = { ...employee, EmployeeUUID: key, EmployeeID: Number(employee.EmployeeID) || 0 };
+      // 已刪除的員工放進回收桶
+      if (isDeletedEmployee(plain)) {
+        deletedEmployees.push(plain);
         continue;
       }
-      validEmployees.push(employee);
+      validEmployees.push(plain);
     }
       
     
-    console.log('有效的員工記錄數量:', validEmployees.length);
+    console.log('有效的員工記錄數量:', validEmployees.length, '回收桶:', deletedEmployees.length);
     
-    // 清空現有的員工表
-    await db.employees.clear();
-    
-    // 插入有效的員工記錄
-    for (const employee of validEmployees) {
-      await db.employees.put(employee);
+    // 以有效的員工記錄取代現有的員工表與回收桶
+    await db.replaceLocalEmployees(validEmployees, deletedEmployees);
+
+    // 部門主檔：文檔還沒有 departments map 時保留本地資料（尚未送出的部門變更仍在佇列）
+    if (this.document.departments && document.departments) {
+      const departments = Object.entries(document.departments)
+        .map(([key, department]) => ({ ...department, DepartmentUUID: key }));
+      await db.departments.clear();
+      await db.departments.bulkPut(departments);
     }
     
     console.log('本地資料庫更新完成');
   }
 
-  // 清理 CRDT 文檔中的臨時記錄（就地刪除，避免引用外部物件）
-  private cleanCRDTDocument(): void {
-    const currentKeys = Object.keys(this.document.employees);
-    const keysToDelete: string[] = [];
+  // 讀取用的文檔內容：較舊版本的文檔先在複本上套用升級步驟，伺服器升級並同步回來之前本機也以新格式讀取
+  private readDocument(): EmployeeDocument {
+    if (documentSchemaVersion(this.document) >= DOCUMENT_SCHEMA_VERSION) return this.document;
+    const copy = JSON.parse(JSON.stringify(this.document)) as EmployeeDocument;
+    migrateDocument(copy);
+    return copy;
+  }
 
-    for (const key of currentKeys) {
-      const emp = this.document.employees[key] as unknown as Employee;
-      const isTempKey = key.startsWith('new-') || key.startsWith('temp-');
-      const isTempId = typeof emp?.EmployeeID === 'number' && emp.EmployeeID <= 0;
-      if (isTempKey || isTempId) {
-        keysToDelete.push(key);
-      }
+  // 找出變更對應的 CRDT key：優先用 EmployeeUUID；升級前記錄的變更沒有 UUID，改用 EmployeeID 在文檔中找
+  private resolveEmployeeKey(doc: EmployeeDocument, employee: Employee): string {
+    if (isEmployeeUuid(employee.EmployeeUUID ?? '')) return employee.EmployeeUUID;
+    const employeeId = Number(employee.EmployeeID);
+    if (employeeId > 0) {
+      const key = Object.keys(doc.employees ?? {})
+        .find(k => isEmployeeUuid(k) && Number(doc.employees[k]?.EmployeeID) === employeeId);
+      // 找不到時寫回數字 key，伺服器會換成資料庫中的 UUID
+      return key ?? String(employeeId);
     }
+    return crypto.randomUUID();
+  }
 
-    if (keysToDelete.length === 0) return;
+  // 掃描所有員工欄位的並行值（Automerge conflicts），寫入 Dexie 供使用者選擇
+  private async detectConflicts(): Promise<void> {
+    const actor = getActorId(this.document);
+    const detected: FieldConflict[] = [];
 
-    console.log('清理 CRDT 文檔中的臨時記錄...', keysToDelete);
-    this.document = change(this.document, (doc: EmployeeDocument) => {
-      for (const k of keysToDelete) {
-        delete doc.employees[k];
+    for (const [key, employee] of Object.entries(this.document.employees ?? {})) {
+      if (!isEmployeeUuid(key)) continue;
+      if (!employee || isDeletedEmployee(employee)) continue;
+
+      for (const field of EMPLOYEE_FIELDS) {
+        const conflicts = getConflicts(employee as unknown as Doc<Employee>, field);
+        if (!conflicts || Object.keys(conflicts).length < 2) continue;
+        // 送出失敗後重送的變更可能與自己先前的值並行，值都相同時不算衝突
+        if (new Set(Object.values(conflicts).map(value => String(value))).size < 2) continue;
+        detected.push({
+          employeeKey: key,
+          field,
+          values: Object.entries(conflicts).map(([opId, value]) => ({
+            opId,
+            value: value == null ? '' : String(value as string | number),
+            mine: opId.endsWith(`@${actor}`),
+          })),
+          detectedAt: Date.now(),
+        });
       }
-      doc.lastModified = Date.now();
-    });
-    console.log('CRDT 文檔清理完成');
+    }
+
+    if (detected.length) {
+      console.log('偵測到欄位衝突:', detected.map(c => `${c.employeeKey}.${c.field}`));
+    }
+    await db.replaceConflicts(detected);
+  }
+
+  // 解決欄位衝突：把選擇的值當成一次新的修改寫回（新修改會取代所有並行值）
+  async resolveConflict(conflict: FieldConflict, value: string): Promise<void> {
+    const employee = await db.getEmployee(conflict.employeeKey);
+    if (!employee) {
+      throw new Error(`找不到員工 ${conflict.employeeKey}`);
+    }
+    await db.updateEmployee({ ...employee, [conflict.field]: value }, [conflict.field]);
+    if (conflict.id !== undefined) {
+      await db.deleteConflict(conflict.id);
+    }
+  }
+
+  // 最近一次同步中，伺服器對某位員工回報的欄位錯誤
+  getValidationErrors(employeeUUID: string): EmployeeFieldErrors | null {
+    return this.validationErrors[employeeUUID] ?? null;
+  }
+
+  // 最近一次同步中，伺服器對某個部門回報的欄位錯誤（例如仍有員工的部門不能刪除）
+  getDepartmentValidationErrors(departmentUUID: string): EmployeeFieldErrors | null {
+    return this.departmentValidationErrors[departmentUUID] ?? null;
   }
 
   // 手動觸發同步
@@ -362,7 +1173,7 @@ export class SyncService {
   // 獲取同步狀態
   async getSyncStatus() {
     const syncState = await db.getSyncState();
-    const unsyncedCount = (await db.getUnsyncedChanges()).length;
+    const unsyncedCount = await db.countUnsyncedChanges();
     
     return {
       isOnline: navigator.onLine,
@@ -372,34 +1183,274 @@ export class SyncService {
     };
   }
 
-  // 調試：檢查 CRDT 文檔狀態
-  debugCRDTDocument(): void {
-    const documentEmployees = this.document.employees;
-    const totalEmployees = Object.keys(documentEmployees).length;
-    const tempRecords = Object.keys(documentEmployees).filter(key => 
-      key.startsWith('new-') || key.startsWith('temp-')
-    ).length;
-    const validRecords = totalEmployees - tempRecords;
-    
-    console.log('🔍 CRDT 文檔狀態:');
-    console.log(`  總記錄數: ${totalEmployees}`);
-    console.log(`  有效記錄: ${validRecords}`);
-    console.log(`  臨時記錄: ${tempRecords}`);
-    
-    if (tempRecords > 0) {
-      console.log('  臨時記錄詳情:', Object.keys(documentEmployees).filter(key => 
-        key.startsWith('new-') || key.startsWith('temp-')
-      ));
+  // 同步診斷：本地文檔的 heads 與舊格式 key，並向伺服器查詢目前的 heads（GET /api/health）
+  async getDiagnostics(): Promise<SyncDiagnostics> {
+    await this.ready;
+    await this.mergeStoredDocument();
+    const employees = this.document.employees ?? {};
+    const diagnostics: SyncDiagnostics = {
+      clientId: this.clientId,
+      isLeader: this.channel ? this.isLeader : null,
+      localHeads: getHeads(this.document),
+      schemaVersion: documentSchemaVersion(this.document),
+      lastModified: this.document.lastModified ?? null,
+      employeesCount: Object.keys(employees).length,
+      departmentsCount: this.document.departments ? Object.keys(this.document.departments).length : null,
+      tempKeys: Object.keys(employees)
+        .filter(key => !isEmployeeUuid(key))
+        .map(key => ({
+          key,
+          EmployeeID: Number(employees[key]?.EmployeeID) || 0,
+          name: `${employees[key]?.FirstName ?? ''} ${employees[key]?.LastName ?? ''}`.trim(),
+        })),
+      server: null,
+      serverError: null,
+      hasServerHeads: null,
+    };
+
+    if (!navigator.onLine) {
+      diagnostics.serverError = '離線';
+      return diagnostics;
+    }
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/health`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const health = await response.json() as {
+        db?: { store?: string | null; connected?: boolean };
+        crdt?: { heads?: string[]; employeesCount?: number; departmentsCount?: number; schemaVersion?: number };
+      };
+      const heads = Array.isArray(health.crdt?.heads) ? health.crdt.heads : [];
+      diagnostics.server = {
+        heads,
+        schemaVersion: health.crdt?.schemaVersion ?? null,
+        employeesCount: health.crdt?.employeesCount ?? 0,
+        departmentsCount: health.crdt?.departmentsCount ?? 0,
+        store: health.db?.store ?? null,
+        dbConnected: !!health.db?.connected,
+      };
+      diagnostics.hasServerHeads = hasHeads(this.document, heads);
+    } catch (error) {
+      diagnostics.serverError = error instanceof Error ? error.message : String(error);
+    }
+    return diagnostics;
+  }
+
+  // 同步診斷：捨棄一筆卡住的變更
+  async discardPendingChange(kind: 'employee' | 'department', changeId: number): Promise<void> {
+    await this.discardChanges(() => kind === 'employee' ? db.discardChange(changeId) : db.discardDepartmentChange(changeId));
+  }
+
+  // 員工列表：捨棄某位員工無法同步的所有變更，畫面回到伺服器上的資料
+  async discardEmployeeChanges(employeeUUID: string): Promise<void> {
+    await this.discardChanges(() => db.discardEmployeeChanges(employeeUUID));
+  }
+
+  // 等進行中的同步結束後捨棄變更，再依文檔重建本地資料表
+  private async discardChanges(discard: () => Promise<void>): Promise<void> {
+    await this.ready;
+    await this.withSyncLock(async () => {
+      await discard();
+      await this.mergeStoredDocument();
+      await this.updateLocalDatabase();
+      await this.replayPendingChanges();
+    });
+    this.notifyRemoteChange();
+    this.channel?.postMessage({ type: 'local-change' } satisfies SyncChannelMessage);
+  }
+
+  // 同步診斷：不等退避時間，所有保留中的變更（含 dead letter）立即重送
+  async retryHeldChanges(): Promise<boolean> {
+    await db.releaseHeldChanges();
+    return await this.manualSync();
+  }
+
+  // 同步診斷：以匯出檔取代本地資料庫，並改用匯出檔中的 CRDT 文檔
+  async importDatabase(json: string): Promise<void> {
+    await this.ready;
+    await this.withSyncLock(async () => {
+      const clientId = this.clientId;
+      await db.importDatabase(json);
+      this.document = init<EmployeeDocument>();
+      await this.restoreDocument();
+      // 匯出檔可能來自其他裝置：沿用本機的 clientId，sync state 重新與伺服器協商
+      this.clientId = clientId;
+      this.serverSyncState = initSyncState();
+      await this.persistDocument();
+      this.validationErrors = {};
+      this.departmentValidationErrors = {};
+      await db.updateSyncState({ isSyncing: false, isOnline: navigator.onLine });
+    });
+    this.notifyRemoteChange();
+    this.channel?.postMessage({ type: 'local-change' } satisfies SyncChannelMessage);
+  }
+
+  // 本地資料表由文檔重建後，把尚未套用到文檔的變更疊回去，畫面才會維持使用者修改後的狀態
+  private async replayPendingChanges(): Promise<void> {
+    for (const ch of await db.getUnsyncedChanges()) {
+      const key = ch.employee.EmployeeUUID;
+      if (!isEmployeeUuid(key)) continue;
+      const active = await db.getEmployee(key);
+      const deleted = active ? undefined : await db.getDeletedEmployee(key);
+      const current = active ?? deleted;
+      const employee: Employee = ch.operation === 'update' && current && ch.changedFields
+        ? { ...current, ...Object.fromEntries(ch.changedFields.map(field => [field, ch.employee[field]])) }
+        : { ...(current ?? {}), ...ch.employee };
+
+      if (ch.operation === 'delete' || (ch.operation === 'update' && deleted)) {
+        // 刪除，或修改仍在回收桶中的員工
+        await db.putLocalEmployee({
+          ...employee,
+          DeletedAt: employee.DeletedAt || new Date(ch.timestamp).toISOString(),
+          DeletedBy: employee.DeletedBy ?? '',
+        });
+      } else {
+        delete employee.DeletedAt;
+        delete employee.DeletedBy;
+        delete employee.MergedInto;
+        await db.putLocalEmployee(employee);
+      }
+    }
+
+    for (const ch of await db.getUnsyncedDepartmentChanges()) {
+      if (ch.operation === 'delete') {
+        await db.departments.delete(ch.department.DepartmentUUID);
+      } else {
+        await db.departments.put(ch.department);
+      }
+    }
+  }
+
+  // 啟動即時更新：訂閱伺服器的文檔變更通知，收到後立即同步
+  startRealtimeSync() {
+    if (this.realtimeEnabled) return;
+    this.realtimeEnabled = true;
+
+    window.addEventListener('online', () => {
+      this.realtimeRetryMs = REALTIME_MIN_RETRY_MS;
+      this.connectRealtime();
+    });
+    window.addEventListener('offline', () => {
+      this.disconnectRealtime();
+    });
+    // 登入身分改變時以新 token 重新連線
+    authService.onChange(() => {
+      this.realtimeRetryMs = REALTIME_MIN_RETRY_MS;
+      this.connectRealtime();
+    });
+
+    this.connectRealtime();
+  }
+
+  // 停止即時更新
+  stopRealtimeSync() {
+    this.realtimeEnabled = false;
+    this.disconnectRealtime();
+  }
+
+  // 伺服器的文檔版本比本機程式新時為 true，需要重新載入以更新應用程式
+  isUpdateRequired(): boolean {
+    return this.updateRequired;
+  }
+
+  // 訂閱「需要更新」通知，回傳取消訂閱函數
+  onUpdateRequired(listener: () => void): () => void {
+    this.updateRequiredListeners.add(listener);
+    return () => {
+      this.updateRequiredListeners.delete(listener);
+    };
+  }
+
+  private requireUpdate() {
+    if (this.updateRequired) return;
+    this.updateRequired = true;
+    for (const listener of this.updateRequiredListeners) {
+      listener();
+    }
+  }
+
+  // 訂閱遠端變更（同步完成且本地資料庫已更新後呼叫），回傳取消訂閱函數
+  onRemoteChange(listener: () => void): () => void {
+    this.remoteChangeListeners.add(listener);
+    return () => {
+      this.remoteChangeListeners.delete(listener);
+    };
+  }
+
+  private notifyRemoteChange() {
+    for (const listener of this.remoteChangeListeners) {
+      listener();
+    }
+  }
+
+  private connectRealtime() {
+    if (!this.realtimeEnabled || !navigator.onLine || !this.syncsHere) return;
+    this.disconnectRealtime();
+
+    // EventSource 無法帶標頭，token 改放查詢參數
+    const token = authService.getToken();
+    const query = token ? `?access_token=${encodeURIComponent(token)}` : '';
+    const source = new EventSource(`${this.apiBaseUrl}/sync/events${query}`);
+    source.onopen = () => {
+      this.realtimeRetryMs = REALTIME_MIN_RETRY_MS;
+    };
+    source.addEventListener('document-changed', (event) => {
+      try {
+        const { heads } = JSON.parse((event as MessageEvent<string>).data) as { heads?: string[] };
+        void this.handleRemoteHeads(Array.isArray(heads) ? heads : []);
+      } catch (error) {
+        console.warn('無法解析即時通知:', error);
+      }
+    });
+    source.onerror = () => {
+      // 自行控制重連（EventSource 內建重連沒有退避）
+      source.close();
+      if (this.eventSource === source) this.eventSource = undefined;
+      this.scheduleRealtimeReconnect();
+    };
+    this.eventSource = source;
+  }
+
+  private disconnectRealtime() {
+    if (this.realtimeTimer) {
+      clearTimeout(this.realtimeTimer);
+      this.realtimeTimer = undefined;
+    }
+    this.eventSource?.close();
+    this.eventSource = undefined;
+  }
+
+  private scheduleRealtimeReconnect() {
+    if (!this.realtimeEnabled || !navigator.onLine) return;
+    const delay = this.realtimeRetryMs;
+    this.realtimeRetryMs = Math.min(delay * 2, REALTIME_MAX_RETRY_MS);
+    console.log(`即時更新連線中斷，${delay}ms 後重連`);
+    this.realtimeTimer = window.setTimeout(() => this.connectRealtime(), delay);
+  }
+
+  // 伺服器 heads 已全部在本地文檔中就不需要同步
+  private async handleRemoteHeads(heads: string[]): Promise<void> {
+    await this.ready;
+    if (hasHeads(this.document, heads)) return;
+
+    if (this.isSyncInProgress) {
+      this.queuedRemoteHeads = heads;
+      return;
+    }
+
+    const ok = await this.syncWithServer();
+    if (ok) {
+      this.notifyRemoteChange();
     }
   }
 
-  // 定期同步（如果在線）
+  // 定期同步（如果在線；多個分頁時只有 leader 執行）
   startPeriodicSync(intervalMs: number = 30000) {
-    setInterval(() => {
+    if (this.periodicSyncTimer) return;
+    this.periodicSyncTimer = setInterval(() => {
       void (async () => {
-        if (navigator.onLine) {
-          const unsyncedChanges = await db.getUnsyncedChanges();
-          if (unsyncedChanges.length > 0) {
+        if (navigator.onLine && this.syncsHere) {
+          // 退避中與 dead letter 的變更不觸發定期同步
+          if (await db.countSendableChanges() > 0) {
             await this.syncWithServer();
           }
         }
@@ -0,0 +1,17 @@
+export type UserRole = 'viewer' | 'editor' | 'admin';
+
+export type Permission = 'read' | 'write' | 'delete';
+
+export interface AuthUser {
+  id: string;
+  name: string;
+  role: UserRole;
+}
+
+// 登入狀態的 IndexedDB 副本：Service Worker 讀不到 localStorage，背景同步時由此取得 token
+export interface AuthSessionRecord {
+  id: string;
+  token: string | null;
+  user: AuthUser | null;
+  updatedAt: number;
+}
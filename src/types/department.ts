@@ -0,0 +1,22 @@
+// 部門主檔（CRDT 文檔的 departments，以 DepartmentUUID 為 key）
+export interface Department {
+  DepartmentUUID: string; // 客戶端產生的穩定識別碼
+  Code: string; // 員工 Department 欄位參照的值，建立後不可修改
+  Name: string;
+  ParentDepartmentUUID: string; // 上層部門，沒有時為 ''
+  HeadEmployeeUUID: string; // 部門主管的 EmployeeUUID，沒有時為 ''
+}
+
+export interface DepartmentChange {
+  id?: number; // Dexie auto-increment primary key
+  department: Department;
+  timestamp: number;
+  operation: 'upsert' | 'delete';
+  synced: boolean;
+  changedFields?: (keyof Department)[]; // 修改時實際變動的欄位，新增時省略
+  // 送出失敗的紀錄，規則與員工變更相同
+  attempts?: number;
+  lastError?: string;
+  nextRetryAt?: number;
+  deadLetter?: boolean;
+}
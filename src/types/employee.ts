@@ -1,5 +1,6 @@
 export interface Employee {
-  EmployeeID: number;
+  EmployeeUUID: string; // 客戶端產生的穩定識別碼，作為 CRDT key 與本地主鍵
+  EmployeeID: number; // 資料庫配發的編號，僅供顯示；尚未寫入資料庫時為 0
   FirstName: string;
   LastName: string;
   Department: string;
@@ -11,20 +12,160 @@ export interface Employee {
   PhoneNumber: string;
   Address: string;
   Status: string;
+  ManagerID: string; // 直屬主管的 EmployeeUUID，沒有主管時為 ''
+  DeletedAt?: string; // 移到回收桶的時間（ISO 8601），只有已刪除的員工才有
+  DeletedBy?: string; // 刪除的使用者名稱
+  MergedInto?: string; // 合併重複員工時被合併的一方，指向保留員工的 EmployeeUUID
+}
+
+// IndexedDB 中的員工：啟用本機加密時敏感欄位留空，密文放在 sealed，讀出時解密並移除
+export type StoredEmployee = Employee & { sealed?: EncryptedPayload };
+
+// 列表可排序的欄位（與後端 services/employeeQuery.js 的 SORT_COLUMNS 一致）
+export type EmployeeSortField =
+  | 'FirstName'
+  | 'LastName'
+  | 'Department'
+  | 'Position'
+  | 'Email'
+  | 'Status'
+  | 'HireDate'
+  | 'EmployeeID';
+
+// 列表查詢條件：線上送到 GET /api/employees，離線時由 IndexedDB 套用相同規則
+export interface EmployeeQuery {
+  page: number; // 從 1 開始
+  limit: number;
+  sortBy: EmployeeSortField;
+  descending: boolean;
+  department?: string;
+  status?: string;
+  position?: string;
+  hireDateFrom?: string; // YYYY-MM-DD（含）
+  hireDateTo?: string; // YYYY-MM-DD（含）
+  q?: string; // 比對姓名、部門、職位、Email
+}
+
+export interface EmployeePage {
+  items: Employee[];
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
 }
 
 export interface EmployeeChange {
   id?: number; // Dexie auto-increment primary key (optional for new records)
   employee: Employee;
   timestamp: number;
-  operation: 'create' | 'update' | 'delete';
+  operation: 'create' | 'update' | 'delete' | 'restore';
   synced: boolean;
+  changedFields?: (keyof Employee)[]; // update 時實際修改的欄位（舊紀錄沒有，視為全部欄位）
+  baseHeads?: string[]; // 編輯當下本地 CRDT 文檔的 heads，套用時以此為基準才能偵測並行修改
+  restoredFrom?: string; // 還原歷史版本時，來源版本的 change hash
+  // 送出失敗的紀錄（見 ChangeRetryState）
+  attempts?: number;
+  lastError?: string;
+  nextRetryAt?: number;
+  deadLetter?: boolean;
 }
 
+// 待同步變更的重試狀態：送出失敗後以指數退避延後重送，被伺服器拒絕達上限後進入 dead letter，
+// 不再自動重送，等使用者修正資料（寫入同一員工的新變更會一併重送）或捨棄
+export type ChangeRetryState = Pick<EmployeeChange, 'attempts' | 'lastError' | 'nextRetryAt' | 'deadLetter'>;
+
 export interface SyncState {
   id?: number;
   lastSyncTimestamp: number;
   pendingChanges: EmployeeChange[];
   isOnline: boolean;
   isSyncing: boolean;
-} 
\ No newline at end of file
+} 
+
+// 每次與伺服器同步的結果，供同步診斷頁面檢視（只保留最近幾筆）
+export interface SyncAttempt {
+  id?: number;
+  startedAt: number;
+  durationMs: number;
+  mode: 'incremental' | 'document'; // sync message 增量同步，或完整文檔（背景同步、舊版伺服器）
+  ok: boolean;
+  pendingChanges: number; // 開始時待同步的員工與部門變更數
+  syncedChanges: number; // 這次標記為已同步的變更數
+  pendingWrites?: number; // 伺服器已合併、但寫入資料庫失敗而排入 outbox 的變更數（由伺服器背景重試）
+  error?: string;
+}
+
+// 本地資料庫匯出檔（同步診斷頁面匯出/匯入），Uint8Array 以 { $bytes: base64 } 表示
+export interface DatabaseExport {
+  format: 'employee-database-export';
+  version: number; // Dexie schema 版本
+  exportedAt: string;
+  tables: Record<string, unknown[]>;
+}
+
+// CRDT 同步對象的本地紀錄：文檔與 sync state 必須一起保存，才能在重新載入後繼續增量同步
+export interface CrdtSyncRecord {
+  peerId: string;
+  clientId: string;
+  document: Uint8Array;
+  syncState: Uint8Array | null;
+  updatedAt: number;
+  sealed?: EncryptedPayload; // 加密後的 document（document 留空）
+}
+
+// AES-GCM 加密結果
+export interface EncryptedPayload {
+  iv: Uint8Array<ArrayBuffer>;
+  data: Uint8Array<ArrayBuffer>;
+}
+
+// 本機加密的資料金鑰：以密碼（登入密碼）經 PBKDF2 衍生的金鑰包裝後保存，見 services/localCrypto.ts
+export interface KeyringRecord {
+  id: string;
+  userId: string | null; // 啟用加密的使用者，其他使用者登入時提示
+  userName: string;
+  salt: Uint8Array<ArrayBuffer>;
+  iterations: number;
+  iv: Uint8Array<ArrayBuffer>;
+  wrappedKey: Uint8Array<ArrayBuffer>;
+  createdAt: number;
+}
+
+// 本機加密狀態：disabled 尚未啟用（沒有 keyring）、locked 尚未輸入密碼、unlocked 可以讀寫
+export type EncryptionState = 'disabled' | 'locked' | 'unlocked';
+
+// 欄位衝突：多個使用者並行修改同一員工的同一欄位
+export interface FieldConflictValue {
+  opId: string; // Automerge 操作 ID（counter@actor）
+  value: string;
+  mine: boolean; // 是否為本機寫入的值
+}
+
+export interface FieldConflict {
+  id?: number;
+  employeeKey: string; // CRDT 文檔中的 key（EmployeeUUID）
+  field: keyof Employee;
+  values: FieldConflictValue[];
+  detectedAt: number;
+  sealed?: EncryptedPayload; // 加密後的 values（values 留空）
+}
+
+// 員工變更歷史（GET /api/employees/:id/history，離線時由本地 CRDT 文檔產生）
+export interface EmployeeFieldChange {
+  field: keyof Employee;
+  from: string | number | null;
+  to: string | number | null;
+}
+
+export interface EmployeeHistoryEntry {
+  hash: string | null; // Automerge change hash；只存在於稽核紀錄的項目可能沒有
+  actor: string | null; // Automerge actor（裝置）
+  timestamp: number | null;
+  source: string; // rest | sync | client | system
+  user: { id: string; name: string; role?: string } | null;
+  verified: boolean; // 使用者是否經伺服器驗證（稽核紀錄）；否則取自變更本身的宣告
+  restoredFrom: string | null;
+  operation: 'create' | 'update' | 'delete' | 'restore';
+  changes: EmployeeFieldChange[];
+  snapshot: Partial<Employee> | null; // 這次變更後的員工資料，還原版本時使用
+}
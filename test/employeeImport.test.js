@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestColumnMapping, mapRow, prepareEmployeeImport, employeesToRows, EMPLOYEE_EXPORT_FIELDS } from '../shared/employeeImport.js';
+
+const EXISTING = '11111111-1111-4111-8111-111111111111';
+const DELETED = '22222222-2222-4222-8222-222222222222';
+const MERGED = '33333333-3333-4333-8333-333333333333';
+const NEW = '44444444-4444-4444-8444-444444444444';
+
+const employees = [
+  { EmployeeUUID: EXISTING, EmployeeID: 7, FirstName: 'Amy', LastName: 'Chen', Department: 'RD', Email: 'amy@example.com', Status: 'Active', ManagerID: '' },
+  { EmployeeUUID: DELETED, EmployeeID: 8, FirstName: 'Bob', LastName: 'Lin', Status: 'Active', DeletedAt: '2024-01-01T00:00:00.000Z' },
+  { EmployeeUUID: MERGED, EmployeeID: 9, FirstName: 'Amy', LastName: 'Chen', Status: 'Active', DeletedAt: '2024-01-01T00:00:00.000Z', MergedInto: EXISTING }
+];
+
+// 依序產生的 UUID，方便比對結果
+const uuids = (prefix = '5555555') => {
+  let n = 0;
+  return () => `${prefix}${n++}-5555-4555-8555-555555555555`;
+};
+
+const prepare = (rows, mapping) => prepareEmployeeImport(rows, mapping, {
+  employees,
+  departmentCodes: ['RD', 'HR'],
+  createUuid: uuids()
+});
+
+test('suggestColumnMapping：比對欄位名稱、中文名稱與資料庫欄位（不分大小寫與空白）', () => {
+  assert.deepEqual(
+    suggestColumnMapping(['UUID', 'first_name', '姓', 'E-Mail', 'Hire Date', '備註', '名字']),
+    ['EmployeeUUID', 'FirstName', 'LastName', 'Email', 'HireDate', '', '']
+  );
+});
+
+test('mapRow：正規化日期、性別與狀態，忽略沒有對應的欄', () => {
+  const mapping = ['FirstName', '', 'HireDate', 'BirthDate', 'Gender', 'Status'];
+  assert.deepEqual(mapRow([' Amy ', 'x', '2024/3/5', 45366, '女', '離職'], mapping), {
+    FirstName: 'Amy',
+    HireDate: '2024-03-05',
+    BirthDate: '2024-03-15',
+    Gender: 'F',
+    Status: 'Inactive'
+  });
+});
+
+test('prepareEmployeeImport：既有員工為修改並保留沒有對應的欄位，其他為新增', () => {
+  const mapping = ['EmployeeUUID', 'FirstName', 'LastName', 'Department'];
+  const [update, create] = prepare([
+    [EXISTING, 'Amy', 'Wang', ''],
+    ['', 'Carl', 'Wu', 'HR']
+  ], mapping);
+
+  assert.equal(update.row, 2);
+  assert.equal(update.operation, 'update');
+  assert.deepEqual(update.errors, {});
+  assert.equal(update.employee.EmployeeID, 7);
+  assert.equal(update.employee.LastName, 'Wang');
+  assert.equal(update.employee.Email, 'amy@example.com');
+  // 有對應的欄位留空時清除原值
+  assert.equal(update.employee.Department, '');
+
+  assert.equal(create.row, 3);
+  assert.equal(create.operation, 'create');
+  assert.deepEqual(create.errors, {});
+  assert.equal(create.employee.EmployeeUUID, '55555550-5555-4555-8555-555555555555');
+  assert.equal(create.employee.Status, 'Active');
+});
+
+test('prepareEmployeeImport：UUID 格式錯誤、重複、在回收桶或已被合併時回報錯誤', () => {
+  const results = prepare([
+    ['not-a-uuid', 'A', 'B'],
+    [NEW, 'C', 'D'],
+    [NEW, 'E', 'F'],
+    [DELETED, 'Bob', 'Lin'],
+    [MERGED, 'Amy', 'Chen']
+  ], ['EmployeeUUID', 'FirstName', 'LastName']);
+
+  assert.deepEqual(results.map(result => result.errors.EmployeeUUID?.code), ['format', undefined, 'duplicate', 'reference', 'reference']);
+  assert.equal(results[1].employee.EmployeeUUID, NEW);
+  assert.match(results[3].errors.EmployeeUUID.message, /回收桶/);
+  assert.match(results[4].errors.EmployeeUUID.message, /合併/);
+  // 有錯誤的列不沿用檔案中的 UUID，也不會修改既有員工
+  assert.equal(results[3].operation, 'create');
+  assert.notEqual(results[3].employee.EmployeeUUID, DELETED);
+});
+
+test('prepareEmployeeImport：套用共用 schema 的欄位驗證與部門代碼', () => {
+  const [result] = prepare([['A', 'B', 'not-an-email', 'QA']], ['FirstName', 'LastName', 'Email', 'Department']);
+  assert.deepEqual(Object.keys(result.errors).sort(), ['Department', 'Email']);
+});
+
+test('prepareEmployeeImport：主管可以填電子郵件（既有員工或同一份檔案中的員工）', () => {
+  const mapping = ['EmployeeUUID', 'FirstName', 'LastName', 'Email', 'ManagerID'];
+  const results = prepare([
+    [NEW, 'Dan', 'Ho', 'dan@example.com', 'AMY@example.com'],
+    ['', 'Eve', 'Ho', '', 'dan@example.com'],
+    ['', 'Fay', 'Ho', '', 'nobody@example.com']
+  ], mapping);
+
+  assert.equal(results[0].employee.ManagerID, EXISTING);
+  assert.equal(results[1].employee.ManagerID, NEW);
+  assert.deepEqual(results[1].errors, {});
+  assert.equal(results[2].errors.ManagerID.code, 'reference');
+});
+
+test('prepareEmployeeImport：主管那一列有錯誤時，下屬的列也無法匯入', () => {
+  const results = prepare([
+    [NEW, 'Dan', '', ''],
+    ['', 'Eve', 'Ho', NEW]
+  ], ['EmployeeUUID', 'FirstName', 'LastName', 'ManagerID']);
+
+  assert.equal(results[0].errors.LastName.code, 'required');
+  assert.equal(results[1].errors.ManagerID.code, 'reference');
+  assert.match(results[1].errors.ManagerID.message, /這份檔案/);
+});
+
+test('prepareEmployeeImport：檔案中的主管關係不能形成循環', () => {
+  const other = '66666666-6666-4666-8666-666666666666';
+  const results = prepare([
+    [NEW, 'Dan', 'Ho', other],
+    [other, 'Eve', 'Ho', NEW]
+  ], ['EmployeeUUID', 'FirstName', 'LastName', 'ManagerID']);
+  assert.deepEqual(results.map(result => result.errors.ManagerID?.code), ['cycle', 'cycle']);
+});
+
+test('employeesToRows：匯出的標題可以直接再匯入', () => {
+  const rows = employeesToRows([{ ...employees[0], HireDate: '2024-03-05T00:00:00.000Z' }]);
+  assert.deepEqual(rows[0], EMPLOYEE_EXPORT_FIELDS);
+  assert.equal(rows[1][rows[0].indexOf('EmployeeID')], 7);
+  assert.equal(rows[1][rows[0].indexOf('HireDate')], '2024-03-05');
+  assert.equal(rows[1][rows[0].indexOf('BirthDate')], '');
+
+  const mapping = suggestColumnMapping(rows[0]);
+  assert.equal(mapping.filter(Boolean).length, EMPLOYEE_EXPORT_FIELDS.length - 1);
+  const [result] = prepare(rows.slice(1), mapping);
+  assert.equal(result.operation, 'update');
+  assert.deepEqual(result.errors, {});
+});
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toDateValue,
+  validateEmployee,
+  validateDepartment,
+  findReportingCycle,
+  assertValidEmployee,
+  EmployeeValidationError
+} from '../shared/employeeSchema.js';
+
+const BOSS = '11111111-1111-4111-8111-111111111111';
+const LEAD = '22222222-2222-4222-8222-222222222222';
+const STAFF = '33333333-3333-4333-8333-333333333333';
+
+const employee = (overrides = {}) => ({
+  EmployeeUUID: STAFF,
+  FirstName: 'Amy',
+  LastName: 'Chen',
+  Status: 'Active',
+  ...overrides
+});
+
+test('toDateValue：接受 YYYY-MM-DD 與 Date，拒絕不存在的日期', () => {
+  assert.equal(toDateValue(''), '');
+  assert.equal(toDateValue(null), '');
+  assert.equal(toDateValue('2024-02-29'), '2024-02-29');
+  assert.equal(toDateValue('2024-03-05T08:00:00Z'), '2024-03-05');
+  assert.equal(toDateValue(new Date('2024-03-05T00:00:00Z')), '2024-03-05');
+  assert.equal(toDateValue('2023-02-29'), null);
+  assert.equal(toDateValue('2024/03/05'), null);
+  assert.equal(toDateValue(new Date('invalid')), null);
+});
+
+test('validateEmployee：合法資料沒有錯誤', () => {
+  assert.deepEqual(validateEmployee(employee({
+    Email: 'amy@example.com',
+    PhoneNumber: '+886 (2) 1234-5678',
+    Gender: 'F',
+    BirthDate: '1990-01-01',
+    HireDate: '2020-01-01'
+  })), {});
+});
+
+test('validateEmployee：必填、長度、格式與列舉值', () => {
+  const errors = validateEmployee(employee({
+    FirstName: '  ',
+    LastName: 'x'.repeat(51),
+    Email: 'not-an-email',
+    PhoneNumber: '12#34',
+    Gender: 'X',
+    Status: ''
+  }));
+  assert.equal(errors.FirstName.code, 'required');
+  assert.equal(errors.LastName.code, 'maxLength');
+  assert.equal(errors.Email.code, 'format');
+  assert.equal(errors.PhoneNumber.code, 'format');
+  assert.equal(errors.Gender.code, 'enum');
+  assert.equal(errors.Status.code, 'required');
+});
+
+test('validateEmployee：生日不能晚於今天，也必須早於到職日期', () => {
+  assert.equal(validateEmployee(employee({ BirthDate: '2999-01-01' })).BirthDate.code, 'range');
+  assert.equal(validateEmployee(employee({ BirthDate: '2020-01-01', HireDate: '2020-01-01' })).BirthDate.code, 'range');
+  assert.equal(validateEmployee(employee({ HireDate: '2020-13-01' })).HireDate.code, 'date');
+});
+
+test('validateEmployee：部門必須是既有的部門代碼', () => {
+  assert.equal(validateEmployee(employee({ Department: 'RD' }), { departmentCodes: ['HR'] }).Department.code, 'reference');
+  assert.deepEqual(validateEmployee(employee({ Department: 'RD' }), { departmentCodes: new Set(['RD']) }), {});
+  // 沒有提供部門清單時不檢查
+  assert.deepEqual(validateEmployee(employee({ Department: 'RD' })), {});
+});
+
+test('validateEmployee：主管必須存在、不能是自己或自己的下屬', () => {
+  const employees = {
+    [BOSS]: { ManagerID: '' },
+    [LEAD]: { ManagerID: STAFF },
+    [STAFF]: { ManagerID: '' }
+  };
+  assert.equal(validateEmployee(employee({ ManagerID: 'boss' })).ManagerID.code, 'format');
+  assert.equal(validateEmployee(employee({ ManagerID: STAFF })).ManagerID.code, 'cycle');
+  assert.equal(validateEmployee(employee({ ManagerID: '44444444-4444-4444-8444-444444444444' }), { employees }).ManagerID.code, 'reference');
+  assert.equal(validateEmployee(employee({ ManagerID: LEAD }), { employees }).ManagerID.code, 'cycle');
+  assert.deepEqual(validateEmployee(employee({ ManagerID: BOSS }), { employees }), {});
+});
+
+test('findReportingCycle：只回報員工本身所在的循環', () => {
+  const employees = {
+    [BOSS]: { ManagerID: LEAD },
+    [LEAD]: { ManagerID: BOSS },
+    [STAFF]: { ManagerID: BOSS }
+  };
+  assert.deepEqual(findReportingCycle(employees, BOSS), [BOSS, LEAD]);
+  assert.equal(findReportingCycle(employees, STAFF), null);
+});
+
+test('validateDepartment：代碼不能重複，上層部門必須存在且不能形成循環', () => {
+  const departments = {
+    a: { DepartmentUUID: 'a', Code: 'RD', Name: '研發', ParentDepartmentUUID: 'b' },
+    b: { DepartmentUUID: 'b', Code: 'HQ', Name: '總部', ParentDepartmentUUID: '' }
+  };
+  assert.deepEqual(validateDepartment(departments.a, { departments }), {});
+  assert.equal(validateDepartment({ DepartmentUUID: 'c', Code: 'RD', Name: '研發二' }, { departments }).Code.code, 'duplicate');
+  assert.equal(validateDepartment({ DepartmentUUID: 'c', Code: 'QA', Name: '品保', ParentDepartmentUUID: 'x' }, { departments }).ParentDepartmentUUID.code, 'reference');
+  const cyclic = { ...departments.b, ParentDepartmentUUID: 'a' };
+  assert.equal(validateDepartment(cyclic, { departments: { ...departments, b: cyclic } }).ParentDepartmentUUID.code, 'cycle');
+  assert.equal(validateDepartment({ DepartmentUUID: 'c', Code: 'QA', Name: '品保', HeadEmployeeUUID: BOSS }, { employeeUUIDs: [LEAD] }).HeadEmployeeUUID.code, 'reference');
+});
+
+test('assertValidEmployee：驗證失敗時丟出帶有欄位錯誤的 EmployeeValidationError', () => {
+  assert.doesNotThrow(() => assertValidEmployee(employee()));
+  assert.throws(() => assertValidEmployee(employee({ Email: 'x' })), (err) =>
+    err instanceof EmployeeValidationError && err.fields.Email.code === 'format');
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { parseCsv, toCsv, toXlsx, parseXlsx, parseSpreadsheet, excelDateToString } from '../shared/spreadsheet.js';
+
+// 以 deflate 壓縮的 zip（Excel 存檔的格式；toXlsx 只會寫出不壓縮的檔案），readZip 不檢查 CRC
+function deflatedZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const [fileName, content] of Object.entries(files)) {
+    const name = encoder.encode(fileName);
+    const raw = encoder.encode(content);
+    const data = deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    parts.push(local, name, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    offset += local.length + name.length + data.length;
+  }
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...parts, ...central, end]));
+}
+
+test('parseCsv：引號內的分隔符號、換行與 "" 跳脫', () => {
+  assert.deepEqual(parseCsv('name,note\r\n"Chen, Amy","say ""hi""\nbye"\r\n'), [
+    ['name', 'note'],
+    ['Chen, Amy', 'say "hi"\nbye']
+  ]);
+});
+
+test('parseCsv：去掉 BOM、偵測分號與 Tab 分隔、略過結尾空白列', () => {
+  assert.deepEqual(parseCsv('\uFEFFa;b;c\n1;2;3\n;;\n\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  // 引號內的分號不影響偵測
+  assert.deepEqual(parseCsv('"x;y",b\n1,2'), [['x;y', 'b'], ['1', '2']]);
+});
+
+test('toCsv：加上 BOM 與 CRLF，公式開頭的文字前面加上 \'', () => {
+  const csv = toCsv([['=SUM(A1)', '+886 2 1234', '-5', '@cmd', 'a,b', null]]);
+  assert.equal(csv, '\uFEFF\'=SUM(A1),+886 2 1234,-5,\'@cmd,"a,b",\r\n');
+  assert.deepEqual(parseCsv(csv), [['\'=SUM(A1)', '+886 2 1234', '-5', '\'@cmd', 'a,b', '']]);
+});
+
+test('toXlsx → parseXlsx：文字、數字、空白儲存格與 XML 特殊字元', async () => {
+  const rows = [['名', 'Count', 'Note'], ['Amy', 3, '<a & "b">'], ['Bob', '', 'x']];
+  const bytes = toXlsx(rows, '員工');
+  assert.deepEqual(await parseXlsx(bytes), rows);
+  assert.deepEqual(await parseSpreadsheet(bytes), rows);
+});
+
+test('parseXlsx：deflate 壓縮、共用字串、跳過的欄與列', async () => {
+  const bytes = deflatedZip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="S" sheetId="1" r:id="rId7"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Target="/xl/worksheets/data.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Amy</t></si><si><r><t>Ch</t></r><r><t>en</t></r><rPh><t>チェン</t></rPh></si></sst>',
+    'xl/worksheets/data.xml': '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+      + '<row r="3"><c r="B3"><v>45366</v></c><c r="C3" t="b"><v>1</v></c><c r="D3" t="str"><v>a&amp;b</v></c></row>'
+      + '</sheetData></worksheet>'
+  });
+  assert.deepEqual(await parseSpreadsheet(bytes), [['Amy', '', 'Chen'], [], ['', 45366, 'TRUE', 'a&b']]);
+});
+
+test('parseXlsx：不是 XLSX 時丟出錯誤', async () => {
+  await assert.rejects(parseXlsx(new Uint8Array([1, 2, 3])), /不是有效的 XLSX 檔案/);
+});
+
+test('parseSpreadsheet：非 zip 內容視為 UTF-8 CSV', async () => {
+  assert.deepEqual(await parseSpreadsheet(new TextEncoder().encode('a,b\n1,2')), [['a', 'b'], ['1', '2']]);
+});
+
+test('excelDateToString：1900 日期系統的序號', () => {
+  assert.equal(excelDateToString(45366), '2024-03-15');
+  assert.equal(excelDateToString(1), '1899-12-31');
+  assert.equal(excelDateToString(Number.NaN), '');
+});